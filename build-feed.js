@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Goa Foundation Feed Builder
+ *
+ * Compares the case spreadsheet with the snapshot saved by the previous run, prints what
+ * changed, and writes an Atom or RSS feed of recent timeline events and new cases:
+ *
+ *   node build-feed.js --site-url https://example.org/petitions/
+ *   node build-feed.js --site-url https://example.org/petitions/ --format rss --output feed.rss cases.csv
+ *
+ * The snapshot records when each case first appeared, so keep it between runs (e.g. commit it).
+ *
+ * Exit codes: 0 = feed written, 1 = the sheet could not be read or has no valid rows,
+ * 2 = usage error or a file could not be written
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GoaFoundationSpreadsheetProcessor = require('./spreadsheet.js');
+const GoaFoundationFeed = require('./feed.js');
+const { createSource, INPUT_FORMATS } = require('./validate-sheet.js');
+
+const USAGE = `Usage: node build-feed.js --site-url <url> [options] [file-or-url]
+
+Writes a feed of new cases and timeline events from the Goa Foundation case
+spreadsheet, and updates the snapshot it compares against. Without a file or
+URL the published Google Sheet is read.
+
+Options:
+  -u, --site-url <url>            Address of the archive page, used for case links (required)
+      --feed-url <url>            Address the feed is published at (Atom self link)
+  -s, --snapshot <file>           Snapshot of the previous run (default: data/snapshot.json)
+  -o, --output <file>             Feed file (default: feed.xml)
+      --format <atom|rss>         Feed format (default: atom)
+  -f, --input-format <auto|csv|tsv|json|xlsx>
+                                  Input format (default: auto-detected)
+  -l, --limit <n>                 Most items in the feed (default: 50)
+  -n, --dry-run                   Print the changes without writing any files
+  -v, --verbose                   Print processor debug output to stderr
+  -h, --help                      Show this help
+`;
+
+const FEED_FORMATS = ['atom', 'rss'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        siteUrl: null,
+        feedUrl: null,
+        snapshot: path.join('data', 'snapshot.json'),
+        output: 'feed.xml',
+        format: 'atom',
+        inputFormat: 'auto',
+        limit: 50,
+        dryRun: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const nextValue = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-u':
+            case '--site-url':
+                options.siteUrl = nextValue();
+                break;
+            case '--feed-url':
+                options.feedUrl = nextValue();
+                break;
+            case '-s':
+            case '--snapshot':
+                options.snapshot = nextValue();
+                break;
+            case '-o':
+            case '--output':
+                options.output = nextValue();
+                break;
+            case '--format':
+                options.format = nextValue();
+                break;
+            case '-f':
+            case '--input-format':
+                options.inputFormat = nextValue();
+                break;
+            case '-l':
+            case '--limit':
+                options.limit = parseInt(nextValue(), 10);
+                break;
+            case '-n':
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                if (options.input) {
+                    throw new Error('Only one file or URL can be read at a time');
+                }
+                options.input = arg;
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    if (!options.siteUrl) {
+        throw new Error('--site-url is required: feed readers need absolute links to the cases');
+    }
+
+    if (!FEED_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown feed format '${options.format}'. Expected one of: ${FEED_FORMATS.join(', ')}`);
+    }
+
+    if (!INPUT_FORMATS.includes(options.inputFormat)) {
+        throw new Error(`Unknown input format '${options.inputFormat}'. Expected one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+
+    if (!(options.limit > 0)) {
+        throw new Error('--limit must be a positive number');
+    }
+
+    return options;
+}
+
+/**
+ * Read the previous run's snapshot
+ * @param {string} file - Snapshot path
+ * @returns {Object|null} Snapshot, or null when there is none yet
+ */
+function readSnapshot(file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read snapshot '${file}': ${error.message}`);
+    }
+}
+
+/**
+ * Describe the changes since the previous snapshot
+ * @param {Object|null} changes - Result of compareWithSnapshot(), or null without a snapshot
+ * @returns {string} Text report
+ */
+function formatChanges(changes) {
+    if (!changes) {
+        return 'No earlier snapshot: saving one now. New cases appear in the feed from the next run.\n';
+    }
+
+    if (changes.total === 0) {
+        return `No changes since ${changes.since}\n`;
+    }
+
+    const plural = (count, one, other) => `${count} ${count === 1 ? one : other}`;
+    const lines = [`Changes since ${changes.since}:`];
+
+    if (changes.added.length > 0) {
+        lines.push(`  ${plural(changes.added.length, 'new case', 'new cases')}: ${changes.added.map(record => record.Reference).join(', ')}`);
+    }
+    if (changes.removed.length > 0) {
+        lines.push(`  ${plural(changes.removed.length, 'case removed', 'cases removed')}: ${changes.removed.map(entry => entry.reference).join(', ')}`);
+    }
+    changes.changed.forEach(entry => {
+        lines.push(`  ${entry.reference} changed: ${entry.fields.map(change => change.field).join(', ')}`);
+    });
+    changes.timelineEntries.forEach(({ reference, entry }) => {
+        lines.push(`  ${reference} new timeline entry: ${entry.date} ${entry.description}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Run the feed builder
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let options;
+    let previousSnapshot;
+
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        previousSnapshot = readSnapshot(options.snapshot);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const processor = new GoaFoundationSpreadsheetProcessor({
+        debug: options.verbose,
+        logger: (message) => process.stderr.write(`${message}\n`),
+        source: createSource(options.input, options.inputFormat),
+        previousSnapshot
+    });
+
+    const result = await processor.loadAndProcessData();
+
+    // Never replace a good snapshot with an empty one: every case would look removed and then new
+    if (result.validRecords === 0) {
+        process.stderr.write(processor.generateSummaryReport(result));
+        return 1;
+    }
+
+    const snapshot = processor.createSnapshot(result.data, previousSnapshot);
+    const feed = new GoaFoundationFeed({
+        siteUrl: options.siteUrl,
+        feedUrl: options.feedUrl || ''
+    });
+    const items = feed.getItems(result.data, snapshot, { limit: options.limit });
+    const xml = options.format === 'rss' ? feed.toRss(items) : feed.toAtom(items);
+
+    process.stdout.write(formatChanges(result.changes));
+
+    if (options.dryRun) {
+        return 0;
+    }
+
+    // The feed goes first: if it cannot be written the old snapshot stays, and the next run reports the same changes
+    try {
+        fs.writeFileSync(options.output, xml);
+        fs.mkdirSync(path.dirname(path.resolve(options.snapshot)), { recursive: true });
+        fs.writeFileSync(options.snapshot, JSON.stringify(snapshot, null, 2) + '\n');
+    } catch (error) {
+        process.stderr.write(`Could not write the feed or snapshot: ${error.message}\n`);
+        return 2;
+    }
+    process.stdout.write(`Wrote ${options.output} (${items.length} items) and ${options.snapshot}\n`);
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { main, parseArgs, formatChanges };
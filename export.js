@@ -0,0 +1,319 @@
+/**
+ * Goa Foundation Case Export Module
+ *
+ * This module handles:
+ * - CSV and JSON downloads of case records
+ * - An iCalendar (.ics) feed of dated Timeline entries
+ * - A print-styled HTML report grouped by subject
+ *
+ * Everything here turns records into strings, so it works the same in the browser and in Node.
+ */
+
+// Calendar and report links go through the same URL check as links on the page
+const ExportSafeHtml = typeof GoaFoundationSafeHtml !== 'undefined'
+    ? GoaFoundationSafeHtml
+    : require('./safe-html.js');
+
+class GoaFoundationCaseExporter {
+    constructor(config = {}) {
+        // Default configuration
+        this.config = {
+            // Name shown in exported calendars and reports
+            title: 'Goa Foundation Case Timeline',
+
+            // Domain used for stable calendar event UIDs
+            uidDomain: 'goa-foundation.github.io',
+
+            ...config
+        };
+        this.safeHtml = new ExportSafeHtml();
+    }
+
+    /**
+     * Build a CSV file from case records
+     * @param {Array<Object>} records - Case records
+     * @param {Array<Object>} columns - Columns as { header, field }, in order
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(records, columns) {
+        const lines = [columns.map(column => this.escapeCSVValue(column.header)).join(',')];
+
+        records.forEach(record => {
+            lines.push(columns.map(column => this.escapeCSVValue(record[column.field])).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV value when it contains a separator, quote or line break. Values that
+     * Excel or Google Sheets would run as a formula (starting with =, +, -, @, tab or CR)
+     * get a leading apostrophe, so a sheet cell like =HYPERLINK(...) stays text.
+     * @param {*} value - Cell value
+     * @returns {string} Escaped value
+     */
+    escapeCSVValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build a JSON export. Its shape (a data array plus fieldMapping) is one the spreadsheet
+     * processor can read back, so an export can be re-validated with validate-sheet.js.
+     * @param {Array<Object>} records - Case records
+     * @param {Object} [meta] - { filters, fieldMapping, source }
+     * @returns {string} JSON text
+     */
+    toJSON(records, meta = {}) {
+        const data = records.map(record => {
+            const exported = {};
+            Object.entries(record).forEach(([key, value]) => {
+                // Validation details belong to the sheet, not the export
+                if (!['_errors', '_warnings', '_isValid', '_rejectedValues'].includes(key)) {
+                    exported[key] = value;
+                }
+            });
+            return exported;
+        });
+
+        return JSON.stringify({
+            title: this.config.title,
+            exportedAt: new Date().toISOString(),
+            source: meta.source || null,
+            filters: meta.filters || {},
+            totalRecords: data.length,
+            fieldMapping: meta.fieldMapping || null,
+            data
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Build an iCalendar feed with one all-day event per dated Timeline entry
+     * @param {Array<Object>} records - Case records with parsed _timeline entries
+     * @param {Object} [options] - { name, now }
+     * @returns {string} iCalendar text
+     */
+    toICal(records, options = {}) {
+        const stamp = this.formatICalTimestamp(options.now || new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Goa Foundation//Case Timeline//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeICalText(options.name || this.config.title)}`
+        ];
+
+        records.forEach(record => {
+            const events = Array.isArray(record._timeline) ? record._timeline : [];
+
+            events.forEach((event, index) => {
+                const titleText = record.Title || record.Subject || '';
+                const eventUrl = this.safeHtml.safeUrl(event.url);
+                const description = [
+                    titleText,
+                    record.Subject && record.Subject !== titleText ? `Subject: ${record.Subject}` : '',
+                    eventUrl ? `Source: ${eventUrl}` : ''
+                ].filter(Boolean).join('\n');
+                // safeUrl also rejects whitespace and control characters, so the URL cannot
+                // end its line; URI values are not text-escaped (RFC 5545, 3.3.13)
+                const url = eventUrl || this.safeHtml.safeUrl(record.Archive);
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${this.createEventUid(record, event, index)}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+                    `DTEND;VALUE=DATE:${this.getNextDay(event.date)}`,
+                    `SUMMARY:${this.escapeICalText(`${record.Reference}: ${event.description}`)}`,
+                    `DESCRIPTION:${this.escapeICalText(description)}`
+                );
+
+                if (url) {
+                    lines.push(`URL:${url}`);
+                }
+
+                lines.push('END:VEVENT');
+            });
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Stable event UID from the case reference, date and position in the Timeline cell
+     * @param {Object} record - Case record
+     * @param {Object} event - Timeline entry
+     * @param {number} index - Entry index within the case
+     * @returns {string} UID
+     */
+    createEventUid(record, event, index) {
+        const slug = String(record.Reference || 'case')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        return `${slug}-${event.date}-${index}@${this.config.uidDomain}`;
+    }
+
+    /**
+     * Escape text for an iCalendar property value
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeICalText(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold an iCalendar content line at 75 octets, without splitting multi-byte characters
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldICalLine(line) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let current = '';
+        let size = 0;
+
+        Array.from(line).forEach(char => {
+            const charSize = encoder.encode(char).length;
+            if (size + charSize > 75) {
+                chunks.push(current);
+                current = ' ';
+                size = 1;
+            }
+            current += char;
+            size += charSize;
+        });
+        chunks.push(current);
+
+        return chunks.join('\r\n');
+    }
+
+    /**
+     * Format a date as an iCalendar UTC timestamp
+     * @param {Date} date - Date
+     * @returns {string} e.g. 20240131T120000Z
+     */
+    formatICalTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Day after a YYYY-MM-DD date, in iCalendar DATE form
+     * @param {string} date - Date string
+     * @returns {string} e.g. 20240201
+     */
+    getNextDay(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * Build a standalone, print-styled HTML report
+     * @param {Object} report - { title, filterSummary, generatedAt, subjects }, where each subject is
+     *   { subject, minYear, maxYear, caseCount, stats, cases } and stats comes from calculateCaseStatistics()
+     * @returns {string} HTML document
+     */
+    toReportHTML(report) {
+        const escape = (text) => this.safeHtml.escapeHtml(text);
+        const generatedAt = report.generatedAt || new Date();
+        const totalCases = report.subjects.reduce((sum, subject) => sum + subject.cases.length, 0);
+
+        const sections = report.subjects.map(subject => {
+            const rows = subject.cases.map(caseItem => {
+                const events = Array.isArray(caseItem._timeline) ? caseItem._timeline : [];
+                const documents = ['Archive', 'Petition', 'Order', 'Additional Documents']
+                    .map(field => this.safeHtml.link(caseItem[field], escape(field)))
+                    .filter(link => link)
+                    .join(', ');
+                const eventsHTML = events.length > 0
+                    ? `<ul class="events">${events.map(event =>
+                        `<li><span class="date">${escape(event.date)}</span> ${escape(event.description)}</li>`
+                    ).join('')}</ul>`
+                    : '';
+
+                return `
+                    <tr>
+                        <td>${escape(caseItem.Year)}</td>
+                        <td>${escape(caseItem.Reference)}</td>
+                        <td>
+                            <strong>${escape(caseItem.Title || '')}</strong>
+                            ${caseItem.Description ? `<div class="description">${this.safeHtml.renderMarkdown(caseItem.Description)}</div>` : ''}
+                            ${eventsHTML}
+                        </td>
+                        <td>${escape(caseItem.Tags || '')}</td>
+                        <td>${documents || '—'}</td>
+                    </tr>`;
+            }).join('');
+
+            return `
+            <section class="subject">
+                <h2>${escape(subject.subject)}</h2>
+                <p class="summary">
+                    ${escape(subject.minYear)}–${escape(subject.maxYear)} ·
+                    ${subject.caseCount} ${subject.caseCount === 1 ? 'case' : 'cases'} ·
+                    Archived: ${subject.stats.archived.count} (${subject.stats.archived.percentage}%) ·
+                    Digitized: ${subject.stats.digitized.count} (${subject.stats.digitized.percentage}%)
+                </p>
+                <table>
+                    <thead>
+                        <tr><th>Year</th><th>Case No.</th><th>Case</th><th>Tags</th><th>Documents</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </section>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(report.title || this.config.title)}</title>
+    <style>
+        body { font-family: 'Source Sans Pro', Arial, sans-serif; color: #4A3635; margin: 24px; font-size: 12px; }
+        h1 { color: #905756; font-size: 22px; margin: 0 0 4px; }
+        h2 { color: #905756; font-size: 16px; margin: 24px 0 4px; border-bottom: 2px solid #E8DFC7; padding-bottom: 4px; }
+        .meta, .summary { color: #6B5554; margin: 0 0 8px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid #E8DFC7; }
+        th { background: #FBF7E4; }
+        .description { margin-top: 2px; }
+        .description p { margin: 0 0 4px; }
+        .events { margin: 4px 0 0; padding-left: 16px; color: #6B5554; }
+        .events .date { font-variant-numeric: tabular-nums; }
+        a { color: #905756; }
+        @media print {
+            body { margin: 0; }
+            .subject { break-inside: avoid-page; }
+            tr { break-inside: avoid; }
+            a { color: inherit; text-decoration: none; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escape(report.title || this.config.title)}</h1>
+    <p class="meta">${escape(report.filterSummary || 'All cases')} · ${totalCases} ${totalCases === 1 ? 'case' : 'cases'} ·
+        Generated ${escape(generatedAt.toISOString().slice(0, 10))}</p>
+    ${sections}
+</body>
+</html>
+`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationCaseExporter;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationCaseExporter = GoaFoundationCaseExporter;
+}
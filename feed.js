@@ -0,0 +1,221 @@
+/**
+ * Goa Foundation Feed Module
+ *
+ * This module handles:
+ * - Collecting recent timeline events and newly added cases into feed items
+ * - Writing those items as an Atom or RSS 2.0 feed
+ *
+ * New cases are dated by the snapshot in which they first appeared (see
+ * GoaFoundationSpreadsheetProcessor.createSnapshot()), so the feed only lists cases added
+ * after snapshots began. It works the same in the browser and in Node.
+ */
+
+// Descriptions are Markdown; feed summaries are plain text
+const FeedSafeHtml = typeof GoaFoundationSafeHtml !== 'undefined'
+    ? GoaFoundationSafeHtml
+    : require('./safe-html.js');
+
+class GoaFoundationFeed {
+    constructor(config = {}) {
+        // Default configuration
+        this.config = {
+            // Feed title and description
+            title: 'Goa Foundation Petition Archive',
+            description: 'New cases and hearings, orders and other events in the Goa Foundation petition archive',
+
+            // Page the case links point at, e.g. 'https://example.org/petitions/'. Feed readers need
+            // absolute links, so this should be set when writing a feed file.
+            siteUrl: '',
+
+            // Where the feed itself is published, for Atom's self link
+            feedUrl: '',
+
+            // Author named in the feed
+            author: 'Goa Foundation',
+
+            // Most items in a feed
+            limit: 50,
+
+            // Record fields
+            fields: {
+                reference: 'Reference',
+                title: 'Title',
+                subject: 'Subject',
+                description: 'Description'
+            },
+
+            ...config
+        };
+        this.safeHtml = new FeedSafeHtml();
+    }
+
+    /**
+     * Timeline events and new cases, newest first. Events dated after today are left out.
+     * @param {Array<Object>} records - Processed records
+     * @param {Object|null} [snapshot] - Snapshot with the date each case first appeared
+     * @param {Object} [options] - { limit, now }
+     * @returns {Array<Object>} { id, type: 'case' or 'event', date, title, summary, url, reference, subject }
+     */
+    getItems(records, snapshot = null, options = {}) {
+        const { reference: referenceField, subject: subjectField, description: descriptionField } = this.config.fields;
+        const limit = options.limit || this.config.limit;
+        const today = (options.now || new Date()).toISOString().slice(0, 10);
+        const snapshotRecords = (snapshot && snapshot.records) || {};
+        const items = [];
+
+        records
+            .filter(record => record._isValid !== false && record[referenceField])
+            .forEach(record => {
+                const reference = record[referenceField];
+                const caseTitle = this.getCaseTitle(record);
+                const caseUrl = this.getCaseUrl(record);
+                const firstSeen = snapshotRecords[reference] && snapshotRecords[reference].firstSeen;
+
+                if (firstSeen) {
+                    items.push({
+                        id: `${caseUrl}#case`,
+                        type: 'case',
+                        date: firstSeen,
+                        title: caseTitle,
+                        summary: this.safeHtml.toPlainText(record[descriptionField]),
+                        url: caseUrl,
+                        reference,
+                        subject: record[subjectField] || ''
+                    });
+                }
+
+                (record._timeline || [])
+                    .filter(entry => entry.date <= today)
+                    .forEach(entry => {
+                        const description = this.safeHtml.toPlainText(entry.description);
+                        items.push({
+                            id: `${caseUrl}#event-${entry.date}-${this.slugify(description).slice(0, 60)}`,
+                            type: 'event',
+                            date: entry.date,
+                            title: `${caseTitle}: ${description}`,
+                            summary: description,
+                            url: entry.url || caseUrl,
+                            reference,
+                            subject: record[subjectField] || ''
+                        });
+                    });
+            });
+
+        return items
+            .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title))
+            .slice(0, limit);
+    }
+
+    /**
+     * Title of a case, falling back to its reference
+     * @param {Object} record - Case record
+     * @returns {string} Title
+     */
+    getCaseTitle(record) {
+        return record[this.config.fields.title] || record[this.config.fields.reference];
+    }
+
+    /**
+     * Link to a case's full view on the site
+     * @param {Object} record - Case record
+     * @returns {string} URL
+     */
+    getCaseUrl(record) {
+        return `${this.config.siteUrl}?case=${encodeURIComponent(record[this.config.fields.reference])}`;
+    }
+
+    /**
+     * Lowercase ASCII form of a text, for item ids
+     * @param {string} text - Text
+     * @returns {string} Slug
+     */
+    slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Escape text for XML content or a quoted attribute
+     * @param {*} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Write items as an Atom feed
+     * @param {Array<Object>} items - Items from getItems()
+     * @param {Date} [updated] - Time the feed was written
+     * @returns {string} XML
+     */
+    toAtom(items, updated = new Date()) {
+        const { title, description, siteUrl, feedUrl, author } = this.config;
+        const escape = (text) => this.escapeXml(text);
+
+        const entries = items.map(item => `  <entry>
+    <id>${escape(item.id)}</id>
+    <title>${escape(item.title)}</title>
+    <link rel="alternate" href="${escape(item.url)}"/>
+    <updated>${item.date}T00:00:00Z</updated>
+    <summary>${escape(item.summary)}</summary>
+${item.subject ? `    <category term="${escape(item.subject)}"/>\n` : ''}  </entry>
+`).join('');
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escape(feedUrl || siteUrl)}</id>
+  <title>${escape(title)}</title>
+  <subtitle>${escape(description)}</subtitle>
+  <link rel="alternate" href="${escape(siteUrl)}"/>
+${feedUrl ? `  <link rel="self" href="${escape(feedUrl)}"/>\n` : ''}  <updated>${updated.toISOString()}</updated>
+  <author><name>${escape(author)}</name></author>
+${entries}</feed>
+`;
+    }
+
+    /**
+     * Write items as an RSS 2.0 feed
+     * @param {Array<Object>} items - Items from getItems()
+     * @param {Date} [updated] - Time the feed was written
+     * @returns {string} XML
+     */
+    toRss(items, updated = new Date()) {
+        const { title, description, siteUrl } = this.config;
+        const escape = (text) => this.escapeXml(text);
+
+        const entries = items.map(item => `    <item>
+      <title>${escape(item.title)}</title>
+      <link>${escape(item.url)}</link>
+      <guid isPermaLink="false">${escape(item.id)}</guid>
+      <pubDate>${new Date(`${item.date}T00:00:00Z`).toUTCString()}</pubDate>
+      <description>${escape(item.summary)}</description>
+${item.subject ? `      <category>${escape(item.subject)}</category>\n` : ''}    </item>
+`).join('');
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escape(title)}</title>
+    <link>${escape(siteUrl)}</link>
+    <description>${escape(description)}</description>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${entries}  </channel>
+</rss>
+`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationFeed;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationFeed = GoaFoundationFeed;
+}
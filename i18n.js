@@ -0,0 +1,711 @@
+/**
+ * Goa Foundation Interface Translations
+ *
+ * This module handles:
+ * - Interface strings in English, Konkani, Marathi and Hindi
+ * - Picking a language from the URL, the options or the browser
+ * - Plural forms, and date and number formatting for the current language
+ *
+ * Case data is not translated here: the spreadsheet processor reads per-language columns
+ * such as 'Description (kok)', and the timeline shows them in place of the English ones.
+ */
+
+class GoaFoundationI18n {
+    constructor(config = {}) {
+        // Default configuration
+        this.config = {
+            // Language used when nothing else matches, and for strings missing in a translation
+            defaultLocale: 'en',
+
+            // Languages offered in the switcher. name is shown in the language itself;
+            // intl lists the Intl locales tried for dates and numbers, in order.
+            languages: {
+                en: { name: 'English', intl: ['en-GB'] },
+                kok: { name: 'कोंकणी', intl: ['kok', 'mr'] },
+                mr: { name: 'मराठी', intl: ['mr'] },
+                hi: { name: 'हिन्दी', intl: ['hi'] }
+            },
+
+            // Other codes for the same language, e.g. the ISO 639-3 code for Goan Konkani
+            localeAliases: {
+                gom: 'kok'
+            },
+
+            // Strings by language. A string is either text with {name} placeholders, or
+            // plural forms ({ one, other }) chosen by the count parameter.
+            messages: {
+                en: {
+                    'page.title': 'Open Archive of Petitions',
+                    'page.subtitle': "for the conservation and protection of Goa's natural environment in the Supreme Court of India, High Court of Bombay and the National Green Tribunal",
+                    'page.edit': 'Edit',
+                    'language.label': 'Language',
+                    'loading': 'Loading case data...',
+                    'error.title': 'Error Loading Data',
+                    'search.placeholder': "Search cases. Eg. 'pollution' or 'PIL No. 2526/2021'",
+                    'search.hint': 'Use "quotes" for phrases, tag:Mining, year:1995..2005 and -word to exclude',
+                    'search.label': 'Search cases',
+                    'search.clear': 'Clear search',
+                    'filters.clear': 'Clear Filter',
+                    'filters.clearTitle': 'Clear all filters',
+                    'filters.show': 'Show Case Filter',
+                    'filters.hide': 'Hide Case Filter',
+                    'filters.toggle': 'Toggle filters',
+                    'close': 'Close',
+                    'cases.all': 'All Cases',
+                    'cases.loading': 'Loading cases...',
+                    'cases.count': { one: '{count} case', other: '{count} cases' },
+                    'cases.none': 'No cases found',
+                    'cases.noneForSubject': 'No cases found for this subject',
+                    'cases.emptyHint': 'Click on a timeline bar to view detailed case information',
+                    'cases.untitled': 'Untitled Case',
+                    'order.oldest': 'Oldest',
+                    'order.newest': 'Latest',
+                    'order.relevance': 'Best match',
+                    'order.label': 'Case order',
+                    'export.label': 'Export:',
+                    'export.ics': 'Calendar (.ics)',
+                    'export.report': 'Printable report',
+                    'tagMode.label': 'Match',
+                    'tagMode.any': 'Any tag',
+                    'tagMode.all': 'All tags',
+                    'tags.buttonTitle': 'Click to include, click again to exclude, and once more to clear',
+                    'tags.selected': '({count} selected)',
+                    'view.timeline': 'Timeline',
+                    'view.map': 'Map',
+                    'view.table': 'Table',
+                    'view.dashboard': 'Dashboard',
+                    'view.label': 'View',
+                    'zoom.hint': 'Ctrl + scroll to zoom, drag to pan',
+                    'zoom.reset': 'Reset zoom',
+                    'years.clear': 'Clear years',
+                    'chart.export': 'Export chart',
+                    'sort.label': 'Sort by',
+                    'sort.year': 'First year',
+                    'sort.reference': 'Most cases',
+                    'sort.alpha': 'A–Z',
+                    'chart.yearAxis': 'Year',
+                    'chart.histogram': 'Cases per year · drag to pick years',
+                    'chart.histogramShort': 'Drag to pick years',
+                    'chart.titleWithQuery': '{title} matching "{query}"',
+                    'chart.summary': '{cases} in {subjects}',
+                    'chart.subjects': { one: '{count} subject', other: '{count} subjects' },
+                    'chart.source': 'Source: Goa Foundation case archive, {host}',
+                    'chart.exported': 'Exported {date}',
+                    'title.involving': 'Cases involving {tags}',
+                    'title.excluding': 'excluding {tags}',
+                    'list.or': 'or',
+                    'list.and': 'and',
+                    'case.timeline': 'Timeline',
+                    'case.readMore': 'Read more →',
+                    'case.thumbnail': 'Case thumbnail',
+                    'case.image': 'Case image',
+                    'case.imageSource': 'Source',
+                    'link.archive': 'Archive',
+                    'link.petition': 'Petition',
+                    'link.documents': 'Documents',
+                    'link.order': 'Order',
+                    'link.details': 'Details',
+                    'case.back': '← All cases',
+                    'case.related': 'Related cases',
+                    'case.sameSubject': 'Same subject',
+                    'case.sharedTags': 'Shared tags: {tags}',
+                    'case.notFound': 'No case with the reference "{reference}" was found.',
+                    'case.showSubject': { one: 'Show the {count} case in {subject}', other: 'Show all {count} cases in {subject}' },
+                    'map.unmapped': '{unmapped} of {total} cases have no location on the map and are not shown.',
+                    'map.error': 'The map could not be loaded.',
+                    'tooltip.year': 'Year',
+                    'tooltip.reference': 'Case No.',
+                    'tooltip.subject': 'Subject',
+                    'tooltip.location': 'Location',
+                    'tooltip.tags': 'Tags',
+                    'tooltip.case': 'Case',
+                    'tooltip.openCase': 'Click to open this case →',
+                    'tooltip.period': 'Period',
+                    'tooltip.years': { one: '{count} year', other: '{count} years' },
+                    'tooltip.caseCount': 'Case Count',
+                    'tooltip.archived': 'Archived',
+                    'tooltip.digitized': 'Cases Digitized',
+                    'tooltip.caseNumbers': 'Case Nos',
+                    'tooltip.openSubject': 'Click to view all cases in detail →',
+                    'freshness.live': 'Data as of {date}',
+                    'freshness.cached': 'Data as of {date} · checking for updates…',
+                    'freshness.offline': 'Offline · showing saved data as of {date}',
+                    'a11y.chart': 'Cases by subject. Use the up and down arrow keys to move between subjects and Enter to show a subject\'s cases.',
+                    'a11y.subject': '{subject}: {cases}, {years}',
+                    'a11y.subjectShown': '{subject}: {cases} in the case list',
+                    'table.subject': 'Subject',
+                    'table.from': 'First year',
+                    'table.to': 'Last year',
+                    'table.cases': 'Cases',
+                    'dashboard.subjects': 'Subjects',
+                    'dashboard.years': 'Years',
+                    'dashboard.casesPerYear': 'Cases filed per year',
+                    'dashboard.activeSubjects': 'Active subjects per year',
+                    'dashboard.activeSubjectsNote': 'A subject is active from its first case to its last.',
+                    'dashboard.tagTrends': 'Most used tags, cases per {years} years',
+                    'dashboard.coverage': 'Documents online per subject',
+                    'dashboard.peak': '{title}. Highest: {count} in {year}.',
+                    'dashboard.missing': { one: '{count} case without a petition or order', other: '{count} cases without a petition or order' },
+                    'dashboard.missingNone': 'Every case shown has its petition and order online.',
+                    'dashboard.missingColumn': 'Missing',
+                    'dashboard.caseTitle': 'Title',
+                    'whatsNew.title': "What's new",
+                    'whatsNew.firstVisit': 'Changes to the archive will show here on your next visit.',
+                    'whatsNew.since': 'Changes since {date}',
+                    'whatsNew.none': 'No changes since {date}',
+                    'whatsNew.added': { one: '{count} new case', other: '{count} new cases' },
+                    'whatsNew.events': { one: '{count} new timeline entry', other: '{count} new timeline entries' },
+                    'whatsNew.changed': { one: '{count} case updated', other: '{count} cases updated' },
+                    'whatsNew.removed': { one: '{count} case removed', other: '{count} cases removed' },
+                    'whatsNew.fields': 'Changed: {fields}',
+                    'whatsNew.markSeen': 'Mark as seen',
+                    'whatsNew.seen': 'Changes marked as seen',
+                    'whatsNew.recent': 'Recent events',
+                    'whatsNew.caseAdded': 'added to the archive',
+                    'whatsNew.subscribe': 'Subscribe to updates (feed)'
+                },
+
+                kok: {
+                    'page.title': 'याचिकांचो उक्तो संग्रह',
+                    'page.subtitle': 'सर्वोच्च न्यायालय, मुंबय उच्च न्यायालय आनी राष्ट्रीय हरित लवादांत गोंयच्या सैमीक वातावरणाच्या राखणे आनी संवर्धनाखातीर',
+                    'page.edit': 'बदल करात',
+                    'language.label': 'भास',
+                    'loading': 'खटल्यांचो डेटा लोड जाता...',
+                    'error.title': 'डेटा लोड करपाक चूक',
+                    'search.placeholder': "खटले सोदात, देखीक 'pollution' वा 'PIL No. 2526/2021'",
+                    'search.hint': 'वाक्यांशाखातीर "उद्धरण चिन्नां", tag:Mining, year:1995..2005 आनी वगळावपाक -उतर वापरात',
+                    'search.label': 'खटले सोदात',
+                    'search.clear': 'सोद पुसात',
+                    'filters.clear': 'फिल्टर काडात',
+                    'filters.clearTitle': 'सगळे फिल्टर काडात',
+                    'filters.show': 'खटलो फिल्टर दाखयात',
+                    'filters.hide': 'खटलो फिल्टर लिपयात',
+                    'filters.toggle': 'फिल्टर दाखयात/लिपयात',
+                    'close': 'बंद करात',
+                    'cases.all': 'सगळे खटले',
+                    'cases.loading': 'खटले लोड जातात...',
+                    'cases.count': { one: '{count} खटलो', other: '{count} खटले' },
+                    'cases.none': 'एकूय खटलो मेळूंक ना',
+                    'cases.noneForSubject': 'ह्या विशयाखातीर एकूय खटलो मेळूंक ना',
+                    'cases.emptyHint': 'सविस्तर म्हायतीखातीर टायमलायनीचेर पट्टेचेर क्लिक करात',
+                    'cases.untitled': 'माथाळो नाशिल्लो खटलो',
+                    'order.oldest': 'सगळ्यांत पोनें',
+                    'order.newest': 'नवें',
+                    'order.relevance': 'सगळ्यांत बरो मेळ',
+                    'order.label': 'खटल्यांचो क्रम',
+                    'export.label': 'निर्यात:',
+                    'export.ics': 'कॅलेंडर (.ics)',
+                    'export.report': 'छापपा सारको अहवाल',
+                    'tagMode.label': 'मेळ',
+                    'tagMode.any': 'खंयचोय टॅग',
+                    'tagMode.all': 'सगळे टॅग',
+                    'tags.buttonTitle': 'भितर घालपाक क्लिक करात, वगळावपाक परत क्लिक करात आनी काडपाक आनीक एक फावट',
+                    'tags.selected': '({count} वेंचिल्ले)',
+                    'view.timeline': 'टायमलायन',
+                    'view.map': 'नकासो',
+                    'view.table': 'तक्तो',
+                    'view.dashboard': 'डॅशबोर्ड',
+                    'view.label': 'दृश्य',
+                    'zoom.hint': 'झूम करपाक Ctrl + स्क्रोल, सरकावपाक ओडात',
+                    'zoom.reset': 'झूम रिसेट करात',
+                    'years.clear': 'वर्सां काडात',
+                    'chart.export': 'चार्ट निर्यात करात',
+                    'sort.label': 'क्रम',
+                    'sort.year': 'पयलें वर्स',
+                    'sort.reference': 'चड खटले',
+                    'sort.alpha': 'अक्षरक्रमान',
+                    'chart.yearAxis': 'वर्स',
+                    'chart.histogram': 'वर्सावार खटले · वर्सां वेंचपाक ओडात',
+                    'chart.histogramShort': 'वर्सां वेंचपाक ओडात',
+                    'chart.titleWithQuery': '{title}, "{query}" कडेन जुळपी',
+                    'chart.summary': '{subjects} हांतूत {cases}',
+                    'chart.subjects': { one: '{count} विशय', other: '{count} विशय' },
+                    'chart.source': 'स्रोत: गोंय फावंडेशन खटलो संग्रह, {host}',
+                    'chart.exported': 'निर्यात: {date}',
+                    'title.involving': '{tags} संबंदीत खटले',
+                    'title.excluding': '{tags} सोडून',
+                    'list.or': 'वा',
+                    'list.and': 'आनी',
+                    'case.timeline': 'घडणुकांचो क्रम',
+                    'case.readMore': 'आनीक वाचात →',
+                    'case.thumbnail': 'खटल्याची ल्हान प्रतिमा',
+                    'case.image': 'खटल्याची प्रतिमा',
+                    'case.imageSource': 'स्रोत',
+                    'link.archive': 'संग्रह',
+                    'link.petition': 'याचिका',
+                    'link.documents': 'कागदपत्रां',
+                    'link.order': 'आदेश',
+                    'link.details': 'तपशील',
+                    'case.back': '← सगळे खटले',
+                    'case.related': 'संबंदीत खटले',
+                    'case.sameSubject': 'तोच विशय',
+                    'case.sharedTags': 'सामायीक टॅग: {tags}',
+                    'case.notFound': '"{reference}" संदर्भाचो खटलो मेळूंक ना.',
+                    'case.showSubject': { one: '{subject} हांतूतलो {count} खटलो दाखयात', other: '{subject} हांतूतले सगळे {count} खटले दाखयात' },
+                    'map.unmapped': '{total} खटल्यां पैकी {unmapped} खटल्यांक नकाशाचेर सुवात ना, देखून ते दाखयल्ले नात.',
+                    'map.error': 'नकासो लोड जावंक ना.',
+                    'tooltip.year': 'वर्स',
+                    'tooltip.reference': 'खटलो क्रमांक',
+                    'tooltip.subject': 'विशय',
+                    'tooltip.location': 'सुवात',
+                    'tooltip.tags': 'टॅग',
+                    'tooltip.case': 'खटलो',
+                    'tooltip.openCase': 'हो खटलो उगडपाक क्लिक करात →',
+                    'tooltip.period': 'काळ',
+                    'tooltip.years': { one: '{count} वर्स', other: '{count} वर्सां' },
+                    'tooltip.caseCount': 'खटल्यांची संख्या',
+                    'tooltip.archived': 'संग्रहीत',
+                    'tooltip.digitized': 'डिजिटल केल्ले खटले',
+                    'tooltip.caseNumbers': 'खटलो क्रमांक',
+                    'tooltip.openSubject': 'सगळे खटले सविस्तर पळोवपाक क्लिक करात →',
+                    'freshness.live': '{date} मेरेनचो डेटा',
+                    'freshness.cached': '{date} मेरेनचो डेटा · नवे बदल तपासतात…',
+                    'freshness.offline': 'ऑफलायन · {date} मेरेनचो सांबाळून दवरिल्लो डेटा',
+                    'a11y.chart': 'विशयावार खटले. विशयां मदीं वचपाक वयल्यो आनी सकयल्यो बाणाच्यो कळो आनी विशयाचे खटले पळोवपाक Enter वापरात.',
+                    'a11y.subject': '{subject}: {cases}, {years}',
+                    'a11y.subjectShown': '{subject}: खटल्यांच्या वळेरेंत {cases}',
+                    'table.subject': 'विशय',
+                    'table.from': 'पयलें वर्स',
+                    'table.to': 'निमणें वर्स',
+                    'table.cases': 'खटले',
+                    'dashboard.subjects': 'विशय',
+                    'dashboard.years': 'वर्सां',
+                    'dashboard.casesPerYear': 'वर्साक दाखल जाल्ले खटले',
+                    'dashboard.activeSubjects': 'वर्साक चालू आशिल्ले विशय',
+                    'dashboard.activeSubjectsNote': 'विशय आपल्या पयल्या खटल्या सावन निमण्या खटल्या मेरेन चालू आसता.',
+                    'dashboard.tagTrends': 'चड वापरिल्ले टॅग, दर {years} वर्सांचे खटले',
+                    'dashboard.coverage': 'विशयावार ऑनलायन दस्तावेज',
+                    'dashboard.peak': '{title}. सगळ्यांत चड: {year} वर्सा {count}.',
+                    'dashboard.missing': { one: 'याचिका वा आदेश नाशिल्लो {count} खटलो', other: 'याचिका वा आदेश नाशिल्ले {count} खटले' },
+                    'dashboard.missingNone': 'दाखयल्ल्या दरेक खटल्याची याचिका आनी आदेश ऑनलायन आसा.',
+                    'dashboard.missingColumn': 'ना',
+                    'dashboard.caseTitle': 'माथाळो',
+                    'whatsNew.title': 'नवें कितें',
+                    'whatsNew.firstVisit': 'आर्कायवांतले बदल तुमच्या फुडल्या भेटीवेळार हांगा दिसतले.',
+                    'whatsNew.since': '{date} सावन जाल्ले बदल',
+                    'whatsNew.none': '{date} सावन बदल ना',
+                    'whatsNew.added': { one: '{count} नवो खटलो', other: '{count} नवे खटले' },
+                    'whatsNew.events': { one: 'टायमलायनींत {count} नवी नोंद', other: 'टायमलायनींत {count} नव्यो नोंदी' },
+                    'whatsNew.changed': { one: '{count} खटलो बदल्लो', other: '{count} खटले बदल्ले' },
+                    'whatsNew.removed': { one: '{count} खटलो काडलो', other: '{count} खटले काडले' },
+                    'whatsNew.fields': 'बदल: {fields}',
+                    'whatsNew.markSeen': 'पळयलें म्हूण खूण करात',
+                    'whatsNew.seen': 'बदल पळयले म्हूण खूण केल्या',
+                    'whatsNew.recent': 'हालींच्यो घडणुको',
+                    'whatsNew.caseAdded': 'आर्कायवांत जोडलो',
+                    'whatsNew.subscribe': 'अपडेटां खातीर सबस्क्रायब करात (फीड)'
+                },
+
+                mr: {
+                    'page.title': 'याचिकांचे खुले संग्रहण',
+                    'page.subtitle': 'सर्वोच्च न्यायालय, मुंबई उच्च न्यायालय आणि राष्ट्रीय हरित लवादातील गोव्याच्या नैसर्गिक पर्यावरणाच्या संवर्धन आणि संरक्षणासाठी',
+                    'page.edit': 'संपादित करा',
+                    'language.label': 'भाषा',
+                    'loading': 'प्रकरणांची माहिती लोड होत आहे...',
+                    'error.title': 'माहिती लोड करताना त्रुटी',
+                    'search.placeholder': "प्रकरणे शोधा, उदा. 'pollution' किंवा 'PIL No. 2526/2021'",
+                    'search.hint': 'वाक्यांशासाठी "अवतरण चिन्हे", tag:Mining, year:1995..2005 आणि वगळण्यासाठी -शब्द वापरा',
+                    'search.label': 'प्रकरणे शोधा',
+                    'search.clear': 'शोध पुसा',
+                    'filters.clear': 'फिल्टर काढा',
+                    'filters.clearTitle': 'सर्व फिल्टर काढा',
+                    'filters.show': 'प्रकरण फिल्टर दाखवा',
+                    'filters.hide': 'प्रकरण फिल्टर लपवा',
+                    'filters.toggle': 'फिल्टर दाखवा/लपवा',
+                    'close': 'बंद करा',
+                    'cases.all': 'सर्व प्रकरणे',
+                    'cases.loading': 'प्रकरणे लोड होत आहेत...',
+                    'cases.count': { one: '{count} प्रकरण', other: '{count} प्रकरणे' },
+                    'cases.none': 'एकही प्रकरण सापडले नाही',
+                    'cases.noneForSubject': 'या विषयासाठी एकही प्रकरण सापडले नाही',
+                    'cases.emptyHint': 'सविस्तर माहितीसाठी टाइमलाइनमधील पट्टीवर क्लिक करा',
+                    'cases.untitled': 'शीर्षक नसलेले प्रकरण',
+                    'order.oldest': 'सर्वात जुनी',
+                    'order.newest': 'नवीनतम',
+                    'order.relevance': 'सर्वोत्तम जुळणी',
+                    'order.label': 'प्रकरणांचा क्रम',
+                    'export.label': 'निर्यात:',
+                    'export.ics': 'दिनदर्शिका (.ics)',
+                    'export.report': 'छापण्यायोग्य अहवाल',
+                    'tagMode.label': 'जुळणी',
+                    'tagMode.any': 'कोणताही टॅग',
+                    'tagMode.all': 'सर्व टॅग',
+                    'tags.buttonTitle': 'समाविष्ट करण्यासाठी क्लिक करा, वगळण्यासाठी पुन्हा क्लिक करा आणि काढण्यासाठी आणखी एकदा',
+                    'tags.selected': '({count} निवडले)',
+                    'view.timeline': 'टाइमलाइन',
+                    'view.map': 'नकाशा',
+                    'view.table': 'तक्ता',
+                    'view.dashboard': 'डॅशबोर्ड',
+                    'view.label': 'दृश्य',
+                    'zoom.hint': 'झूमसाठी Ctrl + स्क्रोल, सरकवण्यासाठी ओढा',
+                    'zoom.reset': 'झूम रीसेट करा',
+                    'years.clear': 'वर्षे काढा',
+                    'chart.export': 'चार्ट निर्यात करा',
+                    'sort.label': 'क्रम',
+                    'sort.year': 'पहिले वर्ष',
+                    'sort.reference': 'सर्वाधिक प्रकरणे',
+                    'sort.alpha': 'वर्णक्रमानुसार',
+                    'chart.yearAxis': 'वर्ष',
+                    'chart.histogram': 'वर्षनिहाय प्रकरणे · वर्षे निवडण्यासाठी ओढा',
+                    'chart.histogramShort': 'वर्षे निवडण्यासाठी ओढा',
+                    'chart.titleWithQuery': '{title}, "{query}" शी जुळणारी',
+                    'chart.summary': '{subjects} मध्ये {cases}',
+                    'chart.subjects': { one: '{count} विषय', other: '{count} विषय' },
+                    'chart.source': 'स्रोत: गोवा फाउंडेशन प्रकरण संग्रह, {host}',
+                    'chart.exported': 'निर्यात: {date}',
+                    'title.involving': '{tags} संबंधित प्रकरणे',
+                    'title.excluding': '{tags} वगळून',
+                    'list.or': 'किंवा',
+                    'list.and': 'आणि',
+                    'case.timeline': 'घटनाक्रम',
+                    'case.readMore': 'अधिक वाचा →',
+                    'case.thumbnail': 'प्रकरणाची लघुप्रतिमा',
+                    'case.image': 'प्रकरणाची प्रतिमा',
+                    'case.imageSource': 'स्रोत',
+                    'link.archive': 'संग्रह',
+                    'link.petition': 'याचिका',
+                    'link.documents': 'कागदपत्रे',
+                    'link.order': 'आदेश',
+                    'link.details': 'तपशील',
+                    'case.back': '← सर्व प्रकरणे',
+                    'case.related': 'संबंधित प्रकरणे',
+                    'case.sameSubject': 'समान विषय',
+                    'case.sharedTags': 'सामायिक टॅग: {tags}',
+                    'case.notFound': '"{reference}" संदर्भाचे प्रकरण सापडले नाही.',
+                    'case.showSubject': { one: '{subject} मधील {count} प्रकरण दाखवा', other: '{subject} मधील सर्व {count} प्रकरणे दाखवा' },
+                    'map.unmapped': '{total} पैकी {unmapped} प्रकरणांना नकाशावर स्थान नाही, त्यामुळे ती दाखवलेली नाहीत.',
+                    'map.error': 'नकाशा लोड होऊ शकला नाही.',
+                    'tooltip.year': 'वर्ष',
+                    'tooltip.reference': 'प्रकरण क्रमांक',
+                    'tooltip.subject': 'विषय',
+                    'tooltip.location': 'स्थान',
+                    'tooltip.tags': 'टॅग',
+                    'tooltip.case': 'प्रकरण',
+                    'tooltip.openCase': 'हे प्रकरण उघडण्यासाठी क्लिक करा →',
+                    'tooltip.period': 'कालावधी',
+                    'tooltip.years': { one: '{count} वर्ष', other: '{count} वर्षे' },
+                    'tooltip.caseCount': 'प्रकरणांची संख्या',
+                    'tooltip.archived': 'संग्रहित',
+                    'tooltip.digitized': 'डिजिटाइझ केलेली प्रकरणे',
+                    'tooltip.caseNumbers': 'प्रकरण क्रमांक',
+                    'tooltip.openSubject': 'सर्व प्रकरणे सविस्तर पाहण्यासाठी क्लिक करा →',
+                    'freshness.live': '{date} पर्यंतची माहिती',
+                    'freshness.cached': '{date} पर्यंतची माहिती · अद्यतने तपासत आहे…',
+                    'freshness.offline': 'ऑफलाइन · {date} पर्यंतची जतन केलेली माहिती',
+                    'a11y.chart': 'विषयनिहाय प्रकरणे. विषयांमध्ये जाण्यासाठी वर आणि खाली बाण कळा आणि विषयाची प्रकरणे पाहण्यासाठी Enter वापरा.',
+                    'a11y.subject': '{subject}: {cases}, {years}',
+                    'a11y.subjectShown': '{subject}: प्रकरण यादीत {cases}',
+                    'table.subject': 'विषय',
+                    'table.from': 'पहिले वर्ष',
+                    'table.to': 'शेवटचे वर्ष',
+                    'table.cases': 'प्रकरणे',
+                    'dashboard.subjects': 'विषय',
+                    'dashboard.years': 'वर्षे',
+                    'dashboard.casesPerYear': 'दरवर्षी दाखल झालेली प्रकरणे',
+                    'dashboard.activeSubjects': 'दरवर्षी सक्रिय विषय',
+                    'dashboard.activeSubjectsNote': 'विषय त्याच्या पहिल्या प्रकरणापासून शेवटच्या प्रकरणापर्यंत सक्रिय मानला जातो.',
+                    'dashboard.tagTrends': 'सर्वाधिक वापरलेले टॅग, दर {years} वर्षांतील प्रकरणे',
+                    'dashboard.coverage': 'विषयनिहाय ऑनलाइन दस्तऐवज',
+                    'dashboard.peak': '{title}. सर्वाधिक: {year} मध्ये {count}.',
+                    'dashboard.missing': { one: 'याचिका किंवा आदेश नसलेले {count} प्रकरण', other: 'याचिका किंवा आदेश नसलेली {count} प्रकरणे' },
+                    'dashboard.missingNone': 'दाखवलेल्या प्रत्येक प्रकरणाची याचिका आणि आदेश ऑनलाइन आहेत.',
+                    'dashboard.missingColumn': 'नसलेले',
+                    'dashboard.caseTitle': 'शीर्षक',
+                    'whatsNew.title': 'नवीन काय',
+                    'whatsNew.firstVisit': 'संग्रहातील बदल तुमच्या पुढील भेटीत येथे दिसतील.',
+                    'whatsNew.since': '{date} पासूनचे बदल',
+                    'whatsNew.none': '{date} पासून कोणतेही बदल नाहीत',
+                    'whatsNew.added': { one: '{count} नवीन खटला', other: '{count} नवीन खटले' },
+                    'whatsNew.events': { one: 'टाइमलाइनमध्ये {count} नवी नोंद', other: 'टाइमलाइनमध्ये {count} नव्या नोंदी' },
+                    'whatsNew.changed': { one: '{count} खटला अद्यतनित', other: '{count} खटले अद्यतनित' },
+                    'whatsNew.removed': { one: '{count} खटला काढला', other: '{count} खटले काढले' },
+                    'whatsNew.fields': 'बदल: {fields}',
+                    'whatsNew.markSeen': 'पाहिले म्हणून खूण करा',
+                    'whatsNew.seen': 'बदल पाहिले म्हणून खूण केली',
+                    'whatsNew.recent': 'अलीकडील घटना',
+                    'whatsNew.caseAdded': 'संग्रहात जोडला',
+                    'whatsNew.subscribe': 'अद्यतनांसाठी सदस्यता घ्या (फीड)'
+                },
+
+                hi: {
+                    'page.title': 'याचिकाओं का खुला संग्रह',
+                    'page.subtitle': 'सर्वोच्च न्यायालय, बॉम्बे उच्च न्यायालय और राष्ट्रीय हरित अधिकरण में गोवा के प्राकृतिक पर्यावरण के संरक्षण और सुरक्षा के लिए',
+                    'page.edit': 'संपादित करें',
+                    'language.label': 'भाषा',
+                    'loading': 'मामलों का डेटा लोड हो रहा है...',
+                    'error.title': 'डेटा लोड करने में त्रुटि',
+                    'search.placeholder': "मामले खोजें, जैसे 'pollution' या 'PIL No. 2526/2021'",
+                    'search.hint': 'वाक्यांश के लिए "उद्धरण चिह्न", tag:Mining, year:1995..2005 और बाहर रखने के लिए -शब्द का उपयोग करें',
+                    'search.label': 'मामले खोजें',
+                    'search.clear': 'खोज साफ़ करें',
+                    'filters.clear': 'फ़िल्टर हटाएँ',
+                    'filters.clearTitle': 'सभी फ़िल्टर हटाएँ',
+                    'filters.show': 'मामला फ़िल्टर दिखाएँ',
+                    'filters.hide': 'मामला फ़िल्टर छिपाएँ',
+                    'filters.toggle': 'फ़िल्टर दिखाएँ/छिपाएँ',
+                    'close': 'बंद करें',
+                    'cases.all': 'सभी मामले',
+                    'cases.loading': 'मामले लोड हो रहे हैं...',
+                    'cases.count': { one: '{count} मामला', other: '{count} मामले' },
+                    'cases.none': 'कोई मामला नहीं मिला',
+                    'cases.noneForSubject': 'इस विषय के लिए कोई मामला नहीं मिला',
+                    'cases.emptyHint': 'विस्तृत जानकारी देखने के लिए टाइमलाइन की किसी पट्टी पर क्लिक करें',
+                    'cases.untitled': 'शीर्षकहीन मामला',
+                    'order.oldest': 'सबसे पुराने',
+                    'order.newest': 'नवीनतम',
+                    'order.relevance': 'सबसे उपयुक्त',
+                    'order.label': 'मामलों का क्रम',
+                    'export.label': 'निर्यात:',
+                    'export.ics': 'कैलेंडर (.ics)',
+                    'export.report': 'प्रिंट योग्य रिपोर्ट',
+                    'tagMode.label': 'मिलान',
+                    'tagMode.any': 'कोई भी टैग',
+                    'tagMode.all': 'सभी टैग',
+                    'tags.buttonTitle': 'शामिल करने के लिए क्लिक करें, बाहर रखने के लिए फिर क्लिक करें और हटाने के लिए एक बार और',
+                    'tags.selected': '({count} चुने गए)',
+                    'view.timeline': 'टाइमलाइन',
+                    'view.map': 'नक्शा',
+                    'view.table': 'तालिका',
+                    'view.dashboard': 'डैशबोर्ड',
+                    'view.label': 'दृश्य',
+                    'zoom.hint': 'ज़ूम के लिए Ctrl + स्क्रॉल, खिसकाने के लिए खींचें',
+                    'zoom.reset': 'ज़ूम रीसेट करें',
+                    'years.clear': 'वर्ष हटाएँ',
+                    'chart.export': 'चार्ट निर्यात करें',
+                    'sort.label': 'क्रम',
+                    'sort.year': 'पहला वर्ष',
+                    'sort.reference': 'सबसे अधिक मामले',
+                    'sort.alpha': 'वर्णानुक्रम',
+                    'chart.yearAxis': 'वर्ष',
+                    'chart.histogram': 'प्रति वर्ष मामले · वर्ष चुनने के लिए खींचें',
+                    'chart.histogramShort': 'वर्ष चुनने के लिए खींचें',
+                    'chart.titleWithQuery': '{title}, "{query}" से मेल खाते',
+                    'chart.summary': '{subjects} में {cases}',
+                    'chart.subjects': { one: '{count} विषय', other: '{count} विषय' },
+                    'chart.source': 'स्रोत: गोवा फ़ाउंडेशन मामला संग्रह, {host}',
+                    'chart.exported': 'निर्यात: {date}',
+                    'title.involving': '{tags} से जुड़े मामले',
+                    'title.excluding': '{tags} को छोड़कर',
+                    'list.or': 'या',
+                    'list.and': 'और',
+                    'case.timeline': 'घटनाक्रम',
+                    'case.readMore': 'और पढ़ें →',
+                    'case.thumbnail': 'मामले का थंबनेल',
+                    'case.image': 'मामले की छवि',
+                    'case.imageSource': 'स्रोत',
+                    'link.archive': 'संग्रह',
+                    'link.petition': 'याचिका',
+                    'link.documents': 'दस्तावेज़',
+                    'link.order': 'आदेश',
+                    'link.details': 'विवरण',
+                    'case.back': '← सभी मामले',
+                    'case.related': 'संबंधित मामले',
+                    'case.sameSubject': 'समान विषय',
+                    'case.sharedTags': 'साझा टैग: {tags}',
+                    'case.notFound': 'संदर्भ "{reference}" वाला कोई मामला नहीं मिला।',
+                    'case.showSubject': { one: '{subject} का {count} मामला दिखाएँ', other: '{subject} के सभी {count} मामले दिखाएँ' },
+                    'map.unmapped': '{total} में से {unmapped} मामलों का नक्शे पर कोई स्थान नहीं है, इसलिए वे नहीं दिखाए गए।',
+                    'map.error': 'नक्शा लोड नहीं हो सका।',
+                    'tooltip.year': 'वर्ष',
+                    'tooltip.reference': 'मामला संख्या',
+                    'tooltip.subject': 'विषय',
+                    'tooltip.location': 'स्थान',
+                    'tooltip.tags': 'टैग',
+                    'tooltip.case': 'मामला',
+                    'tooltip.openCase': 'यह मामला खोलने के लिए क्लिक करें →',
+                    'tooltip.period': 'अवधि',
+                    'tooltip.years': { one: '{count} वर्ष', other: '{count} वर्ष' },
+                    'tooltip.caseCount': 'मामलों की संख्या',
+                    'tooltip.archived': 'संग्रहीत',
+                    'tooltip.digitized': 'डिजिटाइज़ किए गए मामले',
+                    'tooltip.caseNumbers': 'मामला संख्याएँ',
+                    'tooltip.openSubject': 'सभी मामले विस्तार से देखने के लिए क्लिक करें →',
+                    'freshness.live': '{date} तक का डेटा',
+                    'freshness.cached': '{date} तक का डेटा · अपडेट की जाँच हो रही है…',
+                    'freshness.offline': 'ऑफ़लाइन · {date} तक का सहेजा गया डेटा',
+                    'a11y.chart': 'विषय के अनुसार मामले। विषयों के बीच जाने के लिए ऊपर और नीचे तीर कुंजियों और किसी विषय के मामले देखने के लिए Enter का उपयोग करें।',
+                    'a11y.subject': '{subject}: {cases}, {years}',
+                    'a11y.subjectShown': '{subject}: मामलों की सूची में {cases}',
+                    'table.subject': 'विषय',
+                    'table.from': 'पहला वर्ष',
+                    'table.to': 'अंतिम वर्ष',
+                    'table.cases': 'मामले',
+                    'dashboard.subjects': 'विषय',
+                    'dashboard.years': 'वर्ष',
+                    'dashboard.casesPerYear': 'प्रति वर्ष दायर मामले',
+                    'dashboard.activeSubjects': 'प्रति वर्ष सक्रिय विषय',
+                    'dashboard.activeSubjectsNote': 'कोई विषय अपने पहले मामले से अंतिम मामले तक सक्रिय माना जाता है।',
+                    'dashboard.tagTrends': 'सबसे अधिक प्रयुक्त टैग, हर {years} वर्ष के मामले',
+                    'dashboard.coverage': 'विषय के अनुसार ऑनलाइन दस्तावेज़',
+                    'dashboard.peak': '{title}। सबसे अधिक: {year} में {count}।',
+                    'dashboard.missing': { one: 'याचिका या आदेश के बिना {count} मामला', other: 'याचिका या आदेश के बिना {count} मामले' },
+                    'dashboard.missingNone': 'दिखाए गए हर मामले की याचिका और आदेश ऑनलाइन हैं।',
+                    'dashboard.missingColumn': 'अनुपलब्ध',
+                    'dashboard.caseTitle': 'शीर्षक',
+                    'whatsNew.title': 'नया क्या है',
+                    'whatsNew.firstVisit': 'संग्रह में हुए बदलाव आपकी अगली विज़िट पर यहाँ दिखेंगे।',
+                    'whatsNew.since': '{date} से हुए बदलाव',
+                    'whatsNew.none': '{date} से कोई बदलाव नहीं',
+                    'whatsNew.added': { one: '{count} नया मामला', other: '{count} नए मामले' },
+                    'whatsNew.events': { one: 'टाइमलाइन में {count} नई प्रविष्टि', other: 'टाइमलाइन में {count} नई प्रविष्टियाँ' },
+                    'whatsNew.changed': { one: '{count} मामला अपडेट हुआ', other: '{count} मामले अपडेट हुए' },
+                    'whatsNew.removed': { one: '{count} मामला हटाया गया', other: '{count} मामले हटाए गए' },
+                    'whatsNew.fields': 'बदलाव: {fields}',
+                    'whatsNew.markSeen': 'देखा गया चिह्नित करें',
+                    'whatsNew.seen': 'बदलाव देखे गए के रूप में चिह्नित',
+                    'whatsNew.recent': 'हाल की घटनाएँ',
+                    'whatsNew.caseAdded': 'संग्रह में जोड़ा गया',
+                    'whatsNew.subscribe': 'अपडेट के लिए सदस्यता लें (फ़ीड)'
+                }
+            },
+
+            ...config
+        };
+
+        this.locale = this.config.defaultLocale;
+    }
+
+    /**
+     * Languages offered in the switcher
+     * @returns {Array<Object>} { code, name } in configuration order
+     */
+    getLanguages() {
+        return Object.entries(this.config.languages).map(([code, language]) => ({ code, name: language.name }));
+    }
+
+    /**
+     * Pick the first supported language from a list of candidates such as URL, option and browser languages
+     * @param {Array<string>} candidates - Language tags, e.g. ['mr', 'hi-IN', 'en-US']; empty values are skipped
+     * @param {string|null} [fallback] - Returned when no candidate is supported (default: the default language)
+     * @returns {string|null} Supported language code, or the fallback
+     */
+    resolveLocale(candidates, fallback = this.config.defaultLocale) {
+        for (const candidate of candidates) {
+            if (!candidate) {
+                continue;
+            }
+
+            const tag = String(candidate).trim().toLowerCase();
+            const base = tag.split(/[-_]/)[0];
+            for (const code of [tag, base]) {
+                const resolved = this.config.localeAliases[code] || code;
+                if (this.config.languages[resolved]) {
+                    return resolved;
+                }
+            }
+        }
+
+        return fallback;
+    }
+
+    /**
+     * Switch the current language
+     * @param {string} locale - Language tag; unsupported tags fall back to the default language
+     * @returns {string} Language now in use
+     */
+    setLocale(locale) {
+        this.locale = this.resolveLocale([locale]);
+        return this.locale;
+    }
+
+    /**
+     * Translate a string
+     * @param {string} key - Message key, e.g. 'cases.count'
+     * @param {Object} [params] - Values for {name} placeholders; count also picks the plural form
+     *   and is formatted as a number
+     * @returns {string} Translated text, the English text when the translation is missing, or the key
+     */
+    t(key, params = {}) {
+        const locale = this.hasMessage(this.locale, key) ? this.locale : this.config.defaultLocale;
+        let message = this.hasMessage(locale, key) ? this.config.messages[locale][key] : key;
+
+        if (typeof message === 'object') {
+            const form = this.getPluralForm(locale, Number(params.count) || 0);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined || params[name] === null) {
+                return placeholder;
+            }
+            return name === 'count' ? this.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    /**
+     * Check whether a language has a string
+     * @param {string} locale - Language code
+     * @param {string} key - Message key
+     * @returns {boolean} True when the string exists
+     */
+    hasMessage(locale, key) {
+        const messages = this.config.messages[locale];
+        return Boolean(messages) && Object.prototype.hasOwnProperty.call(messages, key);
+    }
+
+    /**
+     * Plural category for a count. Languages the runtime has no rules for use English rules.
+     * @param {string} locale - Language code
+     * @param {number} count - Count
+     * @returns {string} 'one' or 'other' (or another CLDR category)
+     */
+    getPluralForm(locale, count) {
+        try {
+            return new Intl.PluralRules(this.getIntlLocales(locale)).select(count);
+        } catch (error) {
+            return count === 1 ? 'one' : 'other';
+        }
+    }
+
+    /**
+     * Intl locales for a language, most specific first
+     * @param {string} [locale] - Language code (defaults to the current language)
+     * @returns {Array<string>} Locale tags for Intl constructors
+     */
+    getIntlLocales(locale = this.locale) {
+        const language = this.config.languages[locale];
+        return language && language.intl ? language.intl : [locale];
+    }
+
+    /**
+     * Format a number with the current language's digits and grouping
+     * @param {number} value - Number
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        const number = Number(value);
+        return Number.isFinite(number)
+            ? new Intl.NumberFormat(this.getIntlLocales(), options).format(number)
+            : String(value);
+    }
+
+    /**
+     * Format a year without grouping, so 2005 doesn't become "2,005"
+     * @param {number|string} year - Year
+     * @returns {string} Formatted year
+     */
+    formatYear(year) {
+        return this.formatNumber(year, { useGrouping: false });
+    }
+
+    /**
+     * Format a date for the current language
+     * @param {Date|string} date - Date, or a YYYY-MM-DD string (read as a local calendar date)
+     * @param {Object} [options] - Intl.DateTimeFormat options (default: day, short month and year)
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+        const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+            ? new Date(date + 'T00:00:00')
+            : new Date(date);
+        return new Intl.DateTimeFormat(this.getIntlLocales(), options).format(value);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationI18n;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationI18n = GoaFoundationI18n;
+}
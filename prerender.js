@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+/**
+ * Goa Foundation Static Page Builder
+ *
+ * Writes the case spreadsheet out as static pages that search engines and readers without
+ * JavaScript can use: the archive's front page, one page per subject and one per case, with
+ * JSON-LD metadata and a sitemap. The pages hold the same markup the timeline renders, and
+ * each loads the timeline, which takes over once its script runs.
+ *
+ *   node prerender.js --site-url https://example.org/petitions/
+ *   node prerender.js --site-url https://example.org/petitions/ --output public --language kok cases.csv
+ *
+ * The site's scripts, styles and images are copied next to the pages, so the output folder
+ * can be published as it is.
+ *
+ * Exit codes: 0 = pages written, 1 = the sheet could not be read or has no valid rows,
+ * 2 = usage error or a file could not be written
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GoaFoundationSpreadsheetProcessor = require('./spreadsheet.js');
+const GoaFoundationI18n = require('./i18n.js');
+const GoaFoundationSafeHtml = require('./safe-html.js');
+const GoaFoundationSearchIndex = require('./search.js');
+const GoaFoundationCaseStatistics = require('./statistics.js');
+const { createSource, INPUT_FORMATS } = require('./validate-sheet.js');
+
+// timeline.js finds its dependencies as globals, as in the browser
+Object.assign(global, {
+    GoaFoundationSpreadsheetProcessor,
+    GoaFoundationI18n,
+    GoaFoundationSafeHtml,
+    GoaFoundationSearchIndex
+});
+const GoaFoundationTimeline = require('./timeline.js');
+
+const USAGE = `Usage: node prerender.js --site-url <url> [options] [file-or-url]
+
+Writes static pages for every subject and case in the Goa Foundation case
+spreadsheet, with a sitemap. Without a file or URL the published Google Sheet
+is read.
+
+Options:
+  -u, --site-url <url>            Address the pages are published at (required)
+  -o, --output <dir>              Output folder (default: dist)
+  -l, --language <en|kok|mr|hi>   Language of the pages (default: en)
+  -f, --format <auto|csv|tsv|json|xlsx>
+                                  Input format (default: auto-detected)
+  -v, --verbose                   Print processor debug output to stderr
+  -h, --help                      Show this help
+`;
+
+// Files the timeline loads at run time, besides those index.html links to
+const RUNTIME_ASSETS = [path.join('data', 'goa.geojson')];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        siteUrl: null,
+        output: 'dist',
+        language: 'en',
+        format: 'auto',
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const nextValue = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-u':
+            case '--site-url':
+                options.siteUrl = nextValue();
+                break;
+            case '-o':
+            case '--output':
+                options.output = nextValue();
+                break;
+            case '-l':
+            case '--language':
+                options.language = nextValue();
+                break;
+            case '-f':
+            case '--format':
+                options.format = nextValue();
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                if (options.input) {
+                    throw new Error('Only one file or URL can be read at a time');
+                }
+                options.input = arg;
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    if (!options.siteUrl || !/^https?:\/\//i.test(options.siteUrl)) {
+        throw new Error('--site-url is required and must be an http(s) address: canonical links and the sitemap need it');
+    }
+    options.siteUrl = options.siteUrl.endsWith('/') ? options.siteUrl : `${options.siteUrl}/`;
+
+    const languages = Object.keys(new GoaFoundationI18n().config.languages);
+    if (!languages.includes(options.language)) {
+        throw new Error(`Unknown language '${options.language}'. Expected one of: ${languages.join(', ')}`);
+    }
+
+    if (!INPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown input format '${options.format}'. Expected one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+
+    if (path.resolve(options.output) === path.resolve(__dirname)) {
+        throw new Error('The output folder cannot be the source folder: index.html would be overwritten');
+    }
+
+    return options;
+}
+
+/**
+ * Give each item a URL slug, numbering repeats (e.g. 'mining', 'mining-2')
+ * @param {Array<*>} items - Items
+ * @param {Function} getSlug - item => slug, possibly empty
+ * @param {string} fallback - Slug for items whose slug is empty
+ * @returns {Map<*, string>} Slug per item
+ */
+function assignSlugs(items, getSlug, fallback) {
+    const used = new Map();
+    const slugs = new Map();
+
+    items.forEach(item => {
+        const base = getSlug(item) || fallback;
+        const count = (used.get(base) || 0) + 1;
+        used.set(base, count);
+        slugs.set(item, count === 1 ? base : `${base}-${count}`);
+    });
+
+    return slugs;
+}
+
+/**
+ * Replace the first match of a pattern in the page template
+ * @param {string} html - Template
+ * @param {RegExp|string} pattern - What to replace
+ * @param {string} replacement - New markup, inserted as is
+ * @param {string} description - What the pattern matches, for the error message
+ * @returns {string} Updated template
+ */
+function replaceInTemplate(html, pattern, replacement, description) {
+    const matches = typeof pattern === 'string' ? html.includes(pattern) : pattern.test(html);
+    if (!matches) {
+        throw new Error(`index.html has no ${description}; update prerender.js to match it`);
+    }
+
+    return html.replace(pattern, () => replacement);
+}
+
+/**
+ * JSON-LD script; '<' is escaped so sheet text cannot close the script element
+ * @param {Object} data - Linked data
+ * @returns {string} HTML
+ */
+function createJsonLdScript(data) {
+    return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+/**
+ * Write one page from index.html
+ * @param {string} template - Contents of index.html
+ * @param {Object} page - { depth, language, title, description, url, image, layoutHTML, timelineOptions, jsonLd }
+ * @param {GoaFoundationSafeHtml} safeHtml - Escaping helper
+ * @returns {string} HTML
+ */
+function renderPage(template, page, safeHtml) {
+    const escape = (text) => safeHtml.escapeHtml(text);
+    const meta = (attribute, name, content) =>
+        `<meta ${attribute}="${name}" content="${escape(content)}">`;
+
+    let html = template;
+    html = replaceInTemplate(html, '<html lang="en">', `<html lang="${escape(page.language)}">`, 'html element');
+
+    // Pages in subfolders load the site's files from its root
+    html = replaceInTemplate(html, '<head>', page.depth > 0
+        ? `<head>\n    <base href="${'../'.repeat(page.depth)}">`
+        : '<head>', 'head element');
+
+    html = replaceInTemplate(html, /<title>[^<]*<\/title>/, `<title>${escape(page.title)}</title>`, 'title');
+    html = replaceInTemplate(html, /<meta name="description"\s+content="[^"]*">/,
+        meta('name', 'description', page.description), 'meta description');
+    html = replaceInTemplate(html, /<meta property="og:type" content="[^"]*">/,
+        meta('property', 'og:type', page.type), 'og:type');
+    html = replaceInTemplate(html, /<meta property="og:title" content="[^"]*">/,
+        meta('property', 'og:title', page.title), 'og:title');
+    html = replaceInTemplate(html, /<meta property="og:description"\s+content="[^"]*">/,
+        meta('property', 'og:description', page.description), 'og:description');
+    html = replaceInTemplate(html, /<meta property="og:image" content="[^"]*">/, [
+        meta('property', 'og:image', page.image),
+        meta('property', 'og:url', page.url),
+        `<link rel="canonical" href="${escape(page.url)}">`
+    ].join('\n    '), 'og:image');
+
+    html = replaceInTemplate(html, '<main class="timeline-container" id="goa-foundation-timeline"></main>', `<main class="timeline-container goa-foundation-timeline" id="goa-foundation-timeline" lang="${escape(page.language)}">
+${page.layoutHTML}
+    </main>
+    <script type="application/json" id="timeline-page-options">${JSON.stringify(page.timelineOptions).replace(/</g, '\\u003c')}</script>
+    ${createJsonLdScript(page.jsonLd)}`, 'timeline container');
+
+    return html;
+}
+
+/**
+ * Linked data for a case and its timeline events
+ * @param {GoaFoundationTimeline} renderer - Timeline renderer
+ * @param {Object} caseItem - Case record
+ * @param {string} url - Address of the case page
+ * @returns {Object} JSON-LD graph with a LegalCase and one Event per timeline entry
+ */
+function createCaseJsonLd(renderer, caseItem, url) {
+    const safeHtml = renderer.safeHtml;
+    const imageData = renderer.getCaseImage(caseItem);
+    const imageUrl = imageData ? safeHtml.safeUrl(imageData.url) : null;
+    const latitude = parseFloat(caseItem.Latitude);
+    const longitude = parseFloat(caseItem.Longitude);
+    const location = renderer.getLocalizedValue(caseItem, 'Location');
+    const documents = new GoaFoundationCaseStatistics().config.documentFields
+        .map(field => ({ field, url: safeHtml.safeUrl(caseItem[field]) }))
+        .filter(document => document.url);
+
+    const legalCase = {
+        '@type': 'LegalCase',
+        '@id': url,
+        url,
+        name: renderer.getLocalizedValue(caseItem, 'Title') || caseItem.Reference,
+        identifier: caseItem.Reference,
+        description: safeHtml.toPlainText(renderer.getLocalizedValue(caseItem, 'Description')) || undefined,
+        about: caseItem.Subject,
+        dateCreated: caseItem.Year ? String(caseItem.Year) : undefined,
+        keywords: renderer.parseTags(caseItem.Tags).join(', ') || undefined,
+        image: imageUrl || undefined,
+        contentLocation: (location || (!isNaN(latitude) && !isNaN(longitude))) ? {
+            '@type': 'Place',
+            name: location || undefined,
+            geo: !isNaN(latitude) && !isNaN(longitude)
+                ? { '@type': 'GeoCoordinates', latitude, longitude }
+                : undefined
+        } : undefined,
+        subjectOf: documents.length > 0
+            ? documents.map(document => ({ '@type': 'DigitalDocument', name: document.field, url: document.url }))
+            : undefined
+    };
+
+    const events = (caseItem._timeline || []).map(entry => ({
+        '@type': 'Event',
+        name: safeHtml.toPlainText(entry.description),
+        startDate: entry.date,
+        url: safeHtml.safeUrl(entry.url) || url,
+        about: { '@id': url }
+    }));
+
+    return { '@context': 'https://schema.org', '@graph': [legalCase, ...events] };
+}
+
+/**
+ * Sitemap listing every page
+ * @param {Array<string>} urls - Page addresses
+ * @param {GoaFoundationSafeHtml} safeHtml - Escaping helper
+ * @returns {string} XML
+ */
+function createSitemap(urls, safeHtml) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${safeHtml.escapeHtml(url)}</loc></url>`).join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Copy the scripts, styles and images the pages load
+ * @param {string} template - Contents of index.html
+ * @param {string} outputDir - Output folder
+ * @returns {Array<string>} Copied paths
+ */
+function copyAssets(template, outputDir) {
+    const linked = Array.from(template.matchAll(/(?:src|href|content)="(?:\.\/)?([\w./-]+\.(?:js|css|png|jpe?g|svg|ico|geojson))"/g))
+        .map(match => match[1])
+        .filter(file => !file.startsWith('/') && !file.includes('..'));
+
+    return Array.from(new Set([...linked, ...RUNTIME_ASSETS]))
+        .filter(file => fs.existsSync(path.join(__dirname, file)))
+        .map(file => {
+            fs.mkdirSync(path.dirname(path.join(outputDir, file)), { recursive: true });
+            fs.copyFileSync(path.join(__dirname, file), path.join(outputDir, file));
+            return file;
+        });
+}
+
+/**
+ * Write a page, creating its folder
+ * @param {string} outputDir - Output folder
+ * @param {string} pagePath - Folder of the page relative to the output, '' for the front page
+ * @param {string} html - Page HTML
+ */
+function writePage(outputDir, pagePath, html) {
+    const dir = path.join(outputDir, pagePath);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html);
+}
+
+/**
+ * Run the page builder
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let options;
+
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const processor = new GoaFoundationSpreadsheetProcessor({
+        debug: options.verbose,
+        logger: (message) => process.stderr.write(`${message}\n`),
+        source: createSource(options.input, options.format)
+    });
+
+    const result = await processor.loadAndProcessData();
+    if (result.validRecords === 0) {
+        process.stderr.write(processor.generateSummaryReport(result));
+        return 1;
+    }
+
+    const template = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+    const siteTitle = (template.match(/<title>([^<]*)<\/title>/) || [])[1] || 'Goa Foundation Petition Archive';
+    const siteDescription = (template.match(/<meta name="description"\s+content="([^"]*)"/) || [])[1] || '';
+    const { siteUrl, language } = options;
+
+    const records = result.data.filter(record => record._isValid !== false);
+    const slugger = GoaFoundationTimeline.prototype.getCaseSlug;
+    const caseSlugs = assignSlugs(records, record => slugger(record.Reference), 'case');
+    const subjects = new GoaFoundationCaseStatistics().groupBySubject(records)
+        .sort((a, b) => (a.firstYear || 0) - (b.firstYear || 0) || a.subject.localeCompare(b.subject));
+    const subjectSlugs = assignSlugs(subjects, subject => slugger(subject.subject), 'subject');
+
+    // Case links point at the static case pages; the timeline opens them in place once it runs
+    const renderer = GoaFoundationTimeline.createRenderer(records, {
+        language,
+        caseUrl: (caseItem) => `case/${caseSlugs.get(caseItem._record || caseItem) || slugger(caseItem.Reference)}/`
+    });
+    const safeHtml = renderer.safeHtml;
+    const escape = (text) => safeHtml.escapeHtml(text);
+    const absolute = (pagePath) => `${siteUrl}${pagePath}`;
+    const defaultImage = absolute('goa-foundation-logo.png');
+    const yearRange = (subject) => subject.firstYear === subject.lastYear
+        ? renderer.i18n.formatYear(subject.firstYear)
+        : `${renderer.i18n.formatYear(subject.firstYear)}-${renderer.i18n.formatYear(subject.lastYear)}`;
+    const pages = [];
+
+    // Front page: the subjects, each linking to its page
+    pages.push({
+        path: '',
+        depth: 0,
+        type: 'website',
+        title: siteTitle,
+        description: siteDescription,
+        image: defaultImage,
+        layoutHTML: renderer.createLayoutHTML({
+            title: renderer.t('cases.all'),
+            subtitle: renderer.t('cases.count', { count: records.length }),
+            casesHTML: `
+                <ul class="prerendered-subjects">
+                    ${subjects.map(subject => `
+                        <li>
+                            <a href="subject/${escape(subjectSlugs.get(subject))}/">${escape(subject.subject)}</a>
+                            <span>${escape(yearRange(subject))} • ${escape(renderer.t('cases.count', { count: subject.cases.length }))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `
+        }),
+        timelineOptions: {},
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'CollectionPage',
+            url: siteUrl,
+            name: siteTitle,
+            hasPart: subjects.map(subject => ({
+                '@type': 'CollectionPage',
+                name: subject.subject,
+                url: absolute(`subject/${subjectSlugs.get(subject)}/`)
+            }))
+        }
+    });
+
+    // Subject pages: the subject's cases, newest first, as in the timeline's case list
+    subjects.forEach(subject => {
+        const pagePath = `subject/${subjectSlugs.get(subject)}/`;
+        const cases = [...subject.cases].sort((a, b) => (parseInt(b.Year, 10) || 0) - (parseInt(a.Year, 10) || 0));
+        const subtitle = `${yearRange(subject)} • ${renderer.t('cases.count', { count: cases.length })}`;
+
+        pages.push({
+            path: pagePath,
+            depth: 2,
+            type: 'website',
+            title: `${subject.subject} | ${siteTitle}`,
+            description: `${subject.subject}: ${subtitle}`,
+            image: defaultImage,
+            layoutHTML: renderer.createLayoutHTML({
+                title: subject.subject,
+                subtitle,
+                casesHTML: cases.map(caseItem => renderer.createCaseListItem(caseItem)).join('')
+            }),
+            timelineOptions: { filters: { subject: subject.subject } },
+            jsonLd: {
+                '@context': 'https://schema.org',
+                '@type': 'CollectionPage',
+                url: absolute(pagePath),
+                name: subject.subject,
+                isPartOf: { '@type': 'WebSite', name: siteTitle, url: siteUrl },
+                hasPart: cases.map(caseItem => ({
+                    '@type': 'LegalCase',
+                    '@id': absolute(renderer.getCaseUrl(caseItem)),
+                    name: renderer.getLocalizedValue(caseItem, 'Title') || caseItem.Reference,
+                    url: absolute(renderer.getCaseUrl(caseItem))
+                }))
+            }
+        });
+    });
+
+    // Case pages: the full case view
+    records.forEach(caseItem => {
+        const pagePath = renderer.getCaseUrl(caseItem);
+        const titleText = renderer.getLocalizedValue(caseItem, 'Title') || caseItem.Reference || renderer.t('cases.untitled');
+        const imageData = renderer.getCaseImage(caseItem);
+
+        pages.push({
+            path: pagePath,
+            depth: 2,
+            type: 'article',
+            title: `${titleText} | ${siteTitle}`,
+            description: renderer.truncateText(
+                safeHtml.toPlainText(renderer.getLocalizedValue(caseItem, 'Description') || `${caseItem.Reference} · ${caseItem.Subject} · ${caseItem.Year}`),
+                200
+            ),
+            image: (imageData && safeHtml.safeUrl(imageData.url)) || defaultImage,
+            layoutHTML: renderer.createLayoutHTML({ caseViewHTML: renderer.createCaseViewHTML(caseItem) }),
+            timelineOptions: { filters: { case: caseItem.Reference } },
+            jsonLd: createCaseJsonLd(renderer, caseItem, absolute(pagePath))
+        });
+    });
+
+    fs.mkdirSync(options.output, { recursive: true });
+    pages.forEach(page => {
+        writePage(options.output, page.path, renderPage(template, { ...page, language, url: absolute(page.path) }, safeHtml));
+    });
+    fs.writeFileSync(path.join(options.output, 'sitemap.xml'), createSitemap(pages.map(page => absolute(page.path)), safeHtml));
+    const assets = copyAssets(template, options.output);
+
+    process.stdout.write(`Wrote ${pages.length} pages (${subjects.length} subjects, ${records.length} cases), sitemap.xml and ${assets.length} site files to ${options.output}\n`);
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { main, parseArgs, renderPage, createCaseJsonLd };
@@ -0,0 +1,165 @@
+/**
+ * Goa Foundation Safe HTML Module
+ *
+ * This module handles:
+ * - Escaping sheet text for HTML content and attributes
+ * - Checking URLs from the sheet, so only http and https links are rendered
+ * - A small Markdown subset for Description cells
+ *
+ * Anyone who can edit the sheet controls these values, so nothing from it reaches the page
+ * without passing through here.
+ */
+
+class GoaFoundationSafeHtml {
+    constructor(config = {}) {
+        // Default configuration
+        this.config = {
+            // URL schemes that may appear in href and src attributes
+            allowedProtocols: ['http:', 'https:'],
+
+            ...config
+        };
+    }
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     * @param {*} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Check a URL from the sheet
+     * @param {*} url - URL as written in the sheet
+     * @returns {string|null} The trimmed URL if it is absolute and uses an allowed scheme, else null
+     */
+    safeUrl(url) {
+        const value = String(url === null || url === undefined ? '' : url).trim();
+
+        // Browsers drop tabs and newlines inside URLs, so 'java\nscript:' would still run
+        if (!value || /[\u0000-\u001f\u007f\s]/.test(value)) {
+            return null;
+        }
+
+        try {
+            const parsed = new URL(value);
+            return this.config.allowedProtocols.includes(parsed.protocol) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build a link that opens in a new tab
+     * @param {string} url - URL from the sheet
+     * @param {string} contentHtml - Link content, already HTML
+     * @param {Object} [attributes] - Extra attributes, e.g. { class: 'case-link' }; values are escaped
+     * @returns {string|null} Anchor HTML, or null when the URL is not allowed
+     */
+    link(url, contentHtml, attributes = {}) {
+        const href = this.safeUrl(url);
+        if (!href) {
+            return null;
+        }
+
+        const extra = Object.entries(attributes)
+            .filter(([, value]) => value !== null && value !== undefined && value !== false)
+            .map(([name, value]) => ` ${name}="${this.escapeHtml(value)}"`)
+            .join('');
+
+        return `<a href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer"${extra}>${contentHtml}</a>`;
+    }
+
+    /**
+     * Render the Markdown subset allowed in Description cells:
+     * paragraphs (blank line), line breaks, "- " or "* " lists, **bold**, *italic* or _italic_,
+     * `code`, [label](https://...) links and bare http(s) URLs. Everything else is shown as text.
+     * @param {string} text - Markdown source
+     * @param {Object} [options] - { renderText(text) => HTML } for plain runs, e.g. search highlighting; defaults to escaping
+     * @returns {string} HTML
+     */
+    renderMarkdown(text, options = {}) {
+        const renderText = options.renderText || ((value) => this.escapeHtml(value));
+        const source = String(text === null || text === undefined ? '' : text).replace(/\r\n?/g, '\n');
+        const listItem = /^\s*[-*]\s+/;
+
+        return source
+            .split(/\n[ \t]*\n/)
+            .map(block => block.trim())
+            .filter(Boolean)
+            .map(block => {
+                const lines = block.split('\n').map(line => line.trim());
+                if (lines.every(line => listItem.test(line))) {
+                    const items = lines.map(line => `<li>${this.renderInline(line.replace(listItem, ''), renderText)}</li>`);
+                    return `<ul>${items.join('')}</ul>`;
+                }
+                return `<p>${lines.map(line => this.renderInline(line, renderText)).join('<br>')}</p>`;
+            })
+            .join('');
+    }
+
+    /**
+     * Render inline Markdown in one line of text
+     * @param {string} text - One line of Markdown
+     * @param {Function} renderText - Renders a plain run as HTML
+     * @returns {string} HTML
+     */
+    renderInline(text, renderText) {
+        const pattern = /\[([^\]\n]+)\]\(([^()\s]+)\)|\*\*(?=\S)(.+?)\*\*|\*(?=[^\s*])([^*]+?)\*|(?<![\p{L}\p{N}_])_(?=\S)([^_]+?)_(?![\p{L}\p{N}_])|`([^`]+)`|(https?:\/\/[^\s<>"]*[^\s<>".,;:!?)'\]])/gu;
+        let html = '';
+        let position = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            html += renderText(text.slice(position, match.index));
+            position = match.index + match[0].length;
+
+            const [whole, linkLabel, linkUrl, strong, emphasis, underscoreEmphasis, code, bareUrl] = match;
+            if (linkLabel !== undefined) {
+                const label = this.renderInline(linkLabel, renderText);
+                html += this.link(linkUrl, label, { class: 'markdown-link' }) || renderText(whole);
+            } else if (strong !== undefined) {
+                html += `<strong>${this.renderInline(strong, renderText)}</strong>`;
+            } else if (emphasis !== undefined || underscoreEmphasis !== undefined) {
+                html += `<em>${this.renderInline(emphasis !== undefined ? emphasis : underscoreEmphasis, renderText)}</em>`;
+            } else if (code !== undefined) {
+                html += `<code>${this.escapeHtml(code)}</code>`;
+            } else {
+                html += this.link(bareUrl, renderText(bareUrl), { class: 'markdown-link' }) || renderText(bareUrl);
+            }
+        }
+
+        return html + renderText(text.slice(position));
+    }
+
+    /**
+     * Strip the Markdown subset down to plain text, e.g. for page descriptions
+     * @param {string} text - Markdown source
+     * @returns {string} Plain text on one line
+     */
+    toPlainText(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/\[([^\]\n]+)\]\(([^()\s]+)\)/g, '$1')
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '$1')
+            .replace(/\*(?=[^\s*])([^*\n]+?)\*/g, '$1')
+            .replace(/(?<![\p{L}\p{N}_])_(?=\S)([^_\n]+?)_(?![\p{L}\p{N}_])/gu, '$1')
+            .replace(/`([^`\n]+)`/g, '$1')
+            .replace(/^\s*[-*]\s+/gm, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationSafeHtml;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationSafeHtml = GoaFoundationSafeHtml;
+}
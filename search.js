@@ -0,0 +1,508 @@
+/**
+ * Goa Foundation Case Search Module
+ *
+ * This module handles:
+ * - A field-weighted inverted index over case records
+ * - Diacritic folding and light English stemming
+ * - Query operators: "quoted phrases", tag:, year:1995..2005 and -exclude
+ * - Ranking results and highlighting matches for display
+ */
+
+class GoaFoundationSearchIndex {
+    constructor(config = {}) {
+        // Default configuration
+        this.config = {
+            // Searchable fields and their weights. Timeline means the parsed event descriptions,
+            // not the raw cell, so dates and URLs don't produce matches.
+            fields: {
+                Title: 4,
+                Subject: 3,
+                Reference: 3,
+                Tags: 2,
+                Location: 2,
+                Description: 1,
+                Timeline: 1
+            },
+
+            // Score multiplier for words that only start with a query term
+            prefixWeight: 0.5,
+
+            // Minimum query term length for prefix matches
+            minPrefixLength: 2,
+
+            // Words ignored in plain (unquoted) terms
+            stopWords: ['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'v', 'vs', 'with'],
+
+            ...config
+        };
+
+        this.documents = [];
+        // token -> Map(docId -> Map(field -> occurrences))
+        this.postings = new Map();
+        // stem -> Set(token)
+        this.stems = new Map();
+    }
+
+    /**
+     * Index case records, replacing any previous index
+     * @param {Array<Object>} records - Processed case records
+     */
+    build(records) {
+        this.documents = [];
+        this.postings = new Map();
+        this.stems = new Map();
+
+        records.forEach((record, docId) => {
+            const fields = {};
+
+            Object.keys(this.config.fields).forEach(field => {
+                const text = this.getFieldText(record, field);
+                fields[field] = this.fold(text);
+
+                this.tokenize(text).forEach(token => {
+                    if (!this.postings.has(token)) {
+                        this.postings.set(token, new Map());
+                        const stem = this.stem(token);
+                        if (!this.stems.has(stem)) {
+                            this.stems.set(stem, new Set());
+                        }
+                        this.stems.get(stem).add(token);
+                    }
+
+                    const docs = this.postings.get(token);
+                    if (!docs.has(docId)) {
+                        docs.set(docId, new Map());
+                    }
+                    const counts = docs.get(docId);
+                    counts.set(field, (counts.get(field) || 0) + 1);
+                });
+            });
+
+            this.documents.push({
+                record,
+                fields,
+                tags: this.getTags(record).map(tag => this.fold(tag)),
+                year: parseInt(record.Year, 10)
+            });
+        });
+    }
+
+    /**
+     * Searchable text of a record field
+     * @param {Object} record - Case record
+     * @param {string} field - Field name
+     * @returns {string} Field text
+     */
+    getFieldText(record, field) {
+        if (field === 'Tags') {
+            return this.getTags(record).join(' ');
+        }
+
+        if (field === 'Timeline') {
+            return Array.isArray(record._timeline)
+                ? record._timeline.map(item => item.description).join('\n')
+                : '';
+        }
+
+        // Translations such as 'Description (kok)' are searched with the field itself
+        return [field, ...Object.keys(record).filter(key => key.startsWith(`${field} (`))]
+            .map(key => record[key])
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .join('\n');
+    }
+
+    /**
+     * Tags of a record, preferring the list parsed at ingest
+     * @param {Object} record - Case record
+     * @returns {Array<string>} Tags
+     */
+    getTags(record) {
+        if (Array.isArray(record._tags)) {
+            return record._tags;
+        }
+
+        return record.Tags
+            ? String(record.Tags).split(/[,;]/).map(tag => tag.trim()).filter(tag => tag)
+            : [];
+    }
+
+    /**
+     * Lower-case text and strip diacritics (e.g. "Sanguém" -> "sanguem")
+     * @param {string} text - Text to fold
+     * @returns {string} Folded text
+     */
+    fold(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Fold text one character at a time so offsets still line up with the original
+     * @param {string} text - Text to fold
+     * @returns {string} Folded text of the same length
+     */
+    foldInPlace(text) {
+        return Array.from(String(text || ''), char => {
+            const folded = this.fold(char);
+            return folded.length === char.length ? folded : char.toLowerCase();
+        }).join('');
+    }
+
+    /**
+     * Split text into folded word tokens
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        // Marks are part of words: Devanagari vowel signs and viramas are \p{M}
+        return this.fold(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Reduce an English word to a crude stem, so "mines", "mined" and "mining" all become "min"
+     * @param {string} token - Folded token
+     * @returns {string} Stem
+     */
+    stem(token) {
+        if (token.length <= 3 || /^\d+$/.test(token)) {
+            return token;
+        }
+
+        let stem = token;
+
+        if (stem.endsWith('ies') && stem.length > 4) {
+            stem = stem.slice(0, -3) + 'y';
+        } else if (stem.endsWith('sses')) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        if (stem.endsWith('ing') && stem.length > 5) {
+            stem = stem.slice(0, -3);
+        } else if (stem.endsWith('ed') && stem.length > 4) {
+            stem = stem.slice(0, -2);
+        }
+
+        // "running" -> "runn" -> "run"
+        if (/([^aeiouls])\1$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        if (stem.endsWith('e') && stem.length > 3) {
+            stem = stem.slice(0, -1);
+        }
+
+        return stem;
+    }
+
+    /**
+     * Parse a query string into terms, phrases, filters and exclusions
+     * @param {string} query - Query, e.g. 'mining -"sand mining" tag:Forests year:1995..2005'
+     * @returns {Object} { terms, phrases, tags, years, exclude: { terms, phrases, tags } }
+     */
+    parseQuery(query) {
+        const parsed = {
+            terms: [],
+            phrases: [],
+            tags: [],
+            years: null,
+            exclude: { terms: [], phrases: [], tags: [] }
+        };
+
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(String(query || ''))) !== null) {
+            const negated = match[1] === '-';
+            const operator = match[2] ? match[2].toLowerCase() : null;
+            const quoted = match[3] !== undefined;
+            const value = quoted ? match[3] : match[4];
+            const target = negated ? parsed.exclude : parsed;
+
+            if (operator === 'tag') {
+                const tag = this.fold(value).trim();
+                if (tag) {
+                    target.tags.push(tag);
+                }
+                continue;
+            }
+
+            if (operator === 'year') {
+                const years = this.parseYearRange(value);
+                if (years && !negated) {
+                    parsed.years = years;
+                }
+                continue;
+            }
+
+            // Unknown operators are plain text
+            const text = match[2] ? `${match[2]}:${value}` : value;
+
+            if (quoted) {
+                const phrase = this.tokenize(text).join(' ');
+                if (phrase) {
+                    target.phrases.push(phrase);
+                }
+                continue;
+            }
+
+            this.tokenize(text)
+                .filter(token => negated || !this.config.stopWords.includes(token))
+                .forEach(token => {
+                    target.terms.push({ raw: token, stem: this.stem(token) });
+                });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Parse the value of a year: operator (1995, 1995..2005, 1995.. or ..2005)
+     * @param {string} value - Operator value
+     * @returns {Object|null} { from, to }, or null when the value is not a year range
+     */
+    parseYearRange(value) {
+        const match = String(value || '').match(/^(\d{4})?(?:(\.\.|-)(\d{4})?)?$/);
+        if (!match || (!match[1] && !match[3])) {
+            return null;
+        }
+
+        const from = match[1] ? parseInt(match[1], 10) : -Infinity;
+        const to = match[3] ? parseInt(match[3], 10) : (match[2] ? Infinity : from);
+
+        return from <= to ? { from, to } : { from: to, to: from };
+    }
+
+    /**
+     * Whether a query has anything to search for
+     * @param {string} query - Query string
+     * @returns {boolean} True when the query contains terms, phrases or operators
+     */
+    isEmptyQuery(query) {
+        const parsed = this.parseQuery(query);
+        return parsed.terms.length === 0 &&
+            parsed.phrases.length === 0 &&
+            parsed.tags.length === 0 &&
+            !parsed.years &&
+            parsed.exclude.terms.length === 0 &&
+            parsed.exclude.phrases.length === 0 &&
+            parsed.exclude.tags.length === 0;
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Query string
+     * @returns {Array<Object>} Matches as { record, score }, best first
+     */
+    search(query) {
+        const parsed = this.parseQuery(query);
+        const total = this.documents.length;
+        let candidates = this.documents.map((doc, docId) => docId);
+        const scores = new Map(candidates.map(docId => [docId, 0]));
+
+        // Every plain term has to match somewhere in the record
+        parsed.terms.forEach(term => {
+            const termScores = this.scoreTerm(term);
+            const idf = Math.log(1 + total / Math.max(termScores.size, 1));
+
+            candidates = candidates.filter(docId => termScores.has(docId));
+            candidates.forEach(docId => {
+                scores.set(docId, scores.get(docId) + termScores.get(docId) * idf);
+            });
+        });
+
+        parsed.phrases.forEach(phrase => {
+            candidates = candidates.filter(docId => {
+                const phraseScore = this.scorePhrase(this.documents[docId], phrase);
+                scores.set(docId, scores.get(docId) + phraseScore);
+                return phraseScore > 0;
+            });
+        });
+
+        parsed.exclude.terms.forEach(term => {
+            const tokens = this.stems.get(term.stem) || new Set();
+            candidates = candidates.filter(docId =>
+                !Array.from(tokens).some(token => this.postings.get(token).has(docId))
+            );
+        });
+
+        parsed.exclude.phrases.forEach(phrase => {
+            candidates = candidates.filter(docId => this.scorePhrase(this.documents[docId], phrase) === 0);
+        });
+
+        candidates = candidates.filter(docId => {
+            const doc = this.documents[docId];
+
+            if (parsed.tags.some(tag => !doc.tags.includes(tag))) {
+                return false;
+            }
+
+            if (parsed.exclude.tags.some(tag => doc.tags.includes(tag))) {
+                return false;
+            }
+
+            if (parsed.years && !(doc.year >= parsed.years.from && doc.year <= parsed.years.to)) {
+                return false;
+            }
+
+            return true;
+        });
+
+        return candidates
+            .map(docId => ({ docId, record: this.documents[docId].record, score: scores.get(docId) }))
+            .sort((a, b) => b.score - a.score || a.docId - b.docId)
+            .map(({ record, score }) => ({ record, score }));
+    }
+
+    /**
+     * Weighted term frequency of a query term in each document
+     * @param {Object} term - { raw, stem }
+     * @returns {Map<number, number>} docId -> score
+     */
+    scoreTerm(term) {
+        const scores = new Map();
+        const exactTokens = this.stems.get(term.stem) || new Set();
+
+        const addToken = (token, multiplier) => {
+            this.postings.get(token).forEach((counts, docId) => {
+                let score = 0;
+                counts.forEach((count, field) => {
+                    score += this.config.fields[field] * (1 + Math.log(count)) * multiplier;
+                });
+                scores.set(docId, (scores.get(docId) || 0) + score);
+            });
+        };
+
+        exactTokens.forEach(token => addToken(token, 1));
+
+        if (term.raw.length >= this.config.minPrefixLength) {
+            this.postings.forEach((docs, token) => {
+                if (!exactTokens.has(token) && token.startsWith(term.raw)) {
+                    addToken(token, this.config.prefixWeight);
+                }
+            });
+        }
+
+        return scores;
+    }
+
+    /**
+     * Weighted score of a phrase in a document, 0 when it does not occur
+     * @param {Object} doc - Indexed document
+     * @param {string} phrase - Folded phrase, words separated by single spaces
+     * @returns {number} Score
+     */
+    scorePhrase(doc, phrase) {
+        const pattern = this.createPhrasePattern(phrase);
+        let score = 0;
+
+        Object.entries(doc.fields).forEach(([field, text]) => {
+            if (pattern.test(text)) {
+                score += this.config.fields[field] * 2;
+            }
+        });
+
+        return score;
+    }
+
+    /**
+     * Regular expression matching a phrase across any run of non-word characters
+     * @param {string} phrase - Folded phrase
+     * @param {string} [flags] - Regular expression flags
+     * @returns {RegExp} Pattern
+     */
+    createPhrasePattern(phrase, flags = 'u') {
+        const words = phrase.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${words.join('[^\\p{L}\\p{M}\\p{N}]+')}(?![\\p{L}\\p{M}\\p{N}])`, flags);
+    }
+
+    /**
+     * Escape text and wrap the parts matching a query in <mark> elements
+     * @param {string} text - Plain text
+     * @param {string} query - Query string
+     * @returns {string} HTML
+     */
+    highlight(text, query) {
+        const source = String(text === null || text === undefined ? '' : text);
+        const parsed = this.parseQuery(query);
+        const ranges = [];
+
+        if (parsed.terms.length > 0) {
+            const stems = new Set(parsed.terms.map(term => term.stem));
+            const prefixes = parsed.terms
+                .map(term => term.raw)
+                .filter(raw => raw.length >= this.config.minPrefixLength);
+            const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+            let match;
+
+            while ((match = wordPattern.exec(source)) !== null) {
+                const token = this.fold(match[0]);
+                if (stems.has(this.stem(token)) || prefixes.some(prefix => token.startsWith(prefix))) {
+                    ranges.push([match.index, match.index + match[0].length]);
+                }
+            }
+        }
+
+        if (parsed.phrases.length > 0) {
+            const folded = this.foldInPlace(source);
+            parsed.phrases.forEach(phrase => {
+                const pattern = this.createPhrasePattern(phrase, 'gu');
+                let match;
+                while ((match = pattern.exec(folded)) !== null) {
+                    ranges.push([match.index, match.index + match[0].length]);
+                }
+            });
+        }
+
+        if (ranges.length === 0) {
+            return this.escapeHtml(source);
+        }
+
+        // Merge overlapping ranges
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        ranges.slice(1).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        let html = '';
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            html += this.escapeHtml(source.slice(position, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(source.slice(start, end))}</mark>`;
+            position = end;
+        });
+        html += this.escapeHtml(source.slice(position));
+
+        return html;
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationSearchIndex;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationSearchIndex = GoaFoundationSearchIndex;
+}
@@ -14,14 +14,47 @@ class GoaFoundationSpreadsheetProcessor {
         this.config = {
             // Google Sheets URL
             sheetUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vSLFcCdng-x_P4-i8mYeZA0cdWZoG6DUJfwsj36czKj5LKk6ZfuzZ18JSkAZdZNlv6MkgShPF4YFhU5/pub?gid=1740040742&single=true&output=csv',
-            
-            // Required field mappings with aliases
+
+            // Editor link to the same sheet, used to link issues back to their source row
+            sheetEditUrl: 'https://docs.google.com/spreadsheets/d/14-tOqKm1Wh5sTU32ycJ7GPn65tGsDZDDCviMg3fhe4c/edit#gid=1740040742',
+
+            // Data source (optional). When null, sheetUrl is fetched.
+            // Examples:
+            //   { type: 'url', url: './data/cases.json' }
+            //   { type: 'text', text: csvString, format: 'csv' }
+            //   { type: 'file', path: './cases.tsv' }   (Node) or { type: 'file', file: blob } (browser)
+            //   { type: 'data', data: [{ 'Case No.': '...', ... }] }
+            // A source can set editUrl to the sheet its rows can be edited in; otherwise rows only
+            // link back to sheetEditUrl when sheetUrl itself is read.
+            source: null,
+
+            // Input format: 'auto', 'csv', 'tsv', 'json' or 'xlsx'
+            // 'auto' detects the format from the file name, content type or content
+            format: 'auto',
+
+            // Snapshot of an earlier run, from createSnapshot(). When set, the result's changes
+            // list the cases added, removed or edited since then (see compareWithSnapshot()).
+            previousSnapshot: null,
+
+            // Field mappings with aliases
             // Each field can have multiple possible column names (aliases)
+            // and declares how its values are validated:
+            //   type:       'string' (default), 'markdown', 'year', 'number', 'date' (YYYY-MM-DD), 'url',
+            //               'list', 'enum', 'timeline' or 'image'
+            //   outputName: property name on processed records (defaults to the field name)
+            //   transform:  optional (value, row) => value applied after validation
+            //   validator:  optional (value) => boolean for extra checks
+            // Type options: 'list' takes an optional separator (RegExp or string),
+            // 'enum' takes values, 'year' and 'number' take optional min/max.
+            // Extra columns can be added with updateConfig(), e.g.
+            //   { fieldMappings: { court: { aliases: ['Court'], type: 'string', outputName: 'Court' } } }
             fieldMappings: {
                 // Primary identifier for the case (required)
                 reference: {
                     aliases: ['Case No.'],
                     required: true,
+                    type: 'string',
+                    outputName: 'Reference',
                     description: 'Case reference number or identifier'
                 },
                 
@@ -29,6 +62,8 @@ class GoaFoundationSpreadsheetProcessor {
                 subject: {
                     aliases: ['Subject'],
                     required: true,
+                    type: 'string',
+                    outputName: 'Subject',
                     description: 'Main subject or topic of the case'
                 },
                 
@@ -36,17 +71,17 @@ class GoaFoundationSpreadsheetProcessor {
                 year: {
                     aliases: ['Year'],
                     required: true,
-                    description: 'Year when the case was filed or occurred',
-                    validator: (value) => {
-                        const year = parseInt(value);
-                        return !isNaN(year) && year >= 1900 && year <= new Date().getFullYear() + 10;
-                    }
+                    type: 'year',
+                    outputName: 'Year',
+                    description: 'Year when the case was filed or occurred'
                 },
                 
                 // Case description (optional)
                 description: {
                     aliases: ['Description'],
                     required: false,
+                    type: 'markdown',
+                    outputName: 'Description',
                     description: 'Detailed description of the case'
                 },
                 
@@ -54,6 +89,8 @@ class GoaFoundationSpreadsheetProcessor {
                 title: {
                     aliases: ['Title'],
                     required: false,
+                    type: 'string',
+                    outputName: 'Title',
                     description: 'Title of the case'
                 },
                 
@@ -61,6 +98,8 @@ class GoaFoundationSpreadsheetProcessor {
                 image: {
                     aliases: ['Image'],
                     required: false,
+                    type: 'image',
+                    outputName: 'Image',
                     description: 'Image URL with license and attribution information'
                 },
                 
@@ -68,6 +107,8 @@ class GoaFoundationSpreadsheetProcessor {
                 timeline: {
                     aliases: ['Timeline'],
                     required: false,
+                    type: 'timeline',
+                    outputName: 'Timeline',
                     description: 'Timeline of events with dates, descriptions, and optional URLs'
                 },
                 
@@ -75,6 +116,8 @@ class GoaFoundationSpreadsheetProcessor {
                 tags: {
                     aliases: ['Tags'],
                     required: false,
+                    type: 'list',
+                    outputName: 'Tags',
                     description: 'Tags or categories for the case (comma or semicolon separated)'
                 },
                 
@@ -82,28 +125,89 @@ class GoaFoundationSpreadsheetProcessor {
                 archive: {
                     aliases: ['Archive'],
                     required: false,
+                    type: 'url',
+                    outputName: 'Archive',
                     description: 'Link to archived documents'
                 },
                 
                 petition: {
                     aliases: ['Petition'],
                     required: false,
+                    type: 'url',
+                    outputName: 'Petition',
                     description: 'Link to petition document'
                 },
                 
                 additionalDocuments: {
                     aliases: ['Additional Documents'],
                     required: false,
+                    type: 'url',
+                    outputName: 'Additional Documents',
                     description: 'Link to additional supporting documents'
                 },
                 
                 order: {
                     aliases: ['Order'],
                     required: false,
+                    type: 'url',
+                    outputName: 'Order',
                     description: 'Link to court order or judgment'
+                },
+
+                // Place the case is about (all optional)
+                location: {
+                    aliases: ['Location', 'Place'],
+                    required: false,
+                    type: 'string',
+                    outputName: 'Location',
+                    description: 'Name of the place, e.g. a river, mine, beach or village'
+                },
+
+                lat: {
+                    aliases: ['Latitude', 'Lat'],
+                    required: false,
+                    type: 'number',
+                    min: -90,
+                    max: 90,
+                    outputName: 'Latitude',
+                    description: 'Latitude of the place in decimal degrees'
+                },
+
+                lng: {
+                    aliases: ['Longitude', 'Lng', 'Lon', 'Long'],
+                    required: false,
+                    type: 'number',
+                    min: -180,
+                    max: 180,
+                    outputName: 'Longitude',
+                    description: 'Longitude of the place in decimal degrees'
                 }
             },
             
+            // Per-language copies of text fields, read from columns such as 'Description (kok)'.
+            // Each listed field gets a field per locale (e.g. description_kok) whose aliases are the
+            // field's aliases with ' (<locale>)' appended, stored as e.g. 'Description (kok)'.
+            // Columns with a locale suffix only ever match the fields of that locale.
+            localizedFields: {
+                locales: ['kok', 'mr', 'hi'],
+                fields: ['title', 'description', 'location']
+            },
+
+            // Pin fields to exact column names, bypassing alias matching
+            // Example: { reference: 'Case Number', subject: 'Topic' }
+            columnOverrides: {},
+
+            // Header matching options
+            headerMatching: {
+                // Minimum confidence (0-1) for a column to be mapped to a field
+                minConfidence: 0.6,
+                // Two columns whose confidence for a field differs by less than this are ambiguous
+                ambiguityMargin: 0.1
+            },
+
+            // Image licenses accepted in the Image column (case-insensitive, optional version suffix)
+            knownLicenses: ['CC0', 'CC-BY', 'CC-BY-SA', 'CC-BY-ND', 'CC-BY-NC', 'CC-BY-NC-SA', 'CC-BY-NC-ND', 'PD'],
+
             // Validation options
             validation: {
                 // Whether to be strict about required fields
@@ -113,22 +217,75 @@ class GoaFoundationSpreadsheetProcessor {
                 // Whether to validate URLs
                 validateUrls: true,
                 // Whether to validate years
-                validateYears: true
+                validateYears: true,
+                // Accepted range for 'year' fields (fields can override with min/max)
+                minYear: 1900,
+                maxYearsAhead: 10,
+                // Whether to run checks across rows (duplicates, spelling variants, timeline dates)
+                crossRowChecks: true,
+                // Similarity (0-1) above which two subjects or tags are reported as variants
+                similarityThreshold: 0.85,
+                // Years after the case year a timeline event may fall in; hearings in the
+                // mining cases run for decades, so only implausible dates are reported
+                maxTimelineYearsAfterCase: 30,
+                // Area that lat/lng coordinates are expected in (Goa); null disables the check
+                coordinateBounds: { minLat: 14.85, maxLat: 15.85, minLng: 73.6, maxLng: 74.4 }
             },
             
             // Debug options
             debug: false,
+            // Function used for debug output (defaults to console.log)
+            logger: null,
             
             // Override with user-provided config
             ...config
         };
+        this.config.fieldMappings = this.addLocalizedFieldMappings(this.config.fieldMappings);
         
         // Initialize error and warning collections
         this.errors = [];
         this.warnings = [];
         this.fieldMappingResult = {};
+
+        // Source adapters read raw content for a source type
+        this.sourceAdapters = {
+            url: (source) => this.readUrlSource(source),
+            text: (source) => this.readTextSource(source),
+            file: (source) => this.readFileSource(source),
+            data: (source) => this.readDataSource(source)
+        };
+
+        // Field type handlers validate and convert a non-empty cell value.
+        // They return { value, parsedValue, invalid: [...], warnings: [...] }:
+        // 'invalid' issues make the row invalid for required fields and are warnings otherwise.
+        this.fieldTypes = {
+            string: (value) => ({ value }),
+            markdown: (value) => ({ value }),
+            year: (value, fieldConfig) => this.validateYearValue(value, fieldConfig),
+            number: (value, fieldConfig, rowNumber, fieldName) => this.validateNumberValue(value, fieldConfig, fieldName),
+            date: (value, fieldConfig, rowNumber, fieldName) => this.validateDateValue(value, fieldName),
+            url: (value, fieldConfig, rowNumber, fieldName) => this.validateUrlValue(value, fieldName),
+            list: (value, fieldConfig) => this.parseListValue(value, fieldConfig),
+            enum: (value, fieldConfig, rowNumber, fieldName) => this.validateEnumValue(value, fieldConfig, fieldName),
+            timeline: (value, fieldConfig, rowNumber) => {
+                const parsed = this.parseTimelineValue(value, rowNumber);
+                return { value, parsedValue: parsed.items, warnings: parsed.warnings };
+            },
+            image: (value, fieldConfig, rowNumber) => {
+                const parsed = this.parseImageValue(value, rowNumber);
+                return { value, parsedValue: parsed.image, warnings: parsed.warnings };
+            }
+        };
+
+        // Format parsers turn raw content into an array of row objects
+        this.formatParsers = {
+            csv: (content) => this.parseCSV(this.decodeContent(content)),
+            tsv: (content) => this.parseTSV(this.decodeContent(content)),
+            json: (content) => this.parseJSON(content),
+            xlsx: (content) => this.parseXLSX(content)
+        };
     }
-    
+
     /**
      * Load and process data from the configured spreadsheet
      * @returns {Promise<Object>} Processed data with errors/warnings
@@ -141,19 +298,17 @@ class GoaFoundationSpreadsheetProcessor {
             this.errors = [];
             this.warnings = [];
             this.fieldMappingResult = {};
+            this.sourceInfo = null;
             
-            // Fetch raw CSV data
-            const csvData = await this.fetchCSVData();
-            
-            // Parse CSV
-            const parsedData = this.parseCSV(csvData);
-            
-            if (parsedData.length === 0) {
+            // Read and parse the configured data source
+            const parsedData = await this.loadRawData();
+
+            if (parsedData.every(row => this.isBlankRow(row))) {
                 throw new Error('No data found in the spreadsheet');
             }
             
             // Extract column headers
-            const headers = Object.keys(parsedData[0]);
+            const headers = this.collectHeaders(parsedData);
             this.log(`Found ${headers.length} columns: ${headers.join(', ')}`);
             
             // Map field names
@@ -164,6 +319,11 @@ class GoaFoundationSpreadsheetProcessor {
             
             // Process and validate data
             const processedData = this.processData(parsedData, fieldMapping);
+
+            // Check consistency between rows
+            if (this.config.validation.crossRowChecks) {
+                this.validateAcrossRows(processedData);
+            }
             
             // Return results
             const result = {
@@ -173,7 +333,12 @@ class GoaFoundationSpreadsheetProcessor {
                 warnings: this.warnings,
                 fieldMapping: this.fieldMappingResult,
                 totalRecords: processedData.length,
-                validRecords: processedData.filter(record => record._isValid !== false).length
+                validRecords: processedData.filter(record => record._isValid !== false).length,
+                source: this.sourceInfo,
+                contentHash: this.computeContentHash(processedData),
+                changes: this.config.previousSnapshot
+                    ? this.compareWithSnapshot(processedData, this.config.previousSnapshot)
+                    : null
             };
             
             this.log(`Processing complete. ${result.validRecords}/${result.totalRecords} valid records. ${this.errors.length} errors, ${this.warnings.length} warnings.`);
@@ -200,19 +365,222 @@ class GoaFoundationSpreadsheetProcessor {
     }
     
     /**
-     * Fetch CSV data from the configured URL
-     * @returns {Promise<string>} Raw CSV text
+     * Read the configured source and parse it into row objects
+     * @returns {Promise<Array<Object>>} Parsed rows keyed by column header
      */
-    async fetchCSVData() {
-        const response = await fetch(this.config.sheetUrl);
-        
+    async loadRawData() {
+        const source = this.resolveSource();
+        const adapter = this.sourceAdapters[source.type];
+
+        if (!adapter) {
+            throw new Error(`Unknown data source type '${source.type}'. Expected one of: ${Object.keys(this.sourceAdapters).join(', ')}`);
+        }
+
+        this.log(`Reading ${source.type} source${source.url || source.path ? ` '${source.url || source.path}'` : ''}`);
+        const raw = await adapter(source);
+
+        // Already-parsed rows skip format detection
+        if (Array.isArray(raw.rows)) {
+            this.sourceInfo = { type: source.type, format: 'data', name: raw.name || null };
+            return raw.rows.map(row => this.normalizeRow(row));
+        }
+
+        const requestedFormat = source.format || this.config.format || 'auto';
+        const format = requestedFormat === 'auto'
+            ? this.detectFormat(raw.content, { name: raw.name, contentType: raw.contentType })
+            : requestedFormat;
+        const parser = this.formatParsers[format];
+
+        if (!parser) {
+            throw new Error(`Unsupported data format '${format}'. Expected one of: ${Object.keys(this.formatParsers).join(', ')}`);
+        }
+
+        this.log(`Parsing source as ${format}${requestedFormat === 'auto' ? ' (auto-detected)' : ''}`);
+        this.sourceInfo = { type: source.type, format, name: raw.name || null };
+
+        return parser(raw.content);
+    }
+
+    /**
+     * Normalize the configured source, falling back to sheetUrl
+     * @returns {Object} Source descriptor with a type
+     */
+    resolveSource() {
+        const source = this.config.source;
+
+        if (!source) {
+            return { type: 'url', url: this.config.sheetUrl };
+        }
+
+        if (typeof source === 'string') {
+            return { type: 'url', url: source };
+        }
+
+        if (Array.isArray(source)) {
+            return { type: 'data', data: source };
+        }
+
+        if (!source.type) {
+            if (source.data) return { type: 'data', ...source };
+            if (source.text !== undefined) return { type: 'text', ...source };
+            if (source.file || source.path) return { type: 'file', ...source };
+            return { type: 'url', ...source };
+        }
+
+        return source;
+    }
+
+    /**
+     * Register a custom source adapter
+     * @param {string} type - Source type name used in config.source.type
+     * @param {Function} adapter - async (source) => ({ content, name, contentType }) or ({ rows })
+     */
+    registerSourceAdapter(type, adapter) {
+        this.sourceAdapters[type] = adapter;
+    }
+
+    /**
+     * Register a custom format parser
+     * @param {string} format - Format name used in config.format
+     * @param {Function} parser - (content) => Array<Object>
+     */
+    registerFormatParser(format, parser) {
+        this.formatParsers[format] = parser;
+    }
+
+    /**
+     * Read a remote or relative URL
+     * @param {Object} source - Source with a url
+     * @returns {Promise<Object>} Raw content with name and content type
+     */
+    async readUrlSource(source) {
+        const url = source.url || this.config.sheetUrl;
+        const response = await fetch(url);
+
         if (!response.ok) {
             throw new Error(`Failed to fetch data from spreadsheet: ${response.status} ${response.statusText}`);
         }
-        
-        return await response.text();
+
+        return {
+            content: await response.arrayBuffer(),
+            name: url,
+            contentType: response.headers.get('content-type') || ''
+        };
     }
-    
+
+    /**
+     * Read an in-memory string
+     * @param {Object} source - Source with text
+     * @returns {Promise<Object>} Raw content
+     */
+    async readTextSource(source) {
+        return {
+            content: String(source.text || ''),
+            name: source.name || null,
+            contentType: ''
+        };
+    }
+
+    /**
+     * Read a local file: a Blob/File in the browser or a path in Node
+     * @param {Object} source - Source with file or path
+     * @returns {Promise<Object>} Raw content with name
+     */
+    async readFileSource(source) {
+        if (source.file && typeof source.file.arrayBuffer === 'function') {
+            return {
+                content: await source.file.arrayBuffer(),
+                name: source.file.name || source.name || null,
+                contentType: source.file.type || ''
+            };
+        }
+
+        if (source.path && typeof require === 'function') {
+            const fs = require('fs');
+            const buffer = await fs.promises.readFile(source.path);
+            return {
+                content: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength),
+                name: source.path,
+                contentType: ''
+            };
+        }
+
+        throw new Error('File source needs a File/Blob (browser) or a path (Node)');
+    }
+
+    /**
+     * Use in-memory rows as the source
+     * @param {Object} source - Source with a data array
+     * @returns {Promise<Object>} Parsed rows
+     */
+    async readDataSource(source) {
+        if (!Array.isArray(source.data)) {
+            throw new Error('Data source must provide an array of rows');
+        }
+
+        return { rows: source.data, name: source.name || null };
+    }
+
+    /**
+     * Guess the format of raw content
+     * @param {string|ArrayBuffer} content - Raw content
+     * @param {Object} hints - File name and content type, if known
+     * @returns {string} Format name
+     */
+    detectFormat(content, hints = {}) {
+        const name = (hints.name || '').toLowerCase().split(/[?#]/)[0];
+        const contentType = (hints.contentType || '').toLowerCase();
+
+        // Binary content starting with the zip signature is a spreadsheet workbook
+        if (content instanceof ArrayBuffer && content.byteLength >= 2) {
+            const bytes = new Uint8Array(content, 0, 2);
+            if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+                return 'xlsx';
+            }
+        }
+
+        if (name.endsWith('.xlsx') || contentType.includes('spreadsheetml')) return 'xlsx';
+        if (name.endsWith('.json') || contentType.includes('json')) return 'json';
+        if (name.endsWith('.tsv') || contentType.includes('tab-separated')) return 'tsv';
+        if (name.endsWith('.csv') || contentType.includes('csv')) return 'csv';
+
+        // Google Sheets export URLs carry the format as a query parameter
+        const outputMatch = (hints.name || '').match(/[?&](?:output|format)=(csv|tsv|xlsx)\b/i);
+        if (outputMatch) return outputMatch[1].toLowerCase();
+
+        // Sniff the text itself
+        const text = this.decodeContent(content).replace(/^\uFEFF/, '').trimStart();
+        if (text.startsWith('[') || text.startsWith('{')) return 'json';
+
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const tabCount = (firstLine.match(/\t/g) || []).length;
+        const commaCount = (firstLine.match(/,/g) || []).length;
+
+        return tabCount > commaCount ? 'tsv' : 'csv';
+    }
+
+    /**
+     * Decode raw content into a string
+     * @param {string|ArrayBuffer} content - Raw content
+     * @returns {string} Text content
+     */
+    decodeContent(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+
+        return new TextDecoder('utf-8').decode(content);
+    }
+
+    /**
+     * Fetch CSV data from the configured URL
+     * @returns {Promise<string>} Raw CSV text
+     */
+    async fetchCSVData() {
+        const raw = await this.readUrlSource({ url: this.config.sheetUrl });
+        return this.decodeContent(raw.content);
+    }
+
     /**
      * Parse CSV text into array of objects
      * @param {string} csvText - Raw CSV text
@@ -220,144 +588,712 @@ class GoaFoundationSpreadsheetProcessor {
      */
     parseCSV(csvText) {
         try {
-            const parsed = d3.csvParse(csvText);
+            const parsed = typeof d3 !== 'undefined'
+                ? d3.csvParse(csvText)
+                : this.parseDelimited(csvText, ',');
             this.log(`Parsed ${parsed.length} rows from CSV`);
             return parsed;
         } catch (error) {
             throw new Error(`Failed to parse CSV data: ${error.message}`);
         }
     }
-    
+
     /**
-     * Map column headers to internal field names using aliases
-     * @param {Array<string>} headers - Column headers from CSV
-     * @returns {Object} Mapping of internal field name to actual column name
+     * Parse TSV text into array of objects
+     * @param {string} tsvText - Raw TSV text
+     * @returns {Array<Object>} Parsed data
      */
-    mapFieldNames(headers) {
-        const mapping = {};
-        const unmappedHeaders = [...headers];
-        
-        // Process each required field
-        for (const [fieldName, fieldConfig] of Object.entries(this.config.fieldMappings)) {
-            let foundMatch = null;
-            
-            // Try each alias for this field
-            for (const alias of fieldConfig.aliases) {
-                // Case-insensitive exact match
-                const exactMatch = headers.find(header => 
-                    header.toLowerCase().trim() === alias.toLowerCase().trim()
-                );
-                
-                if (exactMatch) {
-                    foundMatch = exactMatch;
-                    break;
+    parseTSV(tsvText) {
+        try {
+            const parsed = typeof d3 !== 'undefined'
+                ? d3.tsvParse(tsvText)
+                : this.parseDelimited(tsvText, '\t');
+            this.log(`Parsed ${parsed.length} rows from TSV`);
+            return parsed;
+        } catch (error) {
+            throw new Error(`Failed to parse TSV data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse delimited text without d3 (used in Node)
+     * Handles quoted fields, escaped quotes and newlines inside quotes.
+     * @param {string} text - Raw delimited text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<Object>} Parsed data
+     */
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
                 }
-                
-                // Case-insensitive partial match (alias contained in header)
-                const partialMatch = headers.find(header => 
-                    header.toLowerCase().trim().includes(alias.toLowerCase().trim())
-                );
-                
-                if (partialMatch && !foundMatch) {
-                    foundMatch = partialMatch;
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') {
+                    i++;
                 }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
             }
-            
-            if (foundMatch) {
-                mapping[fieldName] = foundMatch;
-                this.fieldMappingResult[fieldName] = {
-                    mappedTo: foundMatch,
-                    status: 'found'
-                };
-                
-                // Remove from unmapped list
-                const index = unmappedHeaders.indexOf(foundMatch);
-                if (index > -1) {
-                    unmappedHeaders.splice(index, 1);
-                }
-                            } else {
-                this.fieldMappingResult[fieldName] = {
-                    mappedTo: null,
-                    status: 'not_found',
-                    aliases: fieldConfig.aliases
-                };
-                
-                if (fieldConfig.required) {
-                    this.errors.push({
-                        type: 'MISSING_REQUIRED_FIELD',
-                        message: `Required field '${fieldName}' not found. Expected one of: ${fieldConfig.aliases.join(', ')}`,
-                        context: 'Field mapping',
-                        field: fieldName,
-                        expectedAliases: fieldConfig.aliases
-                    });
-                } else {
-                    this.warnings.push({
-                        type: 'MISSING_OPTIONAL_FIELD',
-                        message: `Optional field '${fieldName}' not found. Expected one of: ${fieldConfig.aliases.join(', ')}`,
-                        context: 'Field mapping',
-                        field: fieldName,
-                        expectedAliases: fieldConfig.aliases
-                    });
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const headers = rows[0];
+        return rows.slice(1)
+            .map(values => {
+                const record = {};
+                headers.forEach((header, index) => {
+                    record[header] = values[index] !== undefined ? values[index] : '';
+                });
+                return record;
+            });
+    }
+
+    /**
+     * Parse JSON content into array of objects
+     * Accepts an array of rows, { data: [...] } or a previously processed result,
+     * whose timeline field names are mapped back to the original column headers.
+     * @param {string|ArrayBuffer} content - Raw JSON content
+     * @returns {Array<Object>} Parsed data
+     */
+    parseJSON(content) {
+        let parsed;
+
+        try {
+            parsed = JSON.parse(this.decodeContent(content).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Failed to parse JSON data: ${error.message}`);
+        }
+
+        const rows = Array.isArray(parsed) ? parsed : parsed && (parsed.data || parsed.rows);
+
+        if (!Array.isArray(rows)) {
+            throw new Error('Failed to parse JSON data: expected an array of rows or an object with a data array');
+        }
+
+        // Snapshot of a processed result: map timeline field names back to column headers
+        const headerByOutputName = {};
+        if (parsed.fieldMapping) {
+            for (const [fieldName, mapping] of Object.entries(parsed.fieldMapping)) {
+                if (mapping && mapping.mappedTo) {
+                    headerByOutputName[this.getTimelineFieldName(fieldName)] = mapping.mappedTo;
                 }
             }
         }
-        
-        // Report unmapped columns
-        if (unmappedHeaders.length > 0) {
-            this.warnings.push({
-                type: 'UNMAPPED_COLUMNS',
-                message: `Found ${unmappedHeaders.length} unmapped columns: ${unmappedHeaders.join(', ')}`,
-                context: 'Field mapping',
-                unmappedColumns: unmappedHeaders
+
+        // Rows a previous run marked invalid are kept, so they are validated (and reported) again
+        const renamedRows = rows
+            .filter(row => row && typeof row === 'object')
+            .map(row => {
+                const record = {};
+                for (const [key, value] of Object.entries(row)) {
+                    if (key.startsWith('_')) continue;
+                    record[headerByOutputName[key] || key] = value;
+                }
+                return record;
             });
+
+        // Rows may list different keys; give every row every column, as in a CSV
+        const headers = this.collectHeaders(renamedRows);
+        const records = renamedRows.map(row => {
+            const record = {};
+            headers.forEach(header => {
+                record[header] = row[header];
+            });
+            return this.normalizeRow(record);
+        });
+
+        this.log(`Parsed ${records.length} rows from JSON`);
+        return records;
+    }
+
+    /**
+     * Column headers across all rows, in order of first appearance
+     * @param {Array<Object>} rows - Parsed rows
+     * @returns {Array<string>} Headers
+     */
+    collectHeaders(rows) {
+        const headers = new Set();
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => headers.add(key));
+        });
+        return Array.from(headers);
+    }
+
+    /**
+     * Parse an XLSX workbook (first sheet) using SheetJS when it is loaded
+     * @param {ArrayBuffer} content - Raw workbook bytes
+     * @returns {Array<Object>} Parsed data
+     */
+    parseXLSX(content) {
+        const sheetJs = typeof XLSX !== 'undefined'
+            ? XLSX
+            : (typeof require === 'function' ? this.tryRequire('xlsx') : null);
+
+        if (!sheetJs) {
+            throw new Error('XLSX support needs the SheetJS library (global XLSX or the xlsx package)');
+        }
+
+        try {
+            const workbook = sheetJs.read(new Uint8Array(content), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            const rows = sheetJs.utils.sheet_to_json(sheet, { defval: '', raw: false });
+            this.log(`Parsed ${rows.length} rows from XLSX sheet '${workbook.SheetNames[0]}'`);
+            return rows.map(row => this.normalizeRow(row));
+        } catch (error) {
+            throw new Error(`Failed to parse XLSX data: ${error.message}`);
         }
-        
-        return mapping;
     }
-    
+
     /**
-     * Validate that all required fields are present
-     * @param {Object} fieldMapping - Field mapping result
+     * Require an optional Node module, returning null when it is not installed
+     * @param {string} name - Module name
+     * @returns {Object|null} Module or null
      */
-    validateRequiredFields(fieldMapping) {
-        const requiredFields = Object.entries(this.config.fieldMappings)
-            .filter(([_, config]) => config.required)
-            .map(([fieldName, _]) => fieldName);
-        
-        const missingRequired = requiredFields.filter(fieldName => !fieldMapping[fieldName]);
-        
-        if (missingRequired.length > 0 && this.config.validation.strictMode) {
-            throw new Error(`Missing required fields: ${missingRequired.join(', ')}`);
+    tryRequire(name) {
+        try {
+            return require(name);
+        } catch (error) {
+            return null;
         }
     }
-    
+
     /**
-     * Process and validate the raw data
-     * @param {Array<Object>} rawData - Raw parsed CSV data
-     * @param {Object} fieldMapping - Field name mapping
-     * @returns {Array<Object>} Processed and validated data
+     * Convert row values to strings, as the CSV parser would produce
+     * @param {Object} row - Row with arbitrary values
+     * @returns {Object} Row with string values
      */
-    processData(rawData, fieldMapping) {
-        const processedData = [];
-        
-        for (let i = 0; i < rawData.length; i++) {
-            const row = rawData[i];
-            const processedRow = this.processRow(row, fieldMapping, i + 1);
-            
-            if (processedRow) {
-                processedData.push(processedRow);
+    normalizeRow(row) {
+        const record = {};
+
+        for (const [key, value] of Object.entries(row)) {
+            if (value === null || value === undefined) {
+                record[key] = '';
+            } else if (Array.isArray(value)) {
+                record[key] = value.join('; ');
+            } else if (typeof value === 'object') {
+                record[key] = JSON.stringify(value);
+            } else {
+                record[key] = String(value);
             }
         }
-        
-        return processedData;
+
+        return record;
     }
-    
+
     /**
-     * Process a single row of data
-     * @param {Object} row - Raw row data
-     * @param {Object} fieldMapping - Field mapping
-     * @param {number} rowNumber - Row number for error reporting
-     * @returns {Object|null} Processed row or null if invalid
+     * Map column headers to internal field names using aliases
+     *
+     * Each header is scored against each field's aliases: exact match (1.0), match after
+     * normalizing case/punctuation/spacing (0.95), edit-distance similarity (typos such as
+     * "Subjects") or the alias appearing as words within the header. Columns are then assigned
+     * best-first so no column is mapped to two fields. columnOverrides pin exact columns.
+     * @param {Array<string>} headers - Column headers from CSV
+     * @returns {Object} Mapping of internal field name to actual column name
+     */
+    mapFieldNames(headers) {
+        const mapping = {};
+        const usedHeaders = new Map(); // header -> field name
+        const { minConfidence, ambiguityMargin } = this.config.headerMatching;
+        const overrides = this.config.columnOverrides || {};
+        const fieldEntries = Object.entries(this.config.fieldMappings);
+
+        const assign = (fieldName, header, confidence, method) => {
+            mapping[fieldName] = header;
+            usedHeaders.set(header, fieldName);
+            this.fieldMappingResult[fieldName] = {
+                mappedTo: header,
+                status: 'found',
+                confidence: Math.round(confidence * 100) / 100,
+                method
+            };
+        };
+
+        // Pinned columns first
+        for (const [fieldName, column] of Object.entries(overrides)) {
+            if (!this.config.fieldMappings[fieldName]) {
+                this.warnings.push({
+                    type: 'INVALID_COLUMN_OVERRIDE',
+                    message: `Column override for unknown field '${fieldName}'`,
+                    context: 'Field mapping',
+                    field: fieldName
+                });
+                continue;
+            }
+
+            if (!headers.includes(column)) {
+                this.errors.push({
+                    type: 'INVALID_COLUMN_OVERRIDE',
+                    message: `Column '${column}' pinned for field '${fieldName}' was not found`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    column
+                });
+                continue;
+            }
+
+            if (usedHeaders.has(column)) {
+                this.errors.push({
+                    type: 'DUPLICATE_MAPPING',
+                    message: `Column '${column}' is pinned to both '${usedHeaders.get(column)}' and '${fieldName}'`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    column,
+                    fields: [usedHeaders.get(column), fieldName]
+                });
+                continue;
+            }
+
+            assign(fieldName, column, 1, 'override');
+        }
+
+        // Score every remaining field/header pair
+        const candidatesByField = {};
+        for (const [fieldName, fieldConfig] of fieldEntries) {
+            if (Object.prototype.hasOwnProperty.call(overrides, fieldName)) {
+                continue;
+            }
+
+            // 'Description (kok)' must not stand in for Description or 'Description (mr)'
+            candidatesByField[fieldName] = headers
+                .filter(header => this.getHeaderLocale(header) === (fieldConfig.locale || null))
+                .map(header => ({ header, ...this.scoreHeader(header, fieldConfig.aliases) }))
+                .filter(candidate => candidate.confidence >= minConfidence)
+                .sort((a, b) => b.confidence - a.confidence);
+        }
+
+        // Assign best-first across all fields so each column is used once
+        const allCandidates = Object.entries(candidatesByField)
+            .flatMap(([fieldName, candidates]) => candidates.map(candidate => ({ fieldName, ...candidate })))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        for (const candidate of allCandidates) {
+            const { fieldName, header, confidence, method } = candidate;
+
+            if (mapping[fieldName] || usedHeaders.has(header)) {
+                continue;
+            }
+
+            const remaining = candidatesByField[fieldName].filter(c => !usedHeaders.has(c.header));
+
+            // The field's best column was taken by another field
+            const best = candidatesByField[fieldName][0];
+            if (best.header !== header && usedHeaders.has(best.header)) {
+                this.errors.push({
+                    type: 'DUPLICATE_MAPPING',
+                    message: `Column '${best.header}' matches both '${usedHeaders.get(best.header)}' and '${fieldName}'; '${fieldName}' was mapped to '${header}' instead`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    column: best.header,
+                    fields: [usedHeaders.get(best.header), fieldName]
+                });
+            }
+
+            // Another column matches this field almost as well
+            const runnerUp = remaining.find(c => c.header !== header);
+            if (runnerUp && confidence - runnerUp.confidence < ambiguityMargin) {
+                this.errors.push({
+                    type: 'AMBIGUOUS_MAPPING',
+                    message: `Field '${fieldName}' matches both '${header}' and '${runnerUp.header}'. Use columnOverrides to pick one`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    candidates: [header, runnerUp.header]
+                });
+            }
+
+            assign(fieldName, header, confidence, method);
+        }
+
+        // Report fields with no column
+        for (const [fieldName, fieldConfig] of fieldEntries) {
+            if (mapping[fieldName]) {
+                continue;
+            }
+
+            const losingCandidate = (candidatesByField[fieldName] || [])[0];
+            if (losingCandidate) {
+                this.errors.push({
+                    type: 'DUPLICATE_MAPPING',
+                    message: `Column '${losingCandidate.header}' matches both '${usedHeaders.get(losingCandidate.header)}' and '${fieldName}'; '${fieldName}' was left unmapped`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    column: losingCandidate.header,
+                    fields: [usedHeaders.get(losingCandidate.header), fieldName]
+                });
+            }
+
+            this.fieldMappingResult[fieldName] = {
+                mappedTo: null,
+                status: 'not_found',
+                aliases: fieldConfig.aliases
+            };
+
+            if (fieldConfig.required) {
+                this.errors.push({
+                    type: 'MISSING_REQUIRED_FIELD',
+                    message: `Required field '${fieldName}' not found. Expected one of: ${fieldConfig.aliases.join(', ')}`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    expectedAliases: fieldConfig.aliases
+                });
+            } else if (!fieldConfig.localeOf) {
+                // Translations are expected to be missing for most languages
+                this.warnings.push({
+                    type: 'MISSING_OPTIONAL_FIELD',
+                    message: `Optional field '${fieldName}' not found. Expected one of: ${fieldConfig.aliases.join(', ')}`,
+                    context: 'Field mapping',
+                    field: fieldName,
+                    expectedAliases: fieldConfig.aliases
+                });
+            }
+        }
+
+        // Keep the mapping result in field configuration order
+        const orderedResult = {};
+        for (const [fieldName] of fieldEntries) {
+            orderedResult[fieldName] = this.fieldMappingResult[fieldName];
+        }
+        this.fieldMappingResult = orderedResult;
+
+        // Report unmapped columns
+        const unmappedHeaders = headers.filter(header => !usedHeaders.has(header));
+        if (unmappedHeaders.length > 0) {
+            this.warnings.push({
+                type: 'UNMAPPED_COLUMNS',
+                message: `Found ${unmappedHeaders.length} unmapped columns: ${unmappedHeaders.join(', ')}`,
+                context: 'Field mapping',
+                unmappedColumns: unmappedHeaders
+            });
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Score how well a column header matches a field's aliases
+     * @param {string} header - Column header
+     * @param {Array<string>} aliases - Field aliases
+     * @returns {Object} Best { confidence, method, alias } over all aliases
+     */
+    scoreHeader(header, aliases) {
+        let best = { confidence: 0, method: null, alias: null };
+        const normalizedHeader = this.normalizeHeader(header);
+
+        for (const alias of aliases) {
+            const normalizedAlias = this.normalizeHeader(alias);
+            let confidence = 0;
+            let method = null;
+
+            if (header.toLowerCase().trim() === alias.toLowerCase().trim()) {
+                confidence = 1;
+                method = 'exact';
+            } else if (normalizedHeader && normalizedHeader === normalizedAlias) {
+                confidence = 0.95;
+                method = 'normalized';
+            } else if (normalizedHeader && normalizedAlias) {
+                const distance = this.editDistance(normalizedHeader, normalizedAlias);
+                const similarity = 1 - distance / Math.max(normalizedHeader.length, normalizedAlias.length);
+
+                if (similarity >= 0.75) {
+                    confidence = 0.9 * similarity;
+                    method = 'fuzzy';
+                } else if (` ${normalizedHeader} `.includes(` ${normalizedAlias} `)) {
+                    // Alias appears as whole words in a longer header, e.g. "Tags (comma separated)"
+                    confidence = 0.6 + 0.25 * (normalizedAlias.length / normalizedHeader.length);
+                    method = 'partial';
+                }
+            }
+
+            if (confidence > best.confidence) {
+                best = { confidence, method, alias };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Normalize a header for comparison: lowercase, punctuation and extra spaces removed
+     * @param {string} header - Column header or alias
+     * @returns {string} Normalized header
+     */
+    normalizeHeader(header) {
+        return String(header)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of single-character edits
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+    
+    /**
+     * Validate that all required fields are present
+     * @param {Object} fieldMapping - Field mapping result
+     */
+    validateRequiredFields(fieldMapping) {
+        const requiredFields = Object.entries(this.config.fieldMappings)
+            .filter(([_, config]) => config.required)
+            .map(([fieldName, _]) => fieldName);
+        
+        const missingRequired = requiredFields.filter(fieldName => !fieldMapping[fieldName]);
+        
+        if (missingRequired.length > 0 && this.config.validation.strictMode) {
+            throw new Error(`Missing required fields: ${missingRequired.join(', ')}`);
+        }
+    }
+    
+    /**
+     * Process and validate the raw data. Blank rows are skipped here, for every
+     * parser, and the rows after them keep their position in the sheet.
+     * @param {Array<Object>} rawData - Raw parsed CSV data
+     * @param {Object} fieldMapping - Field name mapping
+     * @returns {Array<Object>} Processed and validated data
+     */
+    processData(rawData, fieldMapping) {
+        const processedData = [];
+        
+        for (let i = 0; i < rawData.length; i++) {
+            const row = rawData[i];
+            if (this.isBlankRow(row)) {
+                continue;
+            }
+
+            const processedRow = this.processRow(row, fieldMapping, i + 1);
+            
+            if (processedRow) {
+                processedData.push(processedRow);
+            }
+        }
+        
+        return processedData;
+    }
+    
+    /**
+     * Check whether a parsed row has no values at all
+     * @param {Object} row - Raw row data
+     * @returns {boolean} True when every cell is empty or whitespace
+     */
+    isBlankRow(row) {
+        return Object.values(row).every(value => value === null || value === undefined || String(value).trim() === '');
+    }
+
+    /**
+     * Run checks that need the whole dataset: duplicate references, near-duplicate
+     * subjects, tag spelling variants and timeline dates outside the case's years.
+     * Rows that failed their own checks take part too, so a duplicate is reported even
+     * when one of its copies is invalid.
+     * @param {Array<Object>} records - Processed records
+     */
+    validateAcrossRows(records) {
+        const referenceField = this.getTimelineFieldName('reference');
+        const subjectField = this.getTimelineFieldName('subject');
+        const yearField = this.getTimelineFieldName('year');
+
+        // Findings are reported once globally and attached to every row involved
+        const report = (severity, issue, involvedRecords) => {
+            const rowNumbers = involvedRecords.map(record => record._rowNumber);
+            const finding = {
+                ...issue,
+                context: `Rows ${rowNumbers.join(', ')}`,
+                rowNumbers
+            };
+            (severity === 'error' ? this.errors : this.warnings).push(finding);
+            involvedRecords.forEach(record => {
+                (severity === 'error' ? record._errors : record._warnings).push(finding);
+            });
+        };
+
+        // Duplicate references
+        const recordsByReference = this.groupBy(records, record => this.normalizeHeader(record[referenceField] || ''));
+        for (const [key, group] of recordsByReference) {
+            if (key && group.length > 1) {
+                report('error', {
+                    type: 'DUPLICATE_REFERENCE',
+                    message: `Reference '${group[0][referenceField]}' appears in ${group.length} rows (rows ${group.map(r => r._rowNumber).join(', ')})`,
+                    field: 'reference',
+                    value: group[0][referenceField]
+                }, group);
+            }
+        }
+
+        // Near-duplicate subjects, e.g. "Mhadei" and "Mhadei river"
+        const recordsBySubject = this.groupBy(records, record => record[subjectField] || '');
+        this.findSimilarValues(Array.from(recordsBySubject.keys())).forEach(([a, b]) => {
+            report('warning', {
+                type: 'SIMILAR_SUBJECT',
+                message: `Subjects '${a}' and '${b}' look like the same subject`,
+                field: 'subject',
+                values: [a, b]
+            }, [...recordsBySubject.get(a), ...recordsBySubject.get(b)]);
+        });
+
+        // Tag spelling variants, e.g. "Mining" and "mining" or "Forest" and "Forests"
+        const taggedRecords = records.flatMap(record => {
+            const tags = record._tags || this.parseListValue(record[this.getTimelineFieldName('tags')] || '', {}).parsedValue;
+            return tags.map(tag => ({ tag, record }));
+        });
+        const recordsByTag = new Map(Array.from(
+            this.groupBy(taggedRecords, entry => entry.tag),
+            ([tag, entries]) => [tag, entries.map(entry => entry.record)]
+        ));
+        this.findSimilarValues(Array.from(recordsByTag.keys()), { wordSubsets: false }).forEach(([a, b]) => {
+            report('warning', {
+                type: 'TAG_VARIANT',
+                message: `Tags '${a}' and '${b}' look like spelling variants of the same tag`,
+                field: 'tags',
+                values: [a, b]
+            }, Array.from(new Set([...recordsByTag.get(a), ...recordsByTag.get(b)])));
+        });
+
+        // Timeline events dated before the case year, or implausibly long after it
+        const { maxTimelineYearsAfterCase } = this.config.validation;
+        records.forEach(record => {
+            const year = parseInt(record[yearField]);
+            if (isNaN(year) || !Array.isArray(record._timeline)) {
+                return;
+            }
+
+            record._timeline
+                .filter(item => parseInt(item.date) < year || parseInt(item.date) > year + maxTimelineYearsAfterCase)
+                .forEach(item => {
+                    const position = parseInt(item.date) < year
+                        ? `before the case year ${year}`
+                        : `more than ${maxTimelineYearsAfterCase} years after the case year ${year}`;
+                    report('warning', {
+                        type: 'TIMELINE_OUTSIDE_YEAR',
+                        message: `Timeline event on ${item.date} (line ${item.line}) is ${position}`,
+                        field: 'timeline',
+                        value: item.date,
+                        rowNumber: record._rowNumber,
+                        lineNumber: item.line
+                    }, [record]);
+                });
+        });
+    }
+
+    /**
+     * Group items by a key, keeping first-seen order
+     * @param {Array} items - Items to group
+     * @param {Function} keyFn - item => key
+     * @returns {Map} Map of key to items
+     */
+    groupBy(items, keyFn) {
+        const groups = new Map();
+
+        items.forEach(item => {
+            const key = keyFn(item);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Find pairs of distinct values that are probably spellings of the same thing
+     * @param {Array<string>} values - Distinct values
+     * @param {Object} [options] - wordSubsets: also pair values whose words contain the other's words
+     * @returns {Array<Array<string>>} Pairs of similar values
+     */
+    findSimilarValues(values, options = {}) {
+        const { wordSubsets = true } = options;
+        const threshold = this.config.validation.similarityThreshold;
+        // Case, punctuation and a plural 's' are ignored
+        const normalize = (value) => this.normalizeHeader(value)
+            .split(' ')
+            .map(word => word.length > 3 ? word.replace(/s$/, '') : word)
+            .join(' ');
+        const entries = values
+            .filter(value => value && value.trim())
+            .map(value => ({ value, normalized: normalize(value) }));
+        const pairs = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                let similar = a.normalized === b.normalized;
+
+                if (!similar && Math.min(a.normalized.length, b.normalized.length) >= 5) {
+                    const distance = this.editDistance(a.normalized, b.normalized);
+                    similar = 1 - distance / Math.max(a.normalized.length, b.normalized.length) >= threshold;
+                }
+
+                if (!similar && wordSubsets) {
+                    const wordsA = a.normalized.split(' ');
+                    const wordsB = b.normalized.split(' ');
+                    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+                    similar = shorter.length < longer.length && shorter.every(word => longer.includes(word));
+                }
+
+                if (similar) {
+                    pairs.push([a.value, b.value]);
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Process a single row of data
+     * @param {Object} row - Raw row data
+     * @param {Object} fieldMapping - Field mapping
+     * @param {number} rowNumber - Row number for error reporting
+     * @returns {Object|null} Processed row or null if invalid
      */
     processRow(row, fieldMapping, rowNumber) {
         const processedRow = {
@@ -380,11 +1316,22 @@ class GoaFoundationSpreadsheetProcessor {
                 }
                 
                 // Validate the value
-                const validationResult = this.validateFieldValue(fieldName, value, fieldConfig, rowNumber);
+                const validationResult = this.validateFieldValue(fieldName, value, fieldConfig, rowNumber, row);
                 
                 if (validationResult.isValid) {
                     // Store the processed value using the expected field name for the timeline
                     processedRow[this.getTimelineFieldName(fieldName)] = validationResult.processedValue;
+                    // Structured values (parsed lists, Timeline and Image cells) are stored alongside the raw text
+                    if (validationResult.parsedValue !== undefined) {
+                        processedRow[`_${fieldName}`] = validationResult.parsedValue;
+                    }
+                    // Optional cells the type rejected are stored empty, with the cell text kept aside
+                    if (validationResult.rejectedValue !== undefined) {
+                        processedRow._rejectedValues = processedRow._rejectedValues || {};
+                        processedRow._rejectedValues[fieldName] = validationResult.rejectedValue;
+                    }
+                    // Keep non-fatal findings such as INVALID_URL
+                    processedRow._warnings.push(...validationResult.warnings);
                 } else {
                     processedRow._isValid = false;
                     processedRow._errors.push(...validationResult.errors);
@@ -402,6 +1349,8 @@ class GoaFoundationSpreadsheetProcessor {
             }
         }
         
+        processedRow._warnings.push(...this.validateCoordinates(processedRow, rowNumber));
+
         // Add row-level errors to global collections
         this.errors.push(...processedRow._errors);
         this.warnings.push(...processedRow._warnings);
@@ -416,12 +1365,14 @@ class GoaFoundationSpreadsheetProcessor {
      * @param {any} value - Field value
      * @param {Object} fieldConfig - Field configuration
      * @param {number} rowNumber - Row number for error reporting
+     * @param {Object} [row] - Raw row data, passed to the field's transform
      * @returns {Object} Validation result
      */
-    validateFieldValue(fieldName, value, fieldConfig, rowNumber) {
+    validateFieldValue(fieldName, value, fieldConfig, rowNumber, row = {}) {
         const result = {
             isValid: true,
             processedValue: value,
+            parsedValue: undefined,
             errors: [],
             warnings: []
         };
@@ -460,87 +1411,691 @@ class GoaFoundationSpreadsheetProcessor {
             }
         }
         
-        // Apply built-in validations
-        if (fieldName === 'year' && this.config.validation.validateYears) {
-            const year = parseInt(value);
-            if (isNaN(year) || year < 1900 || year > new Date().getFullYear() + 10) {
+        // Apply the declared field type
+        const typeName = fieldConfig.type || 'string';
+        const typeHandler = this.fieldTypes[typeName];
+
+        if (!typeHandler) {
+            throw new Error(`Unknown type '${typeName}' for field '${fieldName}'. Expected one of: ${Object.keys(this.fieldTypes).join(', ')}`);
+        }
+
+        const typed = typeHandler(value, fieldConfig, rowNumber, fieldName);
+        const toIssue = (issue) => ({
+            context: `Row ${rowNumber}`,
+            value: value,
+            rowNumber,
+            ...issue,
+            field: fieldName
+        });
+
+        result.warnings.push(...(typed.warnings || []).map(toIssue));
+
+        if (typed.invalid && typed.invalid.length > 0) {
+            if (fieldConfig.required) {
                 result.isValid = false;
-                result.errors.push({
-                    type: 'INVALID_YEAR',
-                    message: `Invalid year '${value}'. Expected a year between 1900 and ${new Date().getFullYear() + 10}`,
-                    context: `Row ${rowNumber}`,
-                    field: fieldName,
-                    value: value,
-                    rowNumber
-                });
+                result.errors.push(...typed.invalid.map(toIssue));
                 return result;
             }
-            result.processedValue = year.toString();
+            // Optional fields are left empty and only warn; the cell text is kept for diagnostics
+            result.warnings.push(...typed.invalid.map(toIssue));
+            result.processedValue = '';
+            result.rejectedValue = value;
+            return result;
         }
-        
-        // URL validation for link fields
-        if (this.config.validation.validateUrls && 
-            ['archive', 'petition', 'additionalDocuments', 'order'].includes(fieldName) &&
-            value && value.trim()) {
-            
+
+        result.processedValue = typed.value;
+        result.parsedValue = typed.parsedValue;
+
+        // Apply custom transform
+        if (fieldConfig.transform) {
             try {
-                new URL(value);
+                result.processedValue = fieldConfig.transform(result.processedValue, row);
             } catch (error) {
-                result.warnings.push({
-                    type: 'INVALID_URL',
-                    message: `Invalid URL format for field '${fieldName}': '${value}'`,
-                    context: `Row ${rowNumber}`,
-                    field: fieldName,
-                    value: value,
-                    rowNumber
-                });
+                result.warnings.push(toIssue({
+                    type: 'TRANSFORM_FAILED',
+                    message: `Transform failed for field '${fieldName}': ${error.message}`
+                }));
             }
         }
         
         return result;
     }
+
+    /**
+     * Validate a year value against the configured range
+     * @param {string} value - Cell value
+     * @param {Object} fieldConfig - Field configuration (optional min/max)
+     * @returns {Object} Type handler result
+     */
+    validateYearValue(value, fieldConfig) {
+        if (!this.config.validation.validateYears) {
+            return { value };
+        }
+
+        const minYear = fieldConfig.min !== undefined ? fieldConfig.min : this.config.validation.minYear;
+        const maxYear = fieldConfig.max !== undefined
+            ? fieldConfig.max
+            : new Date().getFullYear() + this.config.validation.maxYearsAhead;
+        const year = parseInt(value);
+
+        if (isNaN(year) || year < minYear || year > maxYear) {
+            return {
+                invalid: [{
+                    type: 'INVALID_YEAR',
+                    message: `Invalid year '${value}'. Expected a year between ${minYear} and ${maxYear}`
+                }]
+            };
+        }
+
+        return { value: year.toString() };
+    }
+
+    /**
+     * Validate a decimal number, e.g. a coordinate
+     * @param {string} value - Cell value
+     * @param {Object} fieldConfig - Field configuration (optional min/max)
+     * @param {string} fieldName - Internal field name for messages
+     * @returns {Object} Type handler result with the number as parsedValue
+     */
+    validateNumberValue(value, fieldConfig, fieldName) {
+        const number = /^[-+]?(\d+\.?\d*|\.\d+)$/.test(String(value)) ? parseFloat(value) : NaN;
+        const min = fieldConfig.min !== undefined ? fieldConfig.min : -Infinity;
+        const max = fieldConfig.max !== undefined ? fieldConfig.max : Infinity;
+
+        if (isNaN(number) || number < min || number > max) {
+            const range = fieldConfig.min !== undefined || fieldConfig.max !== undefined ? ` between ${min} and ${max}` : '';
+            return {
+                invalid: [{
+                    type: 'INVALID_NUMBER',
+                    message: `Invalid number '${value}' for field '${fieldName}'. Expected a number${range}`
+                }]
+            };
+        }
+
+        return { value: String(value), parsedValue: number };
+    }
+
+    /**
+     * Check that a row has both coordinates or neither, inside the configured bounds
+     * @param {Object} record - Processed row with parsed _lat/_lng
+     * @param {number} rowNumber - Row number for error reporting
+     * @returns {Array<Object>} Warnings
+     */
+    validateCoordinates(record, rowNumber) {
+        const hasLat = typeof record._lat === 'number';
+        const hasLng = typeof record._lng === 'number';
+        const bounds = this.config.validation.coordinateBounds;
+
+        if (hasLat !== hasLng) {
+            const missing = hasLat ? 'lng' : 'lat';
+            return [{
+                type: 'INCOMPLETE_COORDINATES',
+                message: `Row has only one coordinate; '${missing}' is missing or invalid, so the case is left off the map`,
+                context: `Row ${rowNumber}`,
+                field: missing,
+                rowNumber
+            }];
+        }
+
+        if (hasLat && bounds && (record._lat < bounds.minLat || record._lat > bounds.maxLat ||
+            record._lng < bounds.minLng || record._lng > bounds.maxLng)) {
+            return [{
+                type: 'COORDINATES_OUT_OF_AREA',
+                message: `Coordinates ${record._lat}, ${record._lng} are outside the expected area (latitude and longitude swapped?)`,
+                context: `Row ${rowNumber}`,
+                field: 'lat',
+                value: `${record._lat}, ${record._lng}`,
+                rowNumber
+            }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Validate a YYYY-MM-DD date value
+     * @param {string} value - Cell value
+     * @param {string} fieldName - Internal field name for messages
+     * @returns {Object} Type handler result
+     */
+    validateDateValue(value, fieldName) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !this.isValidDate(value)) {
+            return {
+                invalid: [{
+                    type: 'INVALID_DATE',
+                    message: `Invalid date '${value}' for field '${fieldName}'. Expected YYYY-MM-DD`
+                }]
+            };
+        }
+
+        return { value };
+    }
+
+    /**
+     * Validate a URL value
+     * @param {string} value - Cell value
+     * @param {string} fieldName - Internal field name for messages
+     * @returns {Object} Type handler result
+     */
+    validateUrlValue(value, fieldName) {
+        if (!this.config.validation.validateUrls) {
+            return { value };
+        }
+
+        let url;
+        try {
+            // URL() silently drops tabs and line breaks, and the timeline drops links with
+            // any whitespace or control character, so such values are invalid here too
+            if (/[\u0000-\u001f\u007f\s]/.test(value)) {
+                throw new Error('whitespace or control character');
+            }
+            url = new URL(value);
+        } catch (error) {
+            return {
+                invalid: [{
+                    type: 'INVALID_URL',
+                    message: `Invalid URL format for field '${fieldName}': '${value}'`
+                }]
+            };
+        }
+
+        // The timeline only links to http(s) URLs, so e.g. javascript: or data: values would be dropped
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return {
+                invalid: [{
+                    type: 'INVALID_URL',
+                    message: `URL for field '${fieldName}' must start with http:// or https://: '${value}'`
+                }]
+            };
+        }
+
+        return { value };
+    }
+
+    /**
+     * Split a list value (e.g. tags) into items
+     * @param {string} value - Cell value
+     * @param {Object} fieldConfig - Field configuration (optional separator)
+     * @returns {Object} Type handler result with the items as parsedValue
+     */
+    parseListValue(value, fieldConfig) {
+        const separator = fieldConfig.separator || /[,;]/;
+        const items = value
+            .split(separator)
+            .map(item => item.trim())
+            .filter(item => item);
+
+        return { value, parsedValue: items };
+    }
+
+    /**
+     * Validate a value against a fixed set of allowed values (case-insensitive)
+     * @param {string} value - Cell value
+     * @param {Object} fieldConfig - Field configuration with values
+     * @param {string} fieldName - Internal field name for messages
+     * @returns {Object} Type handler result with the canonical spelling as value
+     */
+    validateEnumValue(value, fieldConfig, fieldName) {
+        const allowed = fieldConfig.values || [];
+        const match = allowed.find(option => option.toLowerCase() === value.toLowerCase());
+
+        if (!match) {
+            return {
+                invalid: [{
+                    type: 'INVALID_ENUM_VALUE',
+                    message: `Invalid value '${value}' for field '${fieldName}'. Expected one of: ${allowed.join(', ')}`
+                }]
+            };
+        }
+
+        return { value: match };
+    }
+
+    /**
+     * Parse a Timeline cell
+     * Format: one event per line, "YYYY-MM-DD Description [optional URL]"
+     * @param {string} value - Raw cell value
+     * @param {number} rowNumber - Row number for error reporting
+     * @returns {Object} { items, warnings } with items sorted newest first
+     */
+    parseTimelineValue(value, rowNumber) {
+        const items = [];
+        const warnings = [];
+
+        if (!value || !String(value).trim()) {
+            return { items, warnings };
+        }
+
+        const warn = (type, message, lineNumber, line) => {
+            warnings.push({
+                type,
+                message,
+                context: `Row ${rowNumber}, Timeline line ${lineNumber}`,
+                field: 'timeline',
+                value: line,
+                rowNumber,
+                lineNumber
+            });
+        };
+
+        String(value).split(/\r?\n/).forEach((line, index) => {
+            const trimmedLine = line.trim();
+            const lineNumber = index + 1;
+
+            if (!trimmedLine) {
+                return;
+            }
+
+            const match = trimmedLine.match(/^(\d{4}-\d{2}-\d{2})(?:\s+(.*))?$/);
+            if (!match) {
+                warn('INVALID_TIMELINE_ENTRY', `Timeline line ${lineNumber} does not start with a YYYY-MM-DD date: '${trimmedLine}'`, lineNumber, trimmedLine);
+                return;
+            }
+
+            const date = match[1];
+            if (!this.isValidDate(date)) {
+                warn('INVALID_DATE', `Timeline line ${lineNumber} has an invalid date '${date}'`, lineNumber, trimmedLine);
+                return;
+            }
+
+            const rest = (match[2] || '').trim();
+            if (!rest) {
+                warn('INVALID_TIMELINE_ENTRY', `Timeline line ${lineNumber} has a date but no description: '${trimmedLine}'`, lineNumber, trimmedLine);
+                return;
+            }
+
+            // Optional trailing URL
+            const urlMatch = rest.match(/(?:^|\s+)(https?:\/\/\S+)$/);
+            const url = urlMatch ? urlMatch[1] : null;
+            const description = urlMatch ? rest.substring(0, urlMatch.index).trim() : rest;
+
+            items.push({
+                date,
+                description: description || url,
+                url,
+                line: lineNumber
+            });
+        });
+
+        // Newest first, keeping sheet order for events on the same day
+        items.sort((a, b) => b.date.localeCompare(a.date) || a.line - b.line);
+
+        return { items, warnings };
+    }
+
+    /**
+     * Parse an Image cell
+     * Format: "URL [LICENSE] [Attribution]", e.g. "https://upload.wikimedia.org/.../Tiger.jpg CC-by-SA Tisha Mukherjee"
+     * @param {string} value - Raw cell value
+     * @param {number} rowNumber - Row number for error reporting
+     * @returns {Object} { image, warnings } where image has url, license, licenseId, attribution and sourceUrl
+     */
+    parseImageValue(value, rowNumber) {
+        const warnings = [];
+
+        if (!value || !String(value).trim()) {
+            return { image: null, warnings };
+        }
+
+        const warn = (type, message) => {
+            warnings.push({
+                type,
+                message,
+                context: `Row ${rowNumber}, Image`,
+                field: 'image',
+                value,
+                rowNumber,
+                lineNumber: 1
+            });
+        };
+
+        const [url, ...restTokens] = String(value).trim().split(/\s+/);
+
+        if (this.config.validation.validateUrls && !/^https?:\/\//i.test(url)) {
+            warn('INVALID_URL', `Invalid image URL '${url}'`);
+        }
+
+        let license = null;
+        let licenseId = null;
+        let attributionTokens = restTokens;
+
+        if (restTokens.length > 0) {
+            const candidate = restTokens[0];
+            licenseId = this.normalizeLicense(candidate);
+
+            if (licenseId) {
+                license = candidate;
+                attributionTokens = restTokens.slice(1);
+            } else if (/^(cc|pd|public)/i.test(candidate)) {
+                // Looks like a license but is not one we recognise
+                license = candidate;
+                attributionTokens = restTokens.slice(1);
+                warn('UNKNOWN_LICENSE', `Unknown image license '${candidate}'. Expected one of: ${this.config.knownLicenses.join(', ')}`);
+            } else {
+                warn('UNKNOWN_LICENSE', `Image has attribution but no license. Expected one of: ${this.config.knownLicenses.join(', ')}`);
+            }
+        }
+
+        return {
+            image: {
+                url,
+                license,
+                licenseId,
+                attribution: attributionTokens.join(' ').trim() || null,
+                sourceUrl: this.getImageSourceUrl(url)
+            },
+            warnings
+        };
+    }
+
+    /**
+     * Normalize a license token to its canonical id
+     * @param {string} token - License as written, e.g. 'CC-by-SA' or 'cc-by-4.0'
+     * @returns {string|null} Canonical license id (e.g. 'CC-BY-SA-4.0') or null if unknown
+     */
+    normalizeLicense(token) {
+        const normalized = String(token).toUpperCase().replace(/[\s_]+/g, '-');
+        const versionMatch = normalized.match(/^(.*?)(?:-(\d\.\d))?$/);
+        const base = versionMatch[1];
+        const known = this.config.knownLicenses.map(license => license.toUpperCase());
+
+        return known.includes(base) ? normalized : null;
+    }
+
+    /**
+     * Link to the page describing an image, e.g. its Wikimedia Commons file page
+     * @param {string} url - Image URL
+     * @returns {string} Source page URL
+     */
+    getImageSourceUrl(url) {
+        if (url.includes('upload.wikimedia.org')) {
+            // URL format: https://upload.wikimedia.org/wikipedia/commons/thumb/a/a5/Filename.jpg/330px-Filename.jpg
+            // Commons page: https://commons.wikimedia.org/wiki/File:Filename.jpg
+            const filenameMatch = url.match(/\/([^\/]+\.(jpg|jpeg|png|gif|webp))(?:\/|$)/i);
+            if (filenameMatch) {
+                return `https://commons.wikimedia.org/wiki/File:${filenameMatch[1]}`;
+            }
+        }
+
+        return url;
+    }
+
+    /**
+     * Check that a YYYY-MM-DD string is a real calendar date
+     * @param {string} date - Date string
+     * @returns {boolean} True if valid
+     */
+    isValidDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        const parsed = new Date(Date.UTC(year, month - 1, day));
+
+        return parsed.getUTCFullYear() === year &&
+            parsed.getUTCMonth() === month - 1 &&
+            parsed.getUTCDate() === day;
+    }
     
     /**
      * Map internal field names to the field names expected by the timeline visualization
      * @param {string} internalFieldName - Internal field name
-     * @returns {string} Timeline field name
+     * @returns {string} Timeline field name (the field's outputName)
      */
     getTimelineFieldName(internalFieldName) {
-        const mapping = {
-            reference: 'Reference',
-            subject: 'Subject',
-            year: 'Year',
-            description: 'Description',
-            title: 'Title',
-            image: 'Image',
-            timeline: 'Timeline',
-            tags: 'Tags',
-            archive: 'Archive',
-            petition: 'Petition',
-            additionalDocuments: 'Additional Documents',
-            order: 'Order'
-        };
-        
-        return mapping[internalFieldName] || internalFieldName;
+        const fieldConfig = this.config.fieldMappings[internalFieldName];
+        return (fieldConfig && fieldConfig.outputName) || internalFieldName;
+    }
+
+    /**
+     * Link to a data row in the editable spreadsheet
+     * @param {number} rowNumber - Data row number (1 = first row after the header)
+     * @returns {string|null} URL selecting the row, or null when the source has no edit URL
+     */
+    getSourceRowUrl(rowNumber) {
+        const editUrl = this.getSourceEditUrl();
+        if (!editUrl || !rowNumber) {
+            return null;
+        }
+
+        // The header occupies sheet row 1
+        const sheetRow = rowNumber + 1;
+        const separator = editUrl.includes('#') ? '&' : '#';
+        return `${editUrl}${separator}range=A${sheetRow}:${sheetRow}`;
+    }
+
+    /**
+     * Editable spreadsheet behind the configured source. Local files, pasted text and other
+     * URLs have none unless the source names one, since sheetEditUrl would point elsewhere.
+     * @returns {string|null} The source's editUrl, sheetEditUrl when sheetUrl is read, or null
+     */
+    getSourceEditUrl() {
+        const source = this.resolveSource();
+
+        if (source.editUrl !== undefined) {
+            return source.editUrl || null;
+        }
+
+        return source.type === 'url' && source.url === this.config.sheetUrl
+            ? this.config.sheetEditUrl || null
+            : null;
+    }
+
+    /**
+     * Register a custom field type
+     * @param {string} typeName - Type name used in fieldMappings[...].type
+     * @param {Function} handler - (value, fieldConfig, rowNumber, fieldName) => ({ value, parsedValue, invalid, warnings })
+     */
+    registerFieldType(typeName, handler) {
+        this.fieldTypes[typeName] = handler;
     }
     
+    /**
+     * Compute a stable hash of processed records to detect content changes
+     * @param {Array<Object>} records - Processed records
+     * @returns {string} Hex FNV-1a hash of the serialized records
+     */
+    computeContentHash(records) {
+        const text = JSON.stringify(records);
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Snapshot of processed records, to compare a later run against
+     * @param {Array<Object>} records - Processed records
+     * @param {Object|null} [previousSnapshot] - Earlier snapshot; first-seen dates carry over from it
+     * @param {Date} [now] - Time of this snapshot
+     * @returns {Object} { version, createdAt, contentHash, records } with records keyed by reference.
+     *   Each has the cell values (fields), timeline entries and the date the case first appeared,
+     *   which is null for cases already there when the first snapshot was taken.
+     */
+    createSnapshot(records, previousSnapshot = null, now = new Date()) {
+        const previousRecords = (previousSnapshot && previousSnapshot.records) || {};
+        const today = now.toISOString().slice(0, 10);
+        const snapshotRecords = {};
+
+        this.getSnapshotRecords(records).forEach((record, reference) => {
+            const previous = previousRecords[reference];
+            snapshotRecords[reference] = {
+                firstSeen: previous ? previous.firstSeen : (previousSnapshot ? today : null),
+                fields: this.getSnapshotFields(record),
+                timeline: (record._timeline || []).map(({ date, description, url }) => ({ date, description, url }))
+            };
+        });
+
+        return {
+            version: 1,
+            createdAt: now.toISOString(),
+            contentHash: this.computeContentHash(records),
+            records: snapshotRecords
+        };
+    }
+
+    /**
+     * Compare processed records with an earlier snapshot, case by case
+     * @param {Array<Object>} records - Processed records
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     * @returns {Object} { since, added, removed, changed, timelineEntries, total }:
+     *   added holds records, removed holds { reference, fields } from the snapshot,
+     *   changed holds { reference, record, fields: [{ field, before, after }] } and
+     *   timelineEntries holds { reference, record, entry } for new entries in cases that were
+     *   already there. Timeline edits are reported as timeline entries, not as changed fields.
+     */
+    compareWithSnapshot(records, snapshot) {
+        const previousRecords = (snapshot && snapshot.records) || {};
+        const timelineField = this.getTimelineFieldName('timeline');
+        const entryKey = (entry) => `${entry.date} ${entry.description} ${entry.url || ''}`;
+        const current = this.getSnapshotRecords(records);
+
+        const added = [];
+        const changed = [];
+        const timelineEntries = [];
+
+        current.forEach((record, reference) => {
+            const previous = previousRecords[reference];
+            if (!previous) {
+                added.push(record);
+                return;
+            }
+
+            const before = previous.fields || {};
+            const after = this.getSnapshotFields(record);
+            const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+                .filter(field => field !== timelineField && (before[field] || '') !== (after[field] || ''))
+                .map(field => ({ field, before: before[field] || '', after: after[field] || '' }));
+            if (fields.length > 0) {
+                changed.push({ reference, record, fields });
+            }
+
+            const knownEntries = new Set((previous.timeline || []).map(entryKey));
+            (record._timeline || [])
+                .filter(entry => !knownEntries.has(entryKey(entry)))
+                .forEach(entry => timelineEntries.push({ reference, record, entry }));
+        });
+
+        const removed = Object.keys(previousRecords)
+            .filter(reference => !current.has(reference))
+            .map(reference => ({ reference, fields: previousRecords[reference].fields || {} }));
+
+        // Newest events first
+        timelineEntries.sort((a, b) => b.entry.date.localeCompare(a.entry.date));
+
+        return {
+            since: snapshot ? snapshot.createdAt : null,
+            added,
+            removed,
+            changed,
+            timelineEntries,
+            total: added.length + removed.length + changed.length + timelineEntries.length
+        };
+    }
+
+    /**
+     * Valid records keyed by reference; the first of duplicated references wins
+     * @param {Array<Object>} records - Processed records
+     * @returns {Map<string, Object>} Records by reference
+     */
+    getSnapshotRecords(records) {
+        const referenceField = this.config.fieldMappings.reference.outputName || 'reference';
+        const byReference = new Map();
+
+        records
+            .filter(record => record._isValid !== false && record[referenceField])
+            .forEach(record => {
+                if (!byReference.has(record[referenceField])) {
+                    byReference.set(record[referenceField], record);
+                }
+            });
+
+        return byReference;
+    }
+
+    /**
+     * Cell values of a record, without the internal _ properties
+     * @param {Object} record - Processed record
+     * @returns {Object} Field values by output name
+     */
+    getSnapshotFields(record) {
+        return Object.fromEntries(
+            Object.entries(record).filter(([key, value]) => !key.startsWith('_') && value !== '' && value !== undefined)
+        );
+    }
+
     /**
      * Update configuration
      * @param {Object} newConfig - New configuration to merge
      */
     updateConfig(newConfig) {
+        // Field mappings merge per field, so { year: { min: 1950 } } keeps the year aliases and type
+        const fieldMappings = { ...this.config.fieldMappings };
+        for (const [fieldName, fieldConfig] of Object.entries(newConfig.fieldMappings || {})) {
+            fieldMappings[fieldName] = { ...(fieldMappings[fieldName] || {}), ...fieldConfig };
+        }
+
         this.config = {
             ...this.config,
             ...newConfig,
-            fieldMappings: {
-                ...this.config.fieldMappings,
-                ...(newConfig.fieldMappings || {})
-            },
+            fieldMappings,
             validation: {
                 ...this.config.validation,
                 ...(newConfig.validation || {})
+            },
+            headerMatching: {
+                ...this.config.headerMatching,
+                ...(newConfig.headerMatching || {})
             }
         };
+        // After the merge, so a new localizedFields setting applies
+        this.config.fieldMappings = this.addLocalizedFieldMappings(this.config.fieldMappings);
+    }
+
+    /**
+     * Add the per-language copies of the fields listed in localizedFields, replacing copies
+     * made earlier so they follow changes to the original field
+     * @param {Object} fieldMappings - Field mappings
+     * @returns {Object} Field mappings with e.g. description_kok after the original fields
+     */
+    addLocalizedFieldMappings(fieldMappings) {
+        const { locales = [], fields = [] } = this.config.localizedFields || {};
+        const result = {};
+
+        for (const [fieldName, fieldConfig] of Object.entries(fieldMappings)) {
+            if (!fieldConfig.localeOf) {
+                result[fieldName] = fieldConfig;
+            }
+        }
+
+        fields.filter(fieldName => result[fieldName]).forEach(fieldName => {
+            const fieldConfig = result[fieldName];
+            locales.forEach(locale => {
+                result[`${fieldName}_${locale}`] = {
+                    ...fieldConfig,
+                    aliases: fieldConfig.aliases.map(alias => `${alias} (${locale})`),
+                    required: false,
+                    outputName: `${fieldConfig.outputName || fieldName} (${locale})`,
+                    description: `${fieldConfig.description || fieldName} (${locale})`,
+                    locale,
+                    localeOf: fieldName
+                };
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Locale named by a column header's suffix, e.g. 'kok' for 'Description (kok)'
+     * @param {string} header - Column header
+     * @returns {string|null} One of the localizedFields locales, or null
+     */
+    getHeaderLocale(header) {
+        const match = String(header).match(/\(\s*([a-z]{2,3})\s*\)\s*$/i);
+        const locales = (this.config.localizedFields && this.config.localizedFields.locales) || [];
+        return match && locales.includes(match[1].toLowerCase()) ? match[1].toLowerCase() : null;
     }
     
     /**
@@ -557,7 +2112,7 @@ class GoaFoundationSpreadsheetProcessor {
      */
     log(message) {
         if (this.config.debug) {
-            console.log(`[SpreadsheetProcessor] ${message}`);
+            (this.config.logger || console.log)(`[SpreadsheetProcessor] ${message}`);
         }
     }
     
@@ -576,10 +2131,13 @@ class GoaFoundationSpreadsheetProcessor {
         // Field mapping summary
         report += `=== Field Mapping ===\n`;
         for (const [fieldName, mapping] of Object.entries(result.fieldMapping)) {
+            const fieldConfig = this.config.fieldMappings[fieldName];
             if (mapping.status === 'found') {
-                report += `✓ ${fieldName} → '${mapping.mappedTo}'\n`;
-            } else {
-                const fieldConfig = this.config.fieldMappings[fieldName];
+                const confidence = mapping.confidence !== undefined && mapping.confidence < 1
+                    ? ` (${mapping.method}, ${Math.round(mapping.confidence * 100)}% confidence)`
+                    : '';
+                report += `✓ ${fieldName} → '${mapping.mappedTo}'${confidence}\n`;
+            } else if (!fieldConfig?.localeOf) {
                 const required = fieldConfig?.required ? ' (REQUIRED)' : ' (optional)';
                 report += `✗ ${fieldName}${required} → not found\n`;
             }
@@ -631,6 +2189,116 @@ class GoaFoundationSpreadsheetProcessor {
         
         return report;
     }
+
+    /**
+     * Generate a machine-readable report of the processing results
+     * @param {Object} result - Processing result
+     * @returns {Object} Report with field mapping, issues and invalid rows
+     */
+    generateJsonReport(result) {
+        return {
+            status: result.success ? 'SUCCESS' : 'FAILED',
+            totalRecords: result.totalRecords,
+            validRecords: result.validRecords,
+            errorCount: result.errors.length,
+            warningCount: result.warnings.length,
+            source: result.source || null,
+            fieldMapping: result.fieldMapping,
+            errors: result.errors,
+            warnings: result.warnings,
+            invalidRows: result.data
+                .filter(record => record._isValid === false)
+                .map(record => ({
+                    rowNumber: record._rowNumber,
+                    reference: record.Reference || null,
+                    errors: record._errors
+                }))
+        };
+    }
+
+    /**
+     * Generate a JUnit XML report so CI systems can show validation results
+     * Field mappings and rows become test cases; errors become failures.
+     * @param {Object} result - Processing result
+     * @returns {string} JUnit XML document
+     */
+    generateJUnitReport(result) {
+        const escape = (value) => String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+
+        const testCase = (testCaseData) => {
+            const opening = `    <testcase classname="${escape(testCaseData.classname)}" name="${escape(testCaseData.name)}"`;
+            if (testCaseData.failures.length === 0 && testCaseData.warnings.length === 0) {
+                return `${opening} />\n`;
+            }
+
+            let xml = `${opening}>\n`;
+            testCaseData.failures.forEach(issue => {
+                xml += `      <failure type="${escape(issue.type)}" message="${escape(issue.message)}">${escape(issue.context || '')}</failure>\n`;
+            });
+            if (testCaseData.warnings.length > 0) {
+                xml += `      <system-out>${escape(testCaseData.warnings.map(w => `${w.type}: ${w.message}`).join('\n'))}</system-out>\n`;
+            }
+            xml += `    </testcase>\n`;
+            return xml;
+        };
+
+        const suite = (name, cases) => {
+            const failures = cases.filter(c => c.failures.length > 0).length;
+            let xml = `  <testsuite name="${escape(name)}" tests="${cases.length}" failures="${failures}">\n`;
+            cases.forEach(c => {
+                xml += testCase(c);
+            });
+            xml += `  </testsuite>\n`;
+            return { xml, tests: cases.length, failures };
+        };
+
+        // Dataset-level issues (fatal errors, unmapped columns) are not tied to a field or row
+        const datasetIssues = (issues) => issues.filter(issue => !issue.field && !issue.rowNumber);
+        const datasetCases = [{
+            classname: 'dataset',
+            name: 'Load spreadsheet',
+            failures: datasetIssues(result.errors),
+            warnings: datasetIssues(result.warnings)
+        }];
+
+        // Row-level and cross-row findings are reported on the rows themselves
+        const fieldIssues = (issues, fieldName) => issues.filter(issue => issue.field === fieldName && !issue.rowNumber && !issue.rowNumbers);
+        const fieldCases = Object.keys(result.fieldMapping).map(fieldName => ({
+            classname: 'fieldMapping',
+            name: fieldName,
+            failures: fieldIssues(result.errors, fieldName),
+            warnings: fieldIssues(result.warnings, fieldName)
+        }));
+
+        const rowCases = result.data.map(record => ({
+            classname: 'rows',
+            name: `Row ${record._rowNumber}${record.Reference ? `: ${record.Reference}` : ''}`,
+            failures: record._errors,
+            warnings: record._warnings
+        }));
+
+        const suites = [
+            suite('Dataset', datasetCases),
+            suite('Field mapping', fieldCases),
+            suite('Rows', rowCases)
+        ];
+        const totalTests = suites.reduce((sum, s) => sum + s.tests, 0);
+        const totalFailures = suites.reduce((sum, s) => sum + s.failures, 0);
+
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<testsuites name="Goa Foundation Spreadsheet Validation" tests="${totalTests}" failures="${totalFailures}">\n`;
+        suites.forEach(s => {
+            xml += s.xml;
+        });
+        xml += `</testsuites>\n`;
+
+        return xml;
+    }
 }
 
 // Export for use in other modules
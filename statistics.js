@@ -0,0 +1,277 @@
+/**
+ * Goa Foundation Case Statistics Module
+ *
+ * This module handles:
+ * - Cases filed per year and subjects active per year
+ * - Tag frequency over periods of years
+ * - Archive and document coverage, per subject and overall
+ * - Listing cases that are missing key documents
+ *
+ * It only counts records, so it works the same in the browser and in Node.
+ */
+
+// A document counts only when the page would link to it
+const StatisticsSafeHtml = typeof GoaFoundationSafeHtml !== 'undefined'
+    ? GoaFoundationSafeHtml
+    : require('./safe-html.js');
+
+class GoaFoundationCaseStatistics {
+    constructor(config = {}) {
+        // Default configuration
+        this.config = {
+            // Columns holding links to a case's documents
+            documentFields: ['Archive', 'Petition', 'Additional Documents', 'Order'],
+
+            // Documents every case should have; cases without one of them are listed as missing
+            requiredDocuments: ['Petition', 'Order'],
+
+            // Number of most used tags followed over time
+            tagTrendCount: 6,
+
+            // Years per period in the tag trends
+            tagTrendPeriod: 5,
+
+            ...config
+        };
+        this.safeHtml = new StatisticsSafeHtml();
+    }
+
+    /**
+     * All archive-wide figures for a set of case records
+     * @param {Array<Object>} records - Case records, e.g. the filtered ones
+     * @returns {Object} { totalCases, totalSubjects, firstYear, lastYear, yearSpan, casesPerYear,
+     *   activeSubjectsPerYear, tagTrends, documentCoverage, subjectCoverage, missingDocuments }
+     */
+    calculate(records) {
+        const subjects = this.groupBySubject(records);
+        const years = records.map(record => this.getYear(record)).filter(year => year !== null);
+        const firstYear = years.length > 0 ? Math.min(...years) : null;
+        const lastYear = years.length > 0 ? Math.max(...years) : null;
+
+        return {
+            totalCases: records.length,
+            totalSubjects: subjects.length,
+            firstYear,
+            lastYear,
+            yearSpan: firstYear !== null ? lastYear - firstYear + 1 : 0,
+            casesPerYear: this.countCasesPerYear(records),
+            activeSubjectsPerYear: this.countActiveSubjectsPerYear(subjects),
+            tagTrends: this.calculateTagTrends(records),
+            documentCoverage: this.calculateDocumentCoverage(records),
+            subjectCoverage: subjects.map(subject => ({
+                subject: subject.subject,
+                ...this.calculateDocumentCoverage(subject.cases)
+            })),
+            missingDocuments: this.findMissingDocuments(records)
+        };
+    }
+
+    /**
+     * Filing year of a record
+     * @param {Object} record - Case record
+     * @returns {number|null} Year, or null when missing or not a number
+     */
+    getYear(record) {
+        const year = parseInt(record.Year, 10);
+        return isNaN(year) ? null : year;
+    }
+
+    /**
+     * Tags of a record, from the list parsed at ingest when available
+     * @param {Object} record - Case record
+     * @returns {Array<string>} Tags
+     */
+    getTags(record) {
+        if (Array.isArray(record._tags)) {
+            return record._tags;
+        }
+
+        return String(record.Tags || '')
+            .split(/[,;]/)
+            .map(tag => tag.trim())
+            .filter(tag => tag);
+    }
+
+    /**
+     * Whether a record links to a document the page can open
+     * @param {Object} record - Case record
+     * @param {string} field - Document column, e.g. 'Petition'
+     * @returns {boolean}
+     */
+    hasDocument(record, field) {
+        return this.safeHtml.safeUrl(record[field]) !== null;
+    }
+
+    /**
+     * Group records by subject, with each subject's year range
+     * @param {Array<Object>} records - Case records
+     * @returns {Array<Object>} { subject, cases, firstYear, lastYear }, in order of first appearance
+     */
+    groupBySubject(records) {
+        const groups = new Map();
+
+        records.forEach(record => {
+            const subject = record.Subject || '';
+            if (!groups.has(subject)) {
+                groups.set(subject, { subject, cases: [], firstYear: null, lastYear: null });
+            }
+
+            const group = groups.get(subject);
+            const year = this.getYear(record);
+            group.cases.push(record);
+            if (year !== null) {
+                group.firstYear = group.firstYear === null ? year : Math.min(group.firstYear, year);
+                group.lastYear = group.lastYear === null ? year : Math.max(group.lastYear, year);
+            }
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Consecutive years from first to last
+     * @param {number|null} firstYear - First year
+     * @param {number|null} lastYear - Last year
+     * @returns {Array<number>} Years, empty when either is missing
+     */
+    yearRange(firstYear, lastYear) {
+        if (firstYear === null || lastYear === null) {
+            return [];
+        }
+
+        return Array.from({ length: lastYear - firstYear + 1 }, (_, index) => firstYear + index);
+    }
+
+    /**
+     * Cases filed per year, including years without cases
+     * @param {Array<Object>} records - Case records
+     * @returns {Array<Object>} { year, count }, oldest first
+     */
+    countCasesPerYear(records) {
+        const counts = new Map();
+        records.forEach(record => {
+            const year = this.getYear(record);
+            if (year !== null) {
+                counts.set(year, (counts.get(year) || 0) + 1);
+            }
+        });
+
+        const years = Array.from(counts.keys());
+        if (years.length === 0) {
+            return [];
+        }
+
+        return this.yearRange(Math.min(...years), Math.max(...years))
+            .map(year => ({ year, count: counts.get(year) || 0 }));
+    }
+
+    /**
+     * Subjects active per year. A subject counts as active from its first case to its last,
+     * the span its bar covers on the timeline.
+     * @param {Array<Object>} subjects - Subjects from groupBySubject()
+     * @returns {Array<Object>} { year, count }, oldest first
+     */
+    countActiveSubjectsPerYear(subjects) {
+        const dated = subjects.filter(subject => subject.firstYear !== null);
+        if (dated.length === 0) {
+            return [];
+        }
+
+        const firstYear = Math.min(...dated.map(subject => subject.firstYear));
+        const lastYear = Math.max(...dated.map(subject => subject.lastYear));
+
+        return this.yearRange(firstYear, lastYear).map(year => ({
+            year,
+            count: dated.filter(subject => subject.firstYear <= year && year <= subject.lastYear).length
+        }));
+    }
+
+    /**
+     * Cases per period for the most used tags
+     * @param {Array<Object>} records - Case records
+     * @returns {Object} { periods: [{ from, to }], series: [{ tag, total, counts }] }, where
+     *   counts has one entry per period
+     */
+    calculateTagTrends(records) {
+        const { tagTrendCount, tagTrendPeriod } = this.config;
+        const dated = records.filter(record => this.getYear(record) !== null);
+        if (dated.length === 0) {
+            return { periods: [], series: [] };
+        }
+
+        // Periods line up on multiples of the period length, e.g. 1995–1999, 2000–2004
+        const years = dated.map(record => this.getYear(record));
+        const start = Math.floor(Math.min(...years) / tagTrendPeriod) * tagTrendPeriod;
+        const end = Math.max(...years);
+        const periods = [];
+        for (let from = start; from <= end; from += tagTrendPeriod) {
+            periods.push({ from, to: from + tagTrendPeriod - 1 });
+        }
+
+        const totals = new Map();
+        dated.forEach(record => {
+            new Set(this.getTags(record)).forEach(tag => totals.set(tag, (totals.get(tag) || 0) + 1));
+        });
+
+        const topTags = Array.from(totals.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, tagTrendCount);
+
+        const series = topTags.map(([tag, total]) => {
+            const counts = periods.map(() => 0);
+            dated.forEach(record => {
+                if (this.getTags(record).includes(tag)) {
+                    counts[Math.floor((this.getYear(record) - start) / tagTrendPeriod)] += 1;
+                }
+            });
+            return { tag, total, counts };
+        });
+
+        return { periods, series };
+    }
+
+    /**
+     * How many cases are archived and how many have any document online
+     * @param {Array<Object>} records - Case records
+     * @returns {Object} { total, archived: { count, percentage }, digitized: { count, percentage } },
+     *   with percentages rounded to whole numbers
+     */
+    calculateDocumentCoverage(records) {
+        const total = records.length;
+        const percentage = (count) => total > 0 ? Math.round((count / total) * 100) : 0;
+
+        const archived = records.filter(record => this.hasDocument(record, 'Archive')).length;
+        const digitized = records.filter(record =>
+            this.config.documentFields.some(field => this.hasDocument(record, field))
+        ).length;
+
+        return {
+            total,
+            archived: { count: archived, percentage: percentage(archived) },
+            digitized: { count: digitized, percentage: percentage(digitized) }
+        };
+    }
+
+    /**
+     * Cases without one of the required documents
+     * @param {Array<Object>} records - Case records
+     * @returns {Array<Object>} { record, missing: ['Petition', ...] }, newest first
+     */
+    findMissingDocuments(records) {
+        return records
+            .map(record => ({
+                record,
+                missing: this.config.requiredDocuments.filter(field => !this.hasDocument(record, field))
+            }))
+            .filter(entry => entry.missing.length > 0)
+            .sort((a, b) => (this.getYear(b.record) || 0) - (this.getYear(a.record) || 0) ||
+                String(a.record.Reference || '').localeCompare(String(b.record.Reference || '')));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationCaseStatistics;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationCaseStatistics = GoaFoundationCaseStatistics;
+}
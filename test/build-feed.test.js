@@ -0,0 +1,76 @@
+/**
+ * Tests for how build-feed.js writes the feed and the snapshot
+ *
+ *   node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const script = path.join(__dirname, '..', 'build-feed.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-feed-'));
+const sheet = path.join(dir, 'cases.csv');
+fs.writeFileSync(sheet, 'Case No.,Subject,Year\nPIL 1/2001,Mining,2001\n');
+
+const run = (argv) => {
+    const result = spawnSync(process.execPath, [script, '--site-url', 'https://example.org/', ...argv, sheet], {
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    return { code: result.status, output: result.stdout + result.stderr };
+};
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a run writes the feed and the snapshot', () => {
+    const feed = path.join(dir, 'written', 'feed.xml');
+    const snapshot = path.join(dir, 'written', 'data', 'snapshot.json');
+    fs.mkdirSync(path.dirname(feed));
+
+    assert.equal(run(['--output', feed, '--snapshot', snapshot]).code, 0);
+    assert.match(fs.readFileSync(feed, 'utf8'), /^<\?xml/);
+    assert.ok(JSON.parse(fs.readFileSync(snapshot, 'utf8')).records['PIL 1/2001']);
+});
+
+test('a feed that cannot be written leaves the snapshot alone', () => {
+    const snapshot = path.join(dir, 'kept-snapshot.json');
+    const previous = JSON.stringify({ version: 1, createdAt: '2020-01-01T00:00:00.000Z', records: {} });
+    fs.writeFileSync(snapshot, previous);
+
+    const { code, output } = run(['--output', path.join(dir, 'no-such-folder', 'feed.xml'), '--snapshot', snapshot]);
+
+    assert.equal(code, 2);
+    assert.match(output, /Could not write the feed or snapshot/);
+    assert.equal(fs.readFileSync(snapshot, 'utf8'), previous);
+});
+
+test('a first run whose feed cannot be written saves no snapshot', () => {
+    const snapshot = path.join(dir, 'first-run', 'snapshot.json');
+
+    assert.equal(run(['--output', path.join(dir, 'no-such-folder', 'feed.xml'), '--snapshot', snapshot]).code, 2);
+    assert.equal(fs.existsSync(snapshot), false);
+});
+
+test('a snapshot that cannot be written exits with 2 after writing the feed', () => {
+    const feed = path.join(dir, 'feed-only.xml');
+    // A file where the snapshot's folder should be
+    const blocker = path.join(dir, 'blocker');
+    fs.writeFileSync(blocker, '');
+
+    const { code, output } = run(['--output', feed, '--snapshot', path.join(blocker, 'snapshot.json')]);
+
+    assert.equal(code, 2);
+    assert.match(output, /Could not write the feed or snapshot/);
+    assert.ok(fs.existsSync(feed));
+});
+
+test('an unknown input format exits with 2 and prints the usage', () => {
+    const { code, output } = run(['--input-format', 'xls', '--dry-run']);
+
+    assert.equal(code, 2);
+    assert.match(output, /Usage: node build-feed\.js/);
+});
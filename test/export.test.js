@@ -0,0 +1,107 @@
+/**
+ * Tests for GoaFoundationCaseExporter with values a sheet editor could write
+ *
+ *   node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GoaFoundationCaseExporter = require('../export.js');
+
+const exporter = new GoaFoundationCaseExporter();
+const columns = [
+    { header: 'Case No.', field: 'Reference' },
+    { header: 'Title', field: 'Title' }
+];
+
+test('CSV values that spreadsheets would run as formulas stay text', () => {
+    ['=HYPERLINK("https://evil.example","Open")', '+1+2', '-2+3', '@SUM(A1:A2)', '\t=1', '\r=1'].forEach(value => {
+        const cell = exporter.escapeCSVValue(value);
+        assert.match(cell, /^"?'/, `${JSON.stringify(value)} should start with an apostrophe`);
+    });
+});
+
+test('CSV keeps quoting values with separators after neutralizing them', () => {
+    const csv = exporter.toCSV([{ Reference: '=1,2', Title: 'Beach "shacks"' }], columns);
+
+    assert.equal(csv, 'Case No.,Title\r\n"\'=1,2","Beach ""shacks"""\r\n');
+});
+
+test('CSV leaves ordinary values alone', () => {
+    assert.equal(exporter.escapeCSVValue('PIL 1/2001'), 'PIL 1/2001');
+    assert.equal(exporter.escapeCSVValue('2001'), '2001');
+    assert.equal(exporter.escapeCSVValue(null), '');
+});
+
+test('iCal drops URLs that are not http(s)', () => {
+    const ics = exporter.toICal([{
+        Reference: 'PIL 1/2001',
+        Archive: 'javascript:alert(1)',
+        _timeline: [{ date: '2001-01-05', description: 'Notice', url: 'data:text/html,<script>alert(1)</script>' }]
+    }], { now: new Date(0) });
+
+    assert.doesNotMatch(ics, /^URL:/m);
+    assert.doesNotMatch(ics, /javascript:|data:/);
+});
+
+test('iCal URLs cannot add properties or events', () => {
+    const ics = exporter.toICal([{
+        Reference: 'PIL 1/2001',
+        Archive: 'https://archive.example/a\r\nBEGIN:VEVENT\r\nSUMMARY:Injected',
+        _timeline: [{ date: '2001-01-05', description: 'Notice', url: 'https://example.org/s\nATTACH:https://evil.example' }]
+    }], { now: new Date(0) });
+
+    assert.equal(ics.match(/^BEGIN:VEVENT/gm).length, 1);
+    assert.doesNotMatch(ics, /^(SUMMARY:Injected|ATTACH:)/m);
+    assert.doesNotMatch(ics, /^URL:/m);
+});
+
+test('iCal keeps http(s) URLs, preferring the event source over the archive', () => {
+    const ics = exporter.toICal([{
+        Reference: 'PIL 1/2001',
+        Archive: 'https://archive.example/a',
+        _timeline: [
+            { date: '2001-01-05', description: 'Notice', url: 'https://example.org/s' },
+            { date: '2002-03-04', description: 'Order', url: null }
+        ]
+    }], { now: new Date(0) });
+
+    assert.deepEqual(ics.match(/^URL:.*$/gm), ['URL:https://example.org/s', 'URL:https://archive.example/a']);
+});
+
+test('iCal text escapes line breaks in descriptions', () => {
+    const ics = exporter.toICal([{
+        Reference: 'PIL 1/2001',
+        _timeline: [{ date: '2001-01-05', description: 'Notice\r\nEND:VCALENDAR', url: null }]
+    }], { now: new Date(0) });
+
+    assert.equal(ics.match(/^END:VCALENDAR/gm).length, 1);
+    assert.match(ics, /^SUMMARY:PIL 1\/2001: Notice\\nEND:VCALENDAR$/m);
+});
+
+test('report links only http(s) documents and renders descriptions as safe markdown', () => {
+    const html = exporter.toReportHTML({
+        title: 'Report',
+        generatedAt: new Date(0),
+        subjects: [{
+            subject: 'Mining',
+            minYear: 2001,
+            maxYear: 2001,
+            caseCount: 1,
+            stats: { archived: { count: 1, percentage: 100 }, digitized: { count: 1, percentage: 100 } },
+            cases: [{
+                Year: '2001',
+                Reference: 'PIL 1/2001',
+                Description: '**Stay** <script>alert(1)</script>',
+                Archive: 'https://archive.example/a',
+                Petition: 'javascript:alert(1)',
+                Order: 'https://example.org/o"onclick="alert(1)'
+            }]
+        }]
+    });
+
+    assert.match(html, /<strong>Stay<\/strong> &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /<a href="https:\/\/archive\.example\/a"[^>]*>Archive<\/a>/);
+    assert.match(html, /href="https:\/\/example\.org\/o&quot;onclick=&quot;alert\(1\)"/);
+    assert.doesNotMatch(html, /javascript:|>Petition</);
+});
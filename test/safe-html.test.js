@@ -0,0 +1,124 @@
+/**
+ * Tests for GoaFoundationSafeHtml with values a sheet editor could write
+ *
+ *   node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GoaFoundationSafeHtml = require('../safe-html.js');
+
+const safeHtml = new GoaFoundationSafeHtml();
+const escape = (text) => safeHtml.escapeHtml(text);
+const safeUrl = (url) => safeHtml.safeUrl(url);
+
+test('escapeHtml escapes markup and both quote characters', () => {
+    assert.equal(escape('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    assert.equal(escape('" onmouseover="alert(1)'), '&quot; onmouseover=&quot;alert(1)');
+    assert.equal(escape("' onfocus='alert(1)"), '&#39; onfocus=&#39;alert(1)');
+    assert.equal(escape('&lt;'), '&amp;lt;');
+    assert.equal(escape(null), '');
+});
+
+test('safeUrl rejects scripting and data schemes in any case', () => {
+    [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        ' javascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        'file:///etc/passwd'
+    ].forEach(url => assert.equal(safeUrl(url), null, url));
+});
+
+test('safeUrl rejects control characters and whitespace inside the URL', () => {
+    [
+        'java\nscript:alert(1)',
+        'java\tscript:alert(1)',
+        'https://example.org/\u0000',
+        'https://example.org/a\r\nb',
+        'https://example.org/a b',
+        'https://example.org/\u007f'
+    ].forEach(url => assert.equal(safeUrl(url), null, JSON.stringify(url)));
+});
+
+test('safeUrl rejects relative and protocol-relative URLs', () => {
+    ['/cases/1', '//evil.example/x', 'example.org', ''].forEach(url => assert.equal(safeUrl(url), null, url));
+});
+
+test('safeUrl keeps http(s) URLs, trimmed', () => {
+    assert.equal(safeUrl(' https://example.org/a?b=1 '), 'https://example.org/a?b=1');
+    assert.equal(safeUrl('HTTP://EXAMPLE.ORG'), 'HTTP://EXAMPLE.ORG');
+});
+
+test('link escapes quote-breaking payloads in the href and attributes', () => {
+    const html = safeHtml.link('https://example.org/"onmouseover="alert(1)', 'Petition', { class: '"><script>alert(1)</script>' });
+
+    assert.equal(
+        html,
+        '<a href="https://example.org/&quot;onmouseover=&quot;alert(1)" target="_blank" rel="noopener noreferrer" ' +
+        'class="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">Petition</a>'
+    );
+});
+
+test('link returns null for URLs that are not allowed', () => {
+    assert.equal(safeHtml.link('javascript:alert(1)', 'x'), null);
+    assert.equal(safeHtml.link('data:text/html,x', 'x'), null);
+});
+
+test('renderMarkdown shows script tags in a Description as text', () => {
+    assert.equal(
+        safeHtml.renderMarkdown('<script>alert(1)</script>\n\n<img src=x onerror=alert(1)>'),
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p><p>&lt;img src=x onerror=alert(1)&gt;</p>'
+    );
+});
+
+test('renderMarkdown escapes markup in link text', () => {
+    assert.equal(
+        safeHtml.renderMarkdown('[<img src=x onerror=alert(1)>](https://example.org)'),
+        '<p><a href="https://example.org" target="_blank" rel="noopener noreferrer" class="markdown-link">' +
+        '&lt;img src=x onerror=alert(1)&gt;</a></p>'
+    );
+});
+
+test('renderMarkdown shows links with other schemes as text', () => {
+    assert.equal(safeHtml.renderMarkdown('[Order](javascript:alert(1))'), '<p>[Order](javascript:alert(1))</p>');
+    assert.equal(safeHtml.renderMarkdown('[Order](vbscript:msgbox)'), '<p>[Order](vbscript:msgbox)</p>');
+    assert.doesNotMatch(safeHtml.renderMarkdown('[Order](data:text/html,x)'), /<a /);
+});
+
+test('renderMarkdown keeps quotes in link hrefs inside the attribute', () => {
+    const html = safeHtml.renderMarkdown('[Order](https://example.org/"onclick="alert)');
+
+    assert.match(html, /href="https:\/\/example\.org\/&quot;onclick=&quot;alert"/);
+    assert.doesNotMatch(html, /" onclick|"onclick/);
+});
+
+test('renderMarkdown ends bare URLs at a quote', () => {
+    const html = safeHtml.renderMarkdown('see https://example.org/x"onmouseover="alert(1) now');
+
+    assert.match(html, /href="https:\/\/example\.org\/x"/);
+    assert.match(html, /&quot;onmouseover=&quot;alert\(1\) now/);
+});
+
+test('renderMarkdown escapes markup inside bold, italic and code', () => {
+    assert.equal(
+        safeHtml.renderMarkdown('**<b>x</b>** *<i>y</i>* _<u>z</u>_ `<s>c</s>`'),
+        '<p><strong>&lt;b&gt;x&lt;/b&gt;</strong> <em>&lt;i&gt;y&lt;/i&gt;</em> ' +
+        '<em>&lt;u&gt;z&lt;/u&gt;</em> <code>&lt;s&gt;c&lt;/s&gt;</code></p>'
+    );
+});
+
+test('renderInline escapes plain runs and rejected links', () => {
+    assert.equal(
+        safeHtml.renderInline('[a](data:text/html,<script>x</script>) & <b>', escape),
+        '[a](data:text/html,&lt;script&gt;x&lt;/script&gt;) &amp; &lt;b&gt;'
+    );
+});
+
+test('renderInline passes plain runs through renderText', () => {
+    const html = safeHtml.renderInline('<b>mining</b> [lease](https://example.org)', (text) => `[${escape(text)}]`);
+
+    assert.equal(html, '[&lt;b&gt;mining&lt;/b&gt; ]<a href="https://example.org" target="_blank" ' +
+        'rel="noopener noreferrer" class="markdown-link">[lease]</a>[]');
+});
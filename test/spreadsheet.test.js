@@ -0,0 +1,109 @@
+/**
+ * Tests for GoaFoundationSpreadsheetProcessor: the URL rule and reading delimited text
+ *
+ *   node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GoaFoundationSpreadsheetProcessor = require('../spreadsheet.js');
+
+const processor = new GoaFoundationSpreadsheetProcessor();
+const isInvalid = (value) => {
+    const result = processor.validateUrlValue(value, 'archive');
+    return Array.isArray(result.invalid) && result.invalid[0].type === 'INVALID_URL';
+};
+
+test('validateUrlValue accepts http(s) URLs', () => {
+    assert.deepEqual(processor.validateUrlValue('https://archive.org/details/a', 'archive'), { value: 'https://archive.org/details/a' });
+    assert.deepEqual(processor.validateUrlValue('http://example.org', 'archive'), { value: 'http://example.org' });
+});
+
+test('validateUrlValue rejects other schemes', () => {
+    [
+        'javascript:alert(1)',
+        'JAVASCRIPT:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        'ftp://example.org/order.pdf'
+    ].forEach(value => assert.ok(isInvalid(value), value));
+});
+
+test('validateUrlValue rejects URLs with control characters or whitespace', () => {
+    [
+        'java\nscript:alert(1)',
+        'java\tscript:alert(1)',
+        'https://example.org/a\nb',
+        'https://example.org/order 1.pdf',
+        'https://example.org/\u0000'
+    ].forEach(value => assert.ok(isInvalid(value), JSON.stringify(value)));
+});
+
+test('validateUrlValue rejects values that are not absolute URLs', () => {
+    ['/cases/1', '//example.org', 'example.org'].forEach(value => assert.ok(isInvalid(value), value));
+});
+
+test('URL cells that break the rule are reported against their row', async () => {
+    const csv = [
+        'Case No.,Subject,Year,Archive',
+        'PIL 1/2001,Mining,2001,https://archive.org/a',
+        'PIL 2/2002,Mining,2002,javascript:alert(1)'
+    ].join('\n');
+    const result = await new GoaFoundationSpreadsheetProcessor({ source: { type: 'text', text: csv, format: 'csv' } })
+        .loadAndProcessData();
+    // Archive is optional, so a bad link is a warning and the page leaves it out
+    const urlIssues = [...result.errors, ...result.warnings].filter(issue => issue.type === 'INVALID_URL');
+
+    assert.equal(urlIssues.length, 1);
+    assert.equal(urlIssues[0].rowNumber, 2);
+    assert.equal(urlIssues[0].field, 'archive');
+});
+
+// What d3.csvParse returns for the same text in the browser: blank rows stay, short rows are padded
+test('parseDelimited keeps blank rows and pads short rows like d3', () => {
+    const rows = processor.parseDelimited('Case No.,Subject,Year\n,,\nWP 1,"Mhadei, ""river""",2000\n\nWP 2\n', ',');
+
+    assert.deepEqual(rows, [
+        { 'Case No.': '', Subject: '', Year: '' },
+        { 'Case No.': 'WP 1', Subject: 'Mhadei, "river"', Year: '2000' },
+        { 'Case No.': '', Subject: '', Year: '' },
+        { 'Case No.': 'WP 2', Subject: '', Year: '' }
+    ]);
+});
+
+test('parseDelimited reads quoted line breaks and CRLF line ends', () => {
+    const rows = processor.parseDelimited('Case No.\tTimeline\r\nWP 1\t"2001-03-04 Stay\r\n2000-01-02 Notice"\r\n', '\t');
+
+    assert.deepEqual(rows, [{ 'Case No.': 'WP 1', Timeline: '2001-03-04 Stay\r\n2000-01-02 Notice' }]);
+});
+
+test('blank rows are skipped without errors and later rows keep their sheet row', async () => {
+    const csv = 'Case No.,Subject,Year\n,,\nWP 1,Mhadei,2000\n , ,\nWP 2,Mining,2001';
+    const result = await new GoaFoundationSpreadsheetProcessor({ source: { type: 'text', text: csv, format: 'csv' } })
+        .loadAndProcessData();
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.data.map(record => [record.Reference, record._rowNumber]), [['WP 1', 2], ['WP 2', 4]]);
+});
+
+test('source row links point at the sheet row after blank rows', async () => {
+    const rowProcessor = new GoaFoundationSpreadsheetProcessor({
+        source: {
+            type: 'text',
+            text: 'Case No.,Subject,Year\n,,\nWP 1,Mhadei,2000',
+            format: 'csv',
+            editUrl: 'https://docs.google.com/spreadsheets/d/x/edit'
+        }
+    });
+    const result = await rowProcessor.loadAndProcessData();
+
+    assert.equal(rowProcessor.getSourceRowUrl(result.data[0]._rowNumber), 'https://docs.google.com/spreadsheets/d/x/edit#range=A3:3');
+});
+
+test('a sheet with only blank rows has no data', async () => {
+    const result = await new GoaFoundationSpreadsheetProcessor({ source: { type: 'text', text: 'Case No.,Subject,Year\n,,\n,,', format: 'csv' } })
+        .loadAndProcessData();
+
+    assert.equal(result.success, false);
+    assert.equal(result.totalRecords, 0);
+});
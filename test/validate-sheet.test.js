@@ -0,0 +1,63 @@
+/**
+ * Tests for the exit codes of validate-sheet.js
+ *
+ *   node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const script = path.join(__dirname, '..', 'validate-sheet.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-sheet-'));
+const validFile = path.join(dir, 'valid.csv');
+const invalidFile = path.join(dir, 'invalid.csv');
+fs.writeFileSync(validFile, 'Case No.,Subject,Year\nPIL 1/2001,Mining,2001\n');
+fs.writeFileSync(invalidFile, 'Case No.,Subject,Year\nPIL 1/2001,Mining,not a year\n');
+
+const run = (argv) => {
+    const result = spawnSync(process.execPath, [script, ...argv], { encoding: 'utf8', timeout: 30000 });
+    return { code: result.status, output: result.stdout + result.stderr };
+};
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a valid sheet exits with 0', () => {
+    assert.equal(run([validFile]).code, 0);
+});
+
+test('validation errors exit with 1', () => {
+    assert.equal(run([invalidFile]).code, 1);
+});
+
+test('warnings exit with 1 only with --fail-on-warnings', () => {
+    // The sheet has none of the optional columns, which is a warning
+    assert.equal(run([validFile, '--fail-on-warnings']).code, 1);
+});
+
+test('a sheet that cannot be read exits with 1', () => {
+    assert.equal(run([path.join(dir, 'missing.csv')]).code, 1);
+});
+
+test('usage errors exit with 2 and print the usage', () => {
+    for (const argv of [
+        ['--unknown', validFile],
+        ['--format', 'xls', validFile],
+        ['--report', 'html', validFile],
+        ['--output']
+    ]) {
+        const { code, output } = run(argv);
+        assert.equal(code, 2, argv.join(' '));
+        assert.match(output, /Usage: node validate-sheet\.js/, argv.join(' '));
+    }
+});
+
+test('a report that cannot be written exits with 2', () => {
+    const { code, output } = run([validFile, '--output', path.join(dir, 'no-such-folder', 'report.txt')]);
+
+    assert.equal(code, 2);
+    assert.match(output, /Could not write the report/);
+});
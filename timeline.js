@@ -0,0 +1,5676 @@
+/**
+ * Goa Foundation Case Timeline
+ *
+ * This module handles:
+ * - Rendering the case list, tag filters and D3 timeline into a container
+ * - Search, filters, sorting and shareable URL state
+ * - Case, chart and calendar exports
+ * - The public API: init(), on()/off(), setFilters(), search(), select(), getFilterState(),
+ *   getSelection(), getStatistics(), reloadData() and updateSpreadsheetConfig()
+ *
+ * Needs d3, jQuery, autoComplete.js and the spreadsheet, search and export modules on the page,
+ * and timeline.css for its styles.
+ */
+
+class GoaFoundationTimeline {
+    /**
+     * Mount a timeline into a container. Call init() to load the data and render it.
+     * @param {Object} [options] - Timeline options
+     * @param {string|Element} [options.container] - Element or selector to mount into (default '#goa-foundation-timeline')
+     * @param {Object} [options.spreadsheet] - Spreadsheet processor config, e.g. { source: { type: 'url', url: './cases.json' } }
+     * @param {Array<string>} [options.colors] - Bar colors (default: the Goa Foundation palette)
+     * @param {number} [options.rowHeight] - Timeline row height on wide screens, in pixels (default 40)
+     * @param {Object} [options.filters] - Initial { query, tags, excludedTags, tagMode, years, sort, subject, order },
+     *   and case, the reference of a case to open
+     * @param {boolean} [options.urlState] - Keep the view state in the page URL (default true)
+     * @param {boolean} [options.debug] - Processor debug logging and the data quality panel (default false)
+     * @param {string} [options.mapBoundaryUrl] - GeoJSON outline drawn under the map view (default './data/goa.geojson')
+     * @param {string} [options.language] - Interface language: 'en', 'kok', 'mr' or 'hi' (default: the URL's
+     *   lang parameter, then the browser's language)
+     * @param {string} [options.feedUrl] - Atom or RSS feed written by build-feed.js, linked from the
+     *   "What's new" panel (default: none)
+     */
+    constructor(options = {}) {
+        this.options = {
+            container: '#goa-foundation-timeline',
+            spreadsheet: {},
+            colors: null,
+            rowHeight: 40,
+            filters: {},
+            urlState: true,
+            debug: false,
+            mapBoundaryUrl: './data/goa.geojson',
+            language: null,
+            feedUrl: null,
+            ...options
+        };
+
+        this.container = typeof this.options.container === 'string'
+            ? document.querySelector(this.options.container)
+            : this.options.container;
+        if (!this.container) {
+            throw new Error(`Timeline container not found: ${this.options.container}`);
+        }
+        // Interface language; the layout is rendered in it
+        this.i18n = new GoaFoundationI18n();
+        this.i18n.setLocale(this.readInitialLanguage());
+        // Language picked in the switcher or named in the URL, kept in the URL's lang parameter
+        this.selectedLanguage = this.readUrlLanguage();
+        this.renderLayout();
+
+        // Event name -> Set of handlers, see on()
+        this.listeners = new Map();
+        this.data = [];
+        this.filteredData = [];
+        this.processedData = [];
+        // Initial margins - will be adjusted in setupDimensions based on screen size
+        this.margin = { top: 50, right: 50, bottom: 80, left: 380 };
+        this.width = 0; // Will be calculated based on container size
+        this.height = 0; // Will be calculated based on data
+        this.rowHeight = this.options.rowHeight;
+        this.currentSort = 'year';
+        // Year filter set with the brush, { from, to } inclusive, or null for all years
+        this.yearWindow = null;
+        this.zoomTransform = d3.zoomIdentity;
+        // 'timeline' or 'map'
+        this.currentView = 'timeline';
+        // Promise of the map outline, loaded the first time the map is shown
+        this.mapBoundary = null;
+        // Goa Foundation color palette
+        const gfColors = [
+            '#905756', // Primary
+            '#A67D7C', // Primary light
+            '#7A4B4A', // Primary dark
+            '#4A3635', // Text dark
+            '#6B5554', // Text light
+            '#8D6B5F', // Variation 1
+            '#B5938B', // Variation 2
+            '#6E4F4E', // Variation 3
+            '#9A7B73', // Variation 4
+            '#7D5B56', // Variation 5
+        ];
+        this.palette = this.options.colors || gfColors;
+        this.colors = d3.scaleOrdinal(this.palette);
+        this.selectedSubject = null;
+        // Case opened from its marker on the timeline
+        this.selectedCase = null;
+        this.sidebar = this.getElement('case-sidebar');
+        this.resizeTimeout = null;
+        this.activeTags = new Set();
+        this.excludedTags = new Set();
+        this.tagMatchMode = 'any'; // 'any' or 'all' of the active tags
+        this.openTagFacets = new Set();
+        this.allTags = [];
+        this.tagCounts = new Map();
+        this.sidebarSortOrder = 'newest'; // 'oldest' or 'newest'
+        this.searchQuery = '';
+        this.autoCompleteInstance = null;
+        this.searchIndex = new GoaFoundationSearchIndex();
+        this.exporter = new GoaFoundationCaseExporter();
+        this.safeHtml = new GoaFoundationSafeHtml();
+        this.caseStatistics = new GoaFoundationCaseStatistics();
+        this.feed = new GoaFoundationFeed();
+        // Record -> relevance score while a search is active, otherwise null
+        this.searchScores = null;
+        // Subject named in the URL, selected once the timeline has rendered
+        this.pendingSubject = null;
+        // Case shown in the full case view, and the reference or slug from the URL waiting to open
+        this.openCaseItem = null;
+        this.pendingCase = null;
+        // Page title and preview metadata before a case view changed them
+        this.defaultDocumentMeta = null;
+        this.isRestoringState = false;
+        // Options from ?embed=true&... when the timeline runs inside another site's iframe
+        this.embedOptions = this.readEmbedOptions();
+        this.lastReportedHeight = null;
+        // Offline cache of the last good processing result
+        this.cacheStorageKey = 'gf-timeline-cache';
+        this.dataHash = null;
+        this.dataTimestamp = null;
+        // 'live', 'cached' or 'offline', see updateDataFreshness()
+        this.dataFreshnessState = null;
+        // Snapshot of the data the visitor last marked as seen, and the changes since then
+        this.snapshotStorageKey = 'gf-timeline-snapshot';
+        this.dataChanges = null;
+
+        // Initialize spreadsheet processor
+        this.spreadsheetProcessor = new GoaFoundationSpreadsheetProcessor({
+            debug: this.options.debug,
+            validation: {
+                strictMode: true,
+                validateUrls: true,
+                validateYears: true
+            },
+            ...this.options.spreadsheet
+        });
+    }
+
+    /**
+     * Timeline that only renders markup from records it is given, without a container, the
+     * browser or the data loading in init(). prerender.js uses it to write static pages with
+     * the same case list items and case views the timeline shows.
+     * @param {Array<Object>} records - Processed records
+     * @param {Object} [options] - Timeline options, plus caseUrl(caseItem) => URL to link cases with
+     * @returns {GoaFoundationTimeline} Renderer
+     */
+    static createRenderer(records, options = {}) {
+        const renderer = Object.create(GoaFoundationTimeline.prototype);
+        renderer.options = {
+            spreadsheet: {},
+            filters: {},
+            urlState: false,
+            language: null,
+            feedUrl: null,
+            ...options
+        };
+        renderer.i18n = new GoaFoundationI18n();
+        renderer.i18n.setLocale(renderer.options.language || renderer.i18n.config.defaultLocale);
+        renderer.safeHtml = new GoaFoundationSafeHtml();
+        renderer.searchIndex = new GoaFoundationSearchIndex();
+        renderer.spreadsheetProcessor = new GoaFoundationSpreadsheetProcessor(renderer.options.spreadsheet);
+        renderer.searchQuery = '';
+        renderer.searchScores = null;
+        renderer.data = records.filter(record => record._isValid !== false);
+        if (options.caseUrl) {
+            renderer.getCaseUrl = options.caseUrl;
+        }
+        return renderer;
+    }
+
+    /**
+     * Fill the container with the timeline markup, unless it already has it (e.g. pre-rendered)
+     */
+    renderLayout() {
+        this.container.classList.add('goa-foundation-timeline');
+        if (!this.container.querySelector('#timeline-content')) {
+            this.container.innerHTML = this.createLayoutHTML();
+        }
+        this.translateLayout();
+    }
+
+    /**
+     * Timeline markup, with English text that translateLayout() replaces
+     * @param {Object} [prerendered] - Content rendered ahead of time, e.g. by prerender.js:
+     *   { title, subtitle, casesHTML } for the case list, or caseViewHTML for a case view.
+     *   It shows without the loading indicator, before the script runs.
+     * @returns {string} HTML
+     */
+    createLayoutHTML(prerendered = null) {
+        const escape = (text) => this.escapeHtml(text);
+        const showCaseView = !!(prerendered && prerendered.caseViewHTML);
+
+        return `
+            <!-- Loading indicator -->
+            <div id="loading" class="text-center py-12${prerendered ? ' hidden' : ''}">
+                <div class="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                <p class="mt-4 text-gray-600" data-i18n="loading">Loading case data...</p>
+            </div>
+
+            <!-- Error message -->
+            <div id="error" class="hidden bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+                <h2 class="text-lg font-semibold text-red-800 mb-2" data-i18n="error.title">Error Loading Data</h2>
+                <p class="text-red-600" id="error-message"></p>
+            </div>
+
+            <!-- Data quality panel, shown with ?debug=true -->
+            <section id="data-quality-panel" class="data-quality-panel hidden" aria-label="Data quality report"></section>
+
+            <!-- Main layout with two 50% width sections -->
+            <div id="timeline-content" class="${prerendered && !showCaseView ? '' : 'hidden '}main-layout-new">
+                <!-- Section 1: Search and Case List -->
+                <section class="search-and-cases-section">
+                    <!-- Search Input -->
+                    <div class="py-4" id="search-box">
+                        <div class="relative">
+                            <input id="autoComplete" type="text"
+                                placeholder="Search cases. Eg. 'pollution' or 'PIL No. 2526/2021'"
+                                title='Use "quotes" for phrases, tag:Mining, year:1995..2005 and -word to exclude'
+                                aria-label="Search cases"
+                                data-i18n-placeholder="search.placeholder" data-i18n-title="search.hint" data-i18n-aria-label="search.label"
+                                class="w-full text-xl px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-opacity-50 transition-all duration-200"
+                                style="border-color: var(--gf-border); background-color: var(--gf-white); color: var(--gf-text-dark); font-family: 'Source Sans Pro', sans-serif;" />
+                            <button id="clear-search" aria-label="Clear search" data-i18n-aria-label="search.clear"
+                                class="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors duration-200 hidden"
+                                style="color: var(--gf-text-light);">
+                                ✕
+                            </button>
+                        </div>
+                        <div id="data-freshness" class="data-freshness hidden" aria-live="polite"></div>
+                        <div class="whats-new">
+                            <button id="whats-new-button" class="whats-new-button" aria-expanded="false" aria-controls="whats-new-panel">
+                                <span data-i18n="whatsNew.title">What's new</span>
+                                <span id="whats-new-count" class="whats-new-count hidden"></span>
+                            </button>
+                            <section id="whats-new-panel" class="whats-new-panel hidden"
+                                aria-label="What's new" data-i18n-aria-label="whatsNew.title"></section>
+                        </div>
+                        <div class="language-switcher">
+                            <label for="language-select" data-i18n="language.label">Language</label>
+                            <select id="language-select" class="language-select">
+                                ${this.i18n.getLanguages().map(language =>
+                                    `<option value="${language.code}" lang="${language.code}">${language.name}</option>`
+                                ).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <!-- Case List -->
+                    <div class="case-list-container">
+                        <div class="sidebar${prerendered ? '' : ' collapsed'}" id="case-sidebar" role="region" aria-labelledby="sidebar-title">
+                            <div class="sidebar-header">
+                                <div class="sidebar-close-container">
+                                    <button class="clear-filter-button hidden" id="clear-filter-button"
+                                        title="Clear all filters" data-i18n-title="filters.clearTitle">
+                                        <span data-i18n="filters.clear">Clear Filter</span>
+                                    </button>
+                                    <button class="sidebar-close" id="sidebar-close" title="Close" aria-label="Close"
+                                        data-i18n-title="close" data-i18n-aria-label="close">×</button>
+                                </div>
+                                <button class="filter-icon-button" id="filter-icon-button" title="Toggle filters" data-i18n-title="filters.toggle"
+                                    aria-controls="filters-and-timeline-aside" aria-expanded="false">
+                                    <svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                                        <path
+                                            d="M3 3a1 1 0 011-1h12a1 1 0 011 1v2a1 1 0 01-.293.707L12 11.414V15a1 1 0 01-.293.707l-2 2A1 1 0 018 17v-5.586L3.293 5.707A1 1 0 013 5V3z" />
+                                    </svg>
+                                    <span class="filter-icon-button-text" id="filter-icon-button-text">Show Case
+                                        Filter</span>
+                                </button>
+                                ${prerendered && prerendered.title ? `
+                                <h3 class="sidebar-title" id="sidebar-title">${escape(prerendered.title)}</h3>
+                                <p class="sidebar-subtitle" id="sidebar-subtitle">${escape(prerendered.subtitle || '')}</p>
+                                ` : `
+                                <h3 class="sidebar-title" id="sidebar-title" data-i18n="cases.all">All Cases</h3>
+                                <p class="sidebar-subtitle" id="sidebar-subtitle" data-i18n="cases.loading">Loading cases...</p>
+                                `}
+                                <div class="sidebar-sort-controls" id="sidebar-sort-controls" style="display: none;"
+                                    role="radiogroup" aria-label="Case order" data-i18n-aria-label="order.label">
+                                    <div class="sidebar-sort-option" id="sort-oldest-first" role="radio" aria-checked="false" tabindex="0">
+                                        <div class="sidebar-sort-radio" aria-hidden="true"></div>
+                                        <span data-i18n="order.oldest">Oldest</span>
+                                    </div>
+                                    <div class="sidebar-sort-option active" id="sort-newest-first" role="radio" aria-checked="true" tabindex="0">
+                                        <div class="sidebar-sort-radio" aria-hidden="true">×</div>
+                                        <span data-i18n="order.newest">Latest</span>
+                                    </div>
+                                    <div class="sidebar-sort-option" id="sort-relevance" style="display: none;" role="radio" aria-checked="false" tabindex="0">
+                                        <div class="sidebar-sort-radio" aria-hidden="true"></div>
+                                        <span data-i18n="order.relevance">Best match</span>
+                                    </div>
+                                </div>
+                                <div class="sidebar-export-controls" id="sidebar-export-controls">
+                                    <span data-i18n="export.label">Export:</span>
+                                    <button class="sidebar-export-option" data-export="csv">CSV</button>
+                                    <button class="sidebar-export-option" data-export="json">JSON</button>
+                                    <button class="sidebar-export-option" data-export="ics" data-i18n="export.ics">Calendar (.ics)</button>
+                                    <button class="sidebar-export-option" data-export="report" data-i18n="export.report">Printable report</button>
+                                </div>
+                            </div>
+                            <div class="sidebar-content" id="sidebar-content">
+                                ${prerendered && prerendered.casesHTML ? prerendered.casesHTML : `
+                                <div class="sidebar-empty">
+                                    <div class="icon">📊</div>
+                                    <p data-i18n="cases.emptyHint">Click on a timeline bar to view detailed case information</p>
+                                </div>
+                                `}
+                            </div>
+                        </div>
+                    </div>
+                </section>
+
+                <!-- Section 2: Aside with Filters and Timeline -->
+                <aside class="filters-and-timeline-aside collapsed" id="filters-and-timeline-aside">
+                    <!-- Statistics and Filters Section -->
+                    <section id="stats" class="hidden">
+                        <!-- Tag match mode -->
+                        <div class="tag-mode-controls" id="tag-mode-controls" role="group" aria-labelledby="tag-mode-label">
+                            <span id="tag-mode-label" data-i18n="tagMode.label">Match</span>
+                            <button class="tag-mode-button active" data-mode="any" aria-pressed="true" data-i18n="tagMode.any">Any tag</button>
+                            <button class="tag-mode-button" data-mode="all" aria-pressed="false" data-i18n="tagMode.all">All tags</button>
+                        </div>
+                        <!-- Filters -->
+                        <div class="filters">
+                            <label class="text-sm font-medium text-gray-700"></label>
+                            <div id="tag-filters" class="tag-filters-container">
+                                <!-- Tag filter buttons will be dynamically generated here -->
+                            </div>
+                        </div>
+
+                    </section>
+
+                    <!-- Timeline Section -->
+                    <section class="timeline-section">
+                        <!-- Timeline, map or table -->
+                        <div class="timeline-view-controls" id="timeline-view-controls"
+                            role="group" aria-label="View" data-i18n-aria-label="view.label">
+                            <button class="timeline-view-button active" data-view="timeline" aria-pressed="true" data-i18n="view.timeline">Timeline</button>
+                            <button class="timeline-view-button" data-view="map" aria-pressed="false" data-i18n="view.map">Map</button>
+                            <button class="timeline-view-button" data-view="table" aria-pressed="false" data-i18n="view.table">Table</button>
+                            <button class="timeline-view-button" data-view="dashboard" aria-pressed="false" data-i18n="view.dashboard">Dashboard</button>
+                        </div>
+                        <!-- Subject order -->
+                        <div class="timeline-sort-controls" id="timeline-sort-controls">
+                            <span class="timeline-zoom-hint" data-i18n="zoom.hint">Ctrl + scroll to zoom, drag to pan</span>
+                            <button class="timeline-sort-button hidden" id="clear-years-button" data-i18n="years.clear">Clear years</button>
+                            <button class="timeline-sort-button hidden" id="reset-zoom-button" data-i18n="zoom.reset">Reset zoom</button>
+                            <span data-i18n="chart.export">Export chart</span>
+                            <button class="timeline-sort-button" data-chart-export="svg">SVG</button>
+                            <button class="timeline-sort-button" data-chart-export="png">PNG</button>
+                            <span data-i18n="sort.label">Sort by</span>
+                            <button class="timeline-sort-button active" data-sort="year" aria-pressed="true" data-i18n="sort.year">First year</button>
+                            <button class="timeline-sort-button" data-sort="reference" aria-pressed="false" data-i18n="sort.reference">Most cases</button>
+                            <button class="timeline-sort-button" data-sort="alpha" aria-pressed="false" data-i18n="sort.alpha">A–Z</button>
+                        </div>
+                        <!-- Timeline visualization -->
+                        <div id="timeline" class="rounded-lg shadow-lg border-2 p-2"
+                            style="background-color: var(--gf-white); border-color: var(--gf-border);"></div>
+                        <!-- Map of case locations -->
+                        <div id="case-map" class="case-map hidden rounded-lg shadow-lg border-2 p-2"
+                            style="background-color: var(--gf-white); border-color: var(--gf-border);"></div>
+                        <!-- The chart's subjects as a table, for screen readers and keyboard use -->
+                        <div id="case-table" class="case-table hidden rounded-lg shadow-lg border-2 p-2"
+                            style="background-color: var(--gf-white); border-color: var(--gf-border);"></div>
+                        <!-- Archive-wide charts for the cases shown -->
+                        <div id="case-dashboard" class="case-dashboard hidden rounded-lg shadow-lg border-2 p-2"
+                            style="background-color: var(--gf-white); border-color: var(--gf-border);"></div>
+                    </section>
+                </aside>
+            </div>
+
+            <!-- Full view of one case, opened from ?case=<Reference> -->
+            <article id="case-view" class="case-view${showCaseView ? '' : ' hidden'}">${showCaseView ? prerendered.caseViewHTML : ''}</article>
+
+            <!-- Filter and selection changes, read out by screen readers -->
+            <div id="timeline-status" class="visually-hidden" role="status" aria-live="polite" aria-atomic="true"></div>
+        `;
+    }
+
+    /**
+     * Put the layout's fixed text (data-i18n, data-i18n-title, data-i18n-placeholder and
+     * data-i18n-aria-label attributes) in the current language
+     */
+    translateLayout() {
+        this.container.setAttribute('lang', this.i18n.locale);
+
+        this.container.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        this.container.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.setAttribute('title', this.t(element.getAttribute('data-i18n-title')));
+        });
+        this.container.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.getAttribute('data-i18n-placeholder')));
+        });
+        this.container.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-aria-label')));
+        });
+
+        const filterButtonText = this.getElement('filter-icon-button-text');
+        const aside = this.getElement('filters-and-timeline-aside');
+        if (filterButtonText && aside) {
+            filterButtonText.textContent = this.t(aside.classList.contains('collapsed') ? 'filters.show' : 'filters.hide');
+        }
+
+        const languageSelect = this.getElement('language-select');
+        if (languageSelect) {
+            languageSelect.value = this.i18n.locale;
+        }
+    }
+
+    /**
+     * Translate an interface string, see GoaFoundationI18n.t()
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Text in the current language
+     */
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * Language named in the URL's lang parameter
+     * @returns {string|null} Supported language code, or null
+     */
+    readUrlLanguage() {
+        if (!this.options.urlState) {
+            return null;
+        }
+
+        const language = new URLSearchParams(window.location.search).get('lang');
+        return language ? this.i18n.resolveLocale([language], null) : null;
+    }
+
+    /**
+     * Language to start in: the URL's, then the language option, then the browser's
+     * @returns {string} Supported language code
+     */
+    readInitialLanguage() {
+        const browserLanguages = typeof navigator !== 'undefined'
+            ? (navigator.languages || [navigator.language])
+            : [];
+        return this.i18n.resolveLocale([this.readUrlLanguage(), this.options.language, ...browserLanguages]);
+    }
+
+    setupLanguageControls() {
+        const languageSelect = this.getElement('language-select');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', () => {
+                this.setLanguage(languageSelect.value);
+            });
+        }
+    }
+
+    /**
+     * Switch the interface language and redraw everything that shows text, keeping the
+     * filters, selection and open case
+     * @param {string} language - 'en', 'kok', 'mr' or 'hi'
+     * @returns {string} Language now in use
+     */
+    setLanguage(language) {
+        const previous = this.i18n.locale;
+        this.selectedLanguage = this.i18n.setLocale(language);
+        this.translateLayout();
+
+        if (this.selectedLanguage !== previous && this.processingResult) {
+            const { selectedSubject, selectedCase, openCaseItem } = this;
+            this.isRestoringState = true;
+
+            try {
+                this.updateVisualizationWithFilters();
+                this.updateDataFreshness(this.dataFreshnessState);
+                this.renderWhatsNew();
+
+                const subjectData = selectedSubject
+                    ? this.processedData.find(d => d.subject === selectedSubject.subject)
+                    : null;
+                if (subjectData && selectedCase) {
+                    this.selectCase(selectedCase, subjectData);
+                } else if (subjectData) {
+                    this.selectSubject(subjectData);
+                }
+                if (openCaseItem) {
+                    this.openCase(openCaseItem);
+                }
+            } finally {
+                this.isRestoringState = false;
+            }
+        }
+
+        // Switching language is not a navigation step, so it replaces the history entry
+        this.updateUrlState({ replace: true });
+        if (this.selectedLanguage !== previous) {
+            this.emit('languageChanged', { language: this.selectedLanguage });
+        }
+        return this.selectedLanguage;
+    }
+
+    /**
+     * A text field of a case in the interface language: its '<Field> (<language>)' column
+     * when filled in, otherwise the English column
+     * @param {Object} record - Case record
+     * @param {string} field - Output field name, e.g. 'Description'
+     * @returns {*} Field value
+     */
+    getLocalizedValue(record, field) {
+        const localized = record[`${field} (${this.i18n.locale})`];
+        return localized && String(localized).trim() ? localized : record[field];
+    }
+
+    /**
+     * Find an element of this timeline by id
+     * @param {string} id - Element id
+     * @returns {Element|null} Element
+     */
+    getElement(id) {
+        return this.container.querySelector(`#${id}`);
+    }
+
+    /**
+     * Listen for a timeline event: 'dataLoaded', 'filterChanged', 'subjectSelected', 'languageChanged' or 'error'
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Called with the event detail
+     * @returns {GoaFoundationTimeline} This timeline, for chaining
+     */
+    on(eventName, handler) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(handler);
+        return this;
+    }
+
+    /**
+     * Stop listening for a timeline event
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler passed to on()
+     * @returns {GoaFoundationTimeline} This timeline, for chaining
+     */
+    off(eventName, handler) {
+        if (this.listeners.has(eventName)) {
+            this.listeners.get(eventName).delete(handler);
+        }
+        return this;
+    }
+
+    /**
+     * Call the handlers of an event. A failing handler is logged and doesn't stop the others.
+     * @param {string} eventName - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(eventName, detail) {
+        (this.listeners.get(eventName) || new Set()).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${eventName} handler:`, error);
+            }
+        });
+    }
+
+    async init() {
+        try {
+            // Render the cached dataset right away, then refresh it in the background
+            const cached = this.readCachedResult();
+            if (cached) {
+                this.applyProcessingResult(cached.result);
+                this.dataHash = cached.hash;
+                this.dataTimestamp = cached.fetchedAt;
+                this.updateDataFreshness('cached');
+            } else {
+                await this.loadData();
+            }
+
+            this.extractTags();
+            this.restoreViewStateFromUrl();
+            this.applyFilters();
+            this.processData();
+            this.setupDimensions();
+            this.createVisualization();
+            this.createTagFilters();
+            this.initializeSearch();
+            this.setupTimelineSortControls();
+            this.setupTagModeControls();
+            this.setupYearWindowControls();
+            this.setupExportControls();
+            this.setupChartExportControls();
+            this.setupViewControls();
+            this.setupLanguageControls();
+            this.syncControlsWithState();
+            this.showAllCasesOnLoad();
+            this.restoreSelectedSubject();
+            this.setupCaseViewControls();
+            this.setupWhatsNewControls();
+            this.showContent();
+            this.restoreOpenCase();
+            // Initialize main layout class for collapsed state
+            const mainLayout = this.container.querySelector('.main-layout-new');
+            const aside = this.getElement('filters-and-timeline-aside');
+            if (mainLayout && aside && aside.classList.contains('collapsed')) {
+                mainLayout.classList.add('filters-collapsed');
+            }
+
+            this.renderDataQualityPanel();
+            this.updateWhatsNew();
+
+            if (this.options.urlState) {
+                window.addEventListener('popstate', () => {
+                    this.handlePopState();
+                });
+            }
+
+            this.setupEmbedMessaging();
+            this.emitDataLoaded();
+
+            if (cached) {
+                this.refreshDataInBackground();
+            }
+        } catch (error) {
+            this.showError(error.message, error);
+        }
+    }
+
+    emitDataLoaded() {
+        const result = this.processingResult;
+        this.emit('dataLoaded', {
+            records: this.data,
+            totalRecords: result.totalRecords,
+            validRecords: result.validRecords,
+            source: result.source,
+            fieldMapping: result.fieldMapping
+        });
+    }
+
+    /**
+     * Load data from the spreadsheet, falling back to the cached copy when it is unreachable
+     * @param {Object} [prefetchedResult] - Processing result that has already been fetched
+     */
+    async loadData(prefetchedResult = null) {
+        try {
+            const result = prefetchedResult || await this.fetchProcessingResult();
+            this.applyProcessingResult(result);
+
+            this.dataHash = result.contentHash;
+            this.dataTimestamp = new Date().toISOString();
+            this.writeCachedResult(result);
+            this.updateDataFreshness('live');
+        } catch (error) {
+            const cached = this.readCachedResult();
+            if (cached) {
+                console.warn('Spreadsheet unavailable, using cached data:', error.message);
+                this.applyProcessingResult(cached.result);
+                this.dataHash = cached.hash;
+                this.dataTimestamp = cached.fetchedAt;
+                this.updateDataFreshness('offline');
+                return;
+            }
+
+            console.error('Error loading data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run the spreadsheet processor and log its summary
+     * @returns {Promise<Object>} Processing result
+     */
+    async fetchProcessingResult() {
+        console.log('Loading data using spreadsheet processor...');
+
+        const result = await this.spreadsheetProcessor.loadAndProcessData();
+
+        // Log the processing summary
+        const summary = this.spreadsheetProcessor.generateSummaryReport(result);
+        console.log(summary);
+
+        return result;
+    }
+
+    /**
+     * Check a processing result and keep its valid records
+     * @param {Object} result - Processing result from the spreadsheet processor
+     */
+    applyProcessingResult(result) {
+        // Check if processing was successful
+        if (!result.success) {
+            // Show errors but don't completely fail if we have some valid data
+            if (result.validRecords === 0) {
+                throw new Error(`Data processing failed: ${result.errors.map(e => e.message).join('; ')}`);
+            } else {
+                console.warn(`Data processing completed with errors, but ${result.validRecords} valid records found`);
+                // Show processing errors in UI
+                this.showProcessingErrors(result.errors, result.warnings);
+            }
+        }
+
+        // Filter out invalid records for visualization
+        this.data = result.data.filter(record => record._isValid !== false);
+        this.searchIndex.build(this.data);
+
+        console.log(`Successfully loaded ${this.data.length} valid records out of ${result.totalRecords} total records`);
+
+        if (this.data.length === 0) {
+            throw new Error('No valid data found in the spreadsheet after processing');
+        }
+
+        // Store processing metadata for potential debugging
+        this.processingResult = result;
+    }
+
+    /**
+     * Fetch fresh data and re-render only if its content changed
+     */
+    async refreshDataInBackground() {
+        try {
+            const result = await this.fetchProcessingResult();
+
+            if (result.validRecords === 0) {
+                throw new Error(result.errors.map(e => e.message).join('; ') || 'No valid data found');
+            }
+
+            if (result.contentHash === this.dataHash) {
+                // Same content: only refresh the timestamp
+                this.dataTimestamp = new Date().toISOString();
+                this.writeCachedResult(result);
+                this.updateDataFreshness('live');
+                return;
+            }
+
+            console.log('Spreadsheet content changed, re-rendering timeline');
+            await this.reloadData(result);
+        } catch (error) {
+            console.warn('Background refresh failed, keeping cached data:', error.message);
+            this.updateDataFreshness('offline');
+        }
+    }
+
+    /**
+     * Cache key for the current data source, so switching sources never shows stale data
+     * @param {string} [prefix] - Key prefix (default: the data cache's)
+     * @returns {string} localStorage key
+     */
+    getCacheKey(prefix = this.cacheStorageKey) {
+        const source = this.spreadsheetProcessor.resolveSource();
+        return `${prefix}:${source.url || source.path || source.type}`;
+    }
+
+    /**
+     * Read the cached processing result
+     * @returns {Object|null} Cached entry with result, hash and fetchedAt
+     */
+    readCachedResult() {
+        try {
+            const stored = window.localStorage.getItem(this.getCacheKey());
+            if (!stored) {
+                return null;
+            }
+
+            const cached = JSON.parse(stored);
+            if (!cached.result || !Array.isArray(cached.result.data) || cached.result.validRecords === 0) {
+                return null;
+            }
+
+            return cached;
+        } catch (error) {
+            console.warn('Could not read cached data:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store the processing result as the last good dataset
+     * @param {Object} result - Processing result
+     */
+    writeCachedResult(result) {
+        try {
+            window.localStorage.setItem(this.getCacheKey(), JSON.stringify({
+                hash: result.contentHash,
+                fetchedAt: this.dataTimestamp,
+                result: result
+            }));
+        } catch (error) {
+            // Storage full or disabled (private browsing) - the page still works without the cache
+            console.warn('Could not cache data:', error.message);
+        }
+    }
+
+    /**
+     * Show when the displayed data was fetched
+     * @param {string} state - 'live', 'cached' (refresh pending) or 'offline'
+     */
+    updateDataFreshness(state) {
+        const indicator = this.getElement('data-freshness');
+        if (!indicator || !this.dataTimestamp) {
+            return;
+        }
+
+        this.dataFreshnessState = state;
+        const formatted = this.i18n.formatDate(this.dataTimestamp, {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const key = ['live', 'cached', 'offline'].includes(state) ? state : 'live';
+        indicator.textContent = this.t(`freshness.${key}`, { date: formatted });
+        indicator.classList.toggle('offline', state === 'offline');
+        indicator.classList.remove('hidden');
+    }
+
+    /**
+     * Compare the data with the snapshot the visitor last marked as seen. On the first visit the
+     * current data becomes the snapshot, so later visits show what changed since.
+     */
+    updateWhatsNew() {
+        const snapshot = this.readSnapshot();
+
+        if (snapshot) {
+            this.dataChanges = this.spreadsheetProcessor.compareWithSnapshot(this.data, snapshot);
+        } else {
+            this.writeSnapshot(null);
+            this.dataChanges = null;
+        }
+
+        this.renderWhatsNew();
+    }
+
+    /**
+     * Read the snapshot the visitor last marked as seen
+     * @returns {Object|null} Snapshot from the spreadsheet processor's createSnapshot()
+     */
+    readSnapshot() {
+        try {
+            const stored = window.localStorage.getItem(this.getCacheKey(this.snapshotStorageKey));
+            const snapshot = stored ? JSON.parse(stored) : null;
+            return snapshot && snapshot.records ? snapshot : null;
+        } catch (error) {
+            console.warn('Could not read the data snapshot:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a snapshot of the current data, keeping the dates cases first appeared
+     * @param {Object|null} previousSnapshot - Snapshot being replaced
+     * @returns {Object} The new snapshot
+     */
+    writeSnapshot(previousSnapshot) {
+        const snapshot = this.spreadsheetProcessor.createSnapshot(this.data, previousSnapshot);
+
+        try {
+            window.localStorage.setItem(this.getCacheKey(this.snapshotStorageKey), JSON.stringify(snapshot));
+        } catch (error) {
+            // Without storage every visit is a first visit; the recent events still show
+            console.warn('Could not save the data snapshot:', error.message);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Mark the current data as seen, so the panel only shows later changes
+     */
+    markChangesSeen() {
+        const snapshot = this.writeSnapshot(this.readSnapshot());
+        this.dataChanges = this.spreadsheetProcessor.compareWithSnapshot(this.data, snapshot);
+        this.renderWhatsNew();
+        this.announce(this.t('whatsNew.seen'));
+    }
+
+    setupWhatsNewControls() {
+        const button = this.getElement('whats-new-button');
+        const panel = this.getElement('whats-new-panel');
+
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const expanded = panel.classList.toggle('hidden') === false;
+            button.setAttribute('aria-expanded', String(expanded));
+        });
+
+        panel.addEventListener('click', (event) => {
+            if (event.target.closest('#whats-new-seen')) {
+                event.stopPropagation();
+                this.markChangesSeen();
+            }
+        });
+
+        // Let feed readers find the feed from the page
+        if (this.options.feedUrl && !document.querySelector('link[rel="alternate"][data-timeline-feed]')) {
+            const link = document.createElement('link');
+            link.rel = 'alternate';
+            link.type = /\.rss$/i.test(this.options.feedUrl) ? 'application/rss+xml' : 'application/atom+xml';
+            link.title = this.feed.config.title;
+            link.href = this.options.feedUrl;
+            link.setAttribute('data-timeline-feed', '');
+            document.head.appendChild(link);
+        }
+    }
+
+    /**
+     * Fill the "What's new" panel: changes since the visitor's snapshot, then the latest
+     * timeline events and new cases
+     */
+    renderWhatsNew() {
+        const panel = this.getElement('whats-new-panel');
+        const count = this.getElement('whats-new-count');
+        if (!panel || !this.processingResult) {
+            return;
+        }
+
+        const escape = (text) => this.escapeHtml(text);
+        const changes = this.dataChanges;
+        const total = changes ? changes.total : 0;
+        const formatDate = (date) => this.i18n.formatDate(date);
+        const caseLink = (record) =>
+            `<a href="${escape(this.getCaseUrl(record))}" class="case-permalink" data-reference="${escape(record.Reference)}">${escape(this.getLocalizedValue(record, 'Title') || record.Reference)}</a>`;
+        const list = (title, items) => items.length === 0 ? '' : `
+            <h4>${escape(title)}</h4>
+            <ul class="whats-new-list">${items.map(item => `<li>${item}</li>`).join('')}</ul>
+        `;
+
+        count.textContent = this.i18n.formatNumber(total);
+        count.classList.toggle('hidden', total === 0);
+
+        let summary = this.t('whatsNew.firstVisit');
+        if (changes) {
+            summary = this.t(total > 0 ? 'whatsNew.since' : 'whatsNew.none', { date: formatDate(changes.since) });
+        }
+
+        const changeLists = changes ? [
+            list(this.t('whatsNew.added', { count: changes.added.length }),
+                changes.added.map(record => caseLink(record))),
+            list(this.t('whatsNew.events', { count: changes.timelineEntries.length }),
+                changes.timelineEntries.map(({ record, entry }) =>
+                    `<span class="whats-new-date">${escape(formatDate(entry.date))}</span> ${caseLink(record)}: ${escape(this.safeHtml.toPlainText(entry.description))}`)),
+            list(this.t('whatsNew.changed', { count: changes.changed.length }),
+                changes.changed.map(({ record, fields }) =>
+                    `${caseLink(record)} <span class="whats-new-fields">${escape(this.t('whatsNew.fields', { fields: fields.map(change => change.field).join(', ') }))}</span>`)),
+            list(this.t('whatsNew.removed', { count: changes.removed.length }),
+                changes.removed.map(({ reference, fields }) =>
+                    `${escape(fields.Title || reference)}${fields.Title ? ` <span class="whats-new-fields">${escape(reference)}</span>` : ''}`))
+        ].join('') : '';
+
+        const recentItems = this.feed.getItems(this.data, this.readSnapshot(), { limit: 5 })
+            .map(item => {
+                const record = this.findCase(item.reference);
+                const text = item.type === 'case' ? this.t('whatsNew.caseAdded') : item.summary;
+                return `<span class="whats-new-date">${escape(formatDate(item.date))}</span> ${caseLink(record)}: ${escape(text)}`;
+            });
+
+        panel.innerHTML = `
+            <p class="whats-new-summary">${escape(summary)}</p>
+            ${changeLists}
+            ${total > 0 ? `<button id="whats-new-seen" class="whats-new-seen">${escape(this.t('whatsNew.markSeen'))}</button>` : ''}
+            ${list(this.t('whatsNew.recent'), recentItems)}
+            ${this.options.feedUrl ? `<a class="whats-new-feed" href="${escape(this.options.feedUrl)}">${escape(this.t('whatsNew.subscribe'))}</a>` : ''}
+        `;
+    }
+
+    // Helper function to parse tags supporting both comma and semicolon separators
+    parseTags(tagsString) {
+        if (!tagsString || !tagsString.trim()) {
+            return [];
+        }
+
+        // Split by both commas and semicolons, then clean up
+        return tagsString
+            .split(/[,;]/)
+            .map(tag => tag.trim())
+            .filter(tag => tag);
+    }
+
+    extractTags() {
+        const tagCounts = new Map();
+
+        this.data.forEach(item => {
+            if (item.Tags && item.Tags.trim()) {
+                const tags = this.parseTags(item.Tags);
+                tags.forEach(tag => {
+                    tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+                });
+            }
+        });
+
+        // Convert to array of objects with tag and count, sorted by tag name
+        this.allTags = Array.from(tagCounts.entries())
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => a.tag.localeCompare(b.tag));
+
+        // Also store the tag counts for easy access
+        this.tagCounts = tagCounts;
+    }
+
+    applyFilters() {
+        let filtered = [...this.data];
+
+        // Apply tag filters
+        if (this.activeTags.size > 0 || this.excludedTags.size > 0) {
+            filtered = filtered.filter(item => this.matchesTagFilters(this.parseTags(item.Tags)));
+        }
+
+        // Apply search filter
+        this.searchScores = null;
+        if (this.searchQuery && !this.searchIndex.isEmptyQuery(this.searchQuery)) {
+            const results = this.searchIndex.search(this.searchQuery);
+            this.searchScores = new Map(results.map(result => [result.record, result.score]));
+            filtered = filtered.filter(item => this.searchScores.has(item));
+        } else if (this.sidebarSortOrder === 'relevance') {
+            this.sidebarSortOrder = 'newest';
+        }
+
+        // Cases before the year window is applied, for the histogram strip
+        this.unwindowedData = filtered;
+
+        if (this.yearWindow) {
+            const { from, to } = this.yearWindow;
+            filtered = filtered.filter(item => +item.Year >= from && +item.Year <= to);
+        }
+
+        this.filteredData = filtered;
+    }
+
+    /**
+     * Check a case's tags against the active and excluded tags
+     * @param {Array<string>} itemTags - Tags of the case
+     * @returns {boolean} True when the case passes the tag filters
+     */
+    matchesTagFilters(itemTags) {
+        if (Array.from(this.excludedTags).some(tag => itemTags.includes(tag))) {
+            return false;
+        }
+
+        if (this.activeTags.size === 0) {
+            return true;
+        }
+
+        const activeTags = Array.from(this.activeTags);
+        return this.tagMatchMode === 'all'
+            ? activeTags.every(tag => itemTags.includes(tag))
+            : activeTags.some(tag => itemTags.includes(tag));
+    }
+
+    /**
+     * Split a namespaced tag such as 'habitat:river'
+     * @param {string} tag - Tag
+     * @returns {Object} { namespace, label }, namespace is null for plain tags
+     */
+    splitTagNamespace(tag) {
+        const match = tag.match(/^([^:]+):(.+)$/);
+        return match
+            ? { namespace: match[1].trim(), label: match[2].trim() }
+            : { namespace: null, label: tag };
+    }
+
+    /**
+     * Escape text for display, marking the words that match the active search
+     * @param {string} text - Plain text
+     * @returns {string} HTML
+     */
+    highlightSearchMatches(text) {
+        return this.searchIndex.highlight(text, this.searchScores ? this.searchQuery : '');
+    }
+
+    escapeHtml(text) {
+        return this.safeHtml.escapeHtml(text);
+    }
+
+    /**
+     * Render a Description cell's Markdown, marking the words that match the active search
+     * @param {string} text - Markdown source
+     * @returns {string} HTML
+     */
+    renderDescription(text) {
+        return this.safeHtml.renderMarkdown(text, { renderText: (value) => this.highlightSearchMatches(value) });
+    }
+
+    initializeSearch() {
+        // Prepare search data for autoComplete.js
+        const searchData = this.data
+            .map(item => {
+                // Ensure all values are strings to avoid [object Object] issues
+                const searchableText = [
+                    item.Subject,
+                    item.Reference,
+                    item.Title,
+                    item.Description,
+                    item.Year,
+                    item.Tags
+                ]
+                    .filter(Boolean)
+                    .map(val => {
+                        // Convert to string, handling objects, arrays, etc.
+                        if (val === null || val === undefined) return '';
+                        if (typeof val === 'object') {
+                            // Skip objects - they would show as [object Object]
+                            return '';
+                        }
+                        return String(val).trim();
+                    })
+                    .filter(val => val.length > 0 && !val.includes('[object'))
+                    .join(' ');
+
+                const displayValue = String(item.Reference || item.Subject || 'Untitled Case').trim();
+
+                // Only include items with valid searchable text
+                if (!searchableText || searchableText.length === 0) {
+                    return null;
+                }
+
+                // Ensure match and value are always strings, never objects
+                const safeMatch = String(searchableText || '');
+                const safeValue = String(displayValue || '');
+
+                // Final validation - ensure no [object Object] strings
+                if (safeMatch.includes('[object') || safeValue.includes('[object')) {
+                    console.warn('⚠️ Found [object in data, skipping item:', { searchableText, displayValue });
+                    return null;
+                }
+
+                return {
+                    match: safeMatch,
+                    value: safeValue,
+                    data: item
+                };
+            })
+            .filter(item => {
+                // Double-check filter
+                if (!item || !item.match || typeof item.match !== 'string') {
+                    return false;
+                }
+                if (item.match.includes('[object')) {
+                    return false;
+                }
+                return item.match.length > 0;
+            });
+
+        // Debug: Log the searchData structure
+        console.log('📊 Search data sample:', searchData.slice(0, 2));
+        console.log('📊 Search data structure check:', {
+            firstItem: searchData[0],
+            hasMatch: searchData[0]?.match,
+            matchType: typeof searchData[0]?.match,
+            matchIsString: typeof searchData[0]?.match === 'string',
+            hasValue: searchData[0]?.value,
+            valueType: typeof searchData[0]?.value,
+            valueIsString: typeof searchData[0]?.value === 'string'
+        });
+
+        // Verify all items have string match and value
+        const invalidItems = searchData.filter(item =>
+            typeof item.match !== 'string' ||
+            typeof item.value !== 'string' ||
+            item.match.includes('[object') ||
+            item.value.includes('[object')
+        );
+        if (invalidItems.length > 0) {
+            console.error('❌ Found invalid items in searchData:', invalidItems.length, invalidItems.slice(0, 3));
+        }
+
+        // Initialize autoComplete.js
+        // Store reference to timeline instance for use in content function
+        const timelineInstance = this;
+
+        // Create a simpler data structure for autoComplete.js
+        // autoComplete.js seems to wrap our data, so we need to ensure match is always accessible
+        const autoCompleteData = searchData.map(item => {
+            // Ensure we have a clean structure with only strings
+            const cleanItem = {
+                match: String(item.match || ''),
+                value: String(item.value || ''),
+                // Store the full data separately for later use
+                _fullData: item.data
+            };
+            // Verify it's clean
+            if (cleanItem.match.includes('[object') || cleanItem.value.includes('[object')) {
+                console.error('❌ Invalid item in autoCompleteData:', cleanItem);
+                return null;
+            }
+            return cleanItem;
+        }).filter(item => item !== null);
+
+        console.log('🔧 AutoComplete data sample:', autoCompleteData.slice(0, 2));
+
+        this.autoCompleteInstance = new autoComplete({
+            selector: () => timelineInstance.getElement('autoComplete'),
+            placeHolder: this.t('search.placeholder'),
+            data: {
+                src: autoCompleteData,
+                key: ["match"],
+                cache: false
+            },
+            resultsList: {
+                element: (list, data) => {
+                    // Hide the results list - we don't need autocomplete suggestions
+                    // since the sidebar already shows filtered results
+                    if (list) {
+                        list.style.display = 'none';
+                        list.setAttribute('hidden', '');
+                    }
+                },
+                noResults: false,
+                maxResults: 0 // Disable dropdown suggestions
+            },
+            resultItem: {
+                highlight: false, // Disable default highlighting completely
+                content: (data, source) => {
+                    console.log('🎯 CONTENT FUNCTION CALLED!', {
+                        data: data,
+                        source: source,
+                        sourceTag: source?.tagName,
+                        dataType: typeof data,
+                        isArray: Array.isArray(data),
+                        hasMatch: data?.match,
+                        matchType: typeof data?.match,
+                        hasValue: data?.value,
+                        valueType: typeof data?.value
+                    });
+
+                    // Force clear any existing content first
+                    if (source) {
+                        source.textContent = ''; // Clear first
+                        source.innerHTML = ''; // Double clear
+                    }
+
+                    // Handle the case where autoComplete.js wraps our data
+                    let actualData = data;
+                    if (data && typeof data === 'object' && data.value && typeof data.value === 'object') {
+                        // autoComplete.js wrapped our data in value property
+                        actualData = data.value;
+                        console.log('🔄 Unwrapped data from value property:', actualData);
+                    }
+
+                    try {
+                        // Use actualData (might be unwrapped)
+                        const item = actualData || data;
+
+                        let displayValue = 'Untitled Case';
+                        let matchText = '';
+
+                        // Check if item is our expected structure
+                        if (item && typeof item === 'object') {
+                            // Our structure: { match: string, value: string, _fullData: object }
+                            if (item.value !== undefined) {
+                                if (typeof item.value === 'string') {
+                                    displayValue = item.value;
+                                } else {
+                                    displayValue = String(item.value);
+                                }
+                            }
+
+                            if (item.match !== undefined) {
+                                if (typeof item.match === 'string') {
+                                    matchText = item.match;
+                                } else {
+                                    matchText = String(item.match);
+                                }
+                            }
+
+                            // Fallback to _fullData if available
+                            if ((!displayValue || displayValue === 'Untitled Case' || displayValue.includes('[object')) && item._fullData) {
+                                const fullData = item._fullData;
+                                if (fullData && typeof fullData === 'object') {
+                                    if (fullData.Reference) {
+                                        displayValue = String(fullData.Reference);
+                                    } else if (fullData.Subject) {
+                                        displayValue = String(fullData.Subject);
+                                    } else if (fullData.Title) {
+                                        displayValue = String(fullData.Title);
+                                    }
+                                }
+                            }
+                        } else if (typeof item === 'string') {
+                            displayValue = item;
+                            matchText = item;
+                        }
+
+                        // Ensure we have valid strings (never show [object Object])
+                        displayValue = String(displayValue || 'Untitled Case');
+                        matchText = String(matchText || '');
+
+                        // Safety check - if somehow we got [object Object], replace it
+                        if (displayValue.includes('[object')) {
+                            console.warn('⚠️ Found [object in displayValue, replacing');
+                            displayValue = 'Untitled Case';
+                        }
+                        if (matchText.includes('[object')) {
+                            console.warn('⚠️ Found [object in matchText, clearing');
+                            matchText = '';
+                        }
+
+                        // Truncate match text for display
+                        const truncatedMatch = matchText.length > 100 ? matchText.substring(0, 100) + '...' : matchText;
+
+                        // Get search query for highlighting
+                        const inputElement = timelineInstance.getElement('autoComplete');
+                        const query = inputElement ? inputElement.value : '';
+
+                        // Create HTML with manual highlighting of search query; the split keeps
+                        // matches at odd indexes, so every part is escaped on its own
+                        let highlightedMatch = timelineInstance.escapeHtml(truncatedMatch);
+                        if (query && query.length > 0 && truncatedMatch) {
+                            try {
+                                const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                                const regex = new RegExp(`(${escapedQuery})`, 'gi');
+                                highlightedMatch = truncatedMatch
+                                    .split(regex)
+                                    .map((part, index) => index % 2 === 1
+                                        ? `<mark style="background-color: var(--gf-primary); color: var(--gf-white); padding: 2px 4px; border-radius: 3px;">${timelineInstance.escapeHtml(part)}</mark>`
+                                        : timelineInstance.escapeHtml(part))
+                                    .join('');
+                            } catch (e) {
+                                // If regex fails, just use plain text
+                                highlightedMatch = timelineInstance.escapeHtml(truncatedMatch);
+                            }
+                        }
+
+                        // Escape HTML for the title
+                        const escapedTitle = timelineInstance.escapeHtml(displayValue);
+
+                        // Set the HTML content directly
+                        const htmlContent = `
+                            <div style="display: flex; flex-direction: column; gap: 4px;">
+                                <div style="font-weight: 600; color: var(--gf-primary);">${escapedTitle}</div>
+                                <div style="font-size: 12px; color: var(--gf-text-light);">${highlightedMatch}</div>
+                            </div>
+                        `;
+
+                        if (source) {
+                            source.innerHTML = htmlContent;
+                            console.log('✅ Content set successfully:', { displayValue, matchText: truncatedMatch.substring(0, 50) });
+                        }
+                    } catch (error) {
+                        // Fallback if anything goes wrong
+                        console.error('❌ Error rendering autocomplete result:', error, data);
+                        if (source) {
+                            source.innerHTML = `
+                                <div style="display: flex; flex-direction: column; gap: 4px;">
+                                    <div style="font-weight: 600; color: var(--gf-primary);">Case Result</div>
+                                    <div style="font-size: 12px; color: var(--gf-text-light);">Click to view details</div>
+                                </div>
+                            `;
+                        }
+                    }
+                }
+            },
+            events: {
+                input: {
+                    selection: (event) => {
+                        console.log('🔘 Selection event fired:', event.detail);
+                        // Handle selection - could be object or string
+                        let selectionValue;
+                        if (event.detail && event.detail.selection) {
+                            // Check if selection is an object with a value property
+                            if (typeof event.detail.selection === 'object' && event.detail.selection.value) {
+                                selectionValue = String(event.detail.selection.value);
+                            } else if (typeof event.detail.selection === 'string') {
+                                selectionValue = event.detail.selection;
+                            } else if (typeof event.detail.selection === 'object') {
+                                // Fallback: try to get value from the object
+                                selectionValue = event.detail.selection.value || event.detail.selection.match || '';
+                                selectionValue = String(selectionValue);
+                            } else {
+                                selectionValue = String(event.detail.selection || '');
+                            }
+                        } else {
+                            selectionValue = '';
+                        }
+
+                        this.autoCompleteInstance.input.value = selectionValue;
+                        this.searchQuery = selectionValue;
+
+                        // Show clear button
+                        const clearButton = timelineInstance.getElement('clear-search');
+                        if (clearButton) {
+                            clearButton.classList.remove('hidden');
+                        }
+
+                        this.performSearch(selectionValue);
+                        this.updateUrlState();
+                    },
+                    focus: () => {
+                        console.log('👁️ Input focused');
+                        // Show suggestions on focus
+                    },
+                    results: (event) => {
+                        console.log('📝 Results event fired:', event.detail);
+
+                        // Fix the match property if it's "[object Object]"
+                        if (event.detail && event.detail.results) {
+                            event.detail.results.forEach((result, index) => {
+                                if (result && typeof result.match === 'string' && result.match.includes('[object')) {
+                                    console.warn(`⚠️ Fixing result ${index} with [object Object] match`);
+                                    // Try to get the match from the value object if it exists
+                                    if (result.value && typeof result.value === 'object') {
+                                        if (result.value.match && typeof result.value.match === 'string') {
+                                            result.match = result.value.match;
+                                            console.log(`✅ Fixed match from value.match for result ${index}:`, result.match.substring(0, 50));
+                                        } else if (result.value.value && typeof result.value.value === 'string') {
+                                            result.match = result.value.value;
+                                            console.log(`✅ Fixed match from value.value for result ${index}:`, result.match.substring(0, 50));
+                                        }
+                                    } else if (result.value && typeof result.value === 'string') {
+                                        // If value is a string, use it as match
+                                        result.match = result.value;
+                                        console.log(`✅ Fixed match from value (string) for result ${index}:`, result.match.substring(0, 50));
+                                    }
+                                }
+                            });
+
+                            // Force re-render by manually updating each list item
+                            setTimeout(() => {
+                                const resultsList = timelineInstance.getElement('autoComplete_list_1');
+                                if (resultsList) {
+                                    const items = resultsList.querySelectorAll('li[role="option"]');
+                                    items.forEach((item, index) => {
+                                        const result = event.detail.results[index];
+                                        if (result && item.textContent.includes('[object Object]')) {
+                                            // Get the content function and re-render
+                                            const contentFunc = timelineInstance.autoCompleteInstance?.config?.resultItem?.content;
+                                            if (contentFunc && typeof contentFunc === 'function') {
+                                                try {
+                                                    // Clear the item first
+                                                    item.innerHTML = '';
+                                                    // Call content function with the fixed result
+                                                    contentFunc(result, item);
+                                                    console.log(`✅ Re-rendered item ${index}`);
+                                                } catch (e) {
+                                                    console.error('Error calling content function:', e);
+                                                }
+                                            }
+                                        }
+                                    });
+                                }
+                            }, 10);
+                        }
+                    }
+                }
+            }
+        });
+
+        // Add input event listener for real-time search
+        const searchInput = timelineInstance.getElement('autoComplete');
+        const clearButton = timelineInstance.getElement('clear-search');
+
+        searchInput.addEventListener('input', (event) => {
+            const query = event.target.value;
+            this.searchQuery = query;
+
+            // Show/hide clear button
+            if (query.trim()) {
+                clearButton.classList.remove('hidden');
+            } else {
+                clearButton.classList.add('hidden');
+            }
+
+            // Perform search
+            this.performSearch(query);
+
+            // Replace rather than push so each keystroke doesn't add a history entry
+            this.updateUrlState({ replace: true });
+        });
+
+        // Add clear button functionality
+        clearButton.addEventListener('click', () => {
+            this.clearSearch();
+        });
+    }
+
+    /**
+     * Read the shareable view state from the page URL
+     * @returns {Object} { query, tags, excludedTags, tagMode, years, sort, subject, order, view }
+     */
+    readUrlState() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const sort = urlParams.get('sort');
+        const splitTags = (name) => (urlParams.get(name) || '').split(',').map(tag => tag.trim()).filter(tag => tag);
+
+        return {
+            query: (urlParams.get('q') || '').trim(),
+            tags: splitTags('tags'),
+            excludedTags: splitTags('xtags'),
+            tagMode: urlParams.get('tagmode') === 'all' ? 'all' : 'any',
+            years: this.parseYearWindow(urlParams.get('years')),
+            sort: ['year', 'reference', 'alpha'].includes(sort) ? sort : 'year',
+            subject: (urlParams.get('subject') || '').trim() || null,
+            order: ['oldest', 'relevance'].includes(urlParams.get('order')) ? urlParams.get('order') : 'newest',
+            view: ['map', 'table', 'dashboard'].includes(urlParams.get('view')) ? urlParams.get('view') : 'timeline',
+            caseRef: this.readCaseRoute()
+        };
+    }
+
+    /**
+     * Case requested by the URL, as ?case=<Reference> or #/case/<slug>
+     * @returns {string|null} Reference or slug
+     */
+    readCaseRoute() {
+        const reference = new URLSearchParams(window.location.search).get('case');
+        if (reference && reference.trim()) {
+            return reference.trim();
+        }
+
+        const hashMatch = window.location.hash.match(/^#\/case\/(.+)$/);
+        return hashMatch ? decodeURIComponent(hashMatch[1]) : null;
+    }
+
+    /**
+     * View state to start from: the URL's when it has any view parameters, otherwise the
+     * filters passed in the options
+     * @returns {Object} { query, tags, excludedTags, tagMode, years, sort, subject, order, view }
+     */
+    readInitialViewState() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const viewParams = ['q', 'tags', 'xtags', 'tagmode', 'years', 'sort', 'subject', 'order', 'view'];
+        if (this.options.urlState && viewParams.some(name => urlParams.has(name))) {
+            return this.readUrlState();
+        }
+
+        const filters = this.options.filters || {};
+        return {
+            query: String(filters.query || '').trim(),
+            tags: Array.isArray(filters.tags) ? filters.tags : [],
+            excludedTags: Array.isArray(filters.excludedTags) ? filters.excludedTags : [],
+            tagMode: filters.tagMode === 'all' ? 'all' : 'any',
+            years: this.normalizeYearWindow(filters.years),
+            sort: ['year', 'reference', 'alpha'].includes(filters.sort) ? filters.sort : 'year',
+            subject: filters.subject || null,
+            order: ['oldest', 'relevance'].includes(filters.order) ? filters.order : 'newest',
+            view: ['map', 'table', 'dashboard'].includes(filters.view) ? filters.view : 'timeline'
+        };
+    }
+
+    /**
+     * Check a { from, to } year window passed through the API
+     * @param {Object|null} years - Year window
+     * @returns {Object|null} { from, to } in order, or null when missing or malformed
+     */
+    normalizeYearWindow(years) {
+        if (!years || !Number.isFinite(+years.from) || !Number.isFinite(+years.to)) {
+            return null;
+        }
+        return { from: Math.min(+years.from, +years.to), to: Math.max(+years.from, +years.to) };
+    }
+
+    /**
+     * Parse a years parameter ('1995-2005' or '2001')
+     * @param {string|null} value - Parameter value
+     * @returns {Object|null} { from, to }, or null when missing or malformed
+     */
+    parseYearWindow(value) {
+        const match = (value || '').match(/^(\d{4})(?:-(\d{4}))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const from = parseInt(match[1], 10);
+        const to = match[2] ? parseInt(match[2], 10) : from;
+        return { from: Math.min(from, to), to: Math.max(from, to) };
+    }
+
+    /**
+     * Write the current view state to the page URL. Defaults are left out so plain links stay plain,
+     * and parameters owned by other features (debug, embed) are kept.
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one
+     */
+    updateUrlState({ replace = false } = {}) {
+        if (this.isRestoringState || !this.options.urlState) {
+            return;
+        }
+
+        const url = new URL(window.location);
+        const setParam = (name, value) => {
+            if (value) {
+                url.searchParams.set(name, value);
+            } else {
+                url.searchParams.delete(name);
+            }
+        };
+
+        setParam('q', this.searchQuery ? String(this.searchQuery).trim() : '');
+        setParam('tags', Array.from(this.activeTags).sort().join(','));
+        setParam('xtags', Array.from(this.excludedTags).sort().join(','));
+        setParam('tagmode', this.tagMatchMode !== 'any' ? this.tagMatchMode : '');
+        setParam('years', this.yearWindow ? `${this.yearWindow.from}-${this.yearWindow.to}` : '');
+        setParam('sort', this.currentSort !== 'year' ? this.currentSort : '');
+        setParam('subject', this.selectedSubject ? this.selectedSubject.subject : '');
+        setParam('order', this.sidebarSortOrder !== 'newest' ? this.sidebarSortOrder : '');
+        setParam('view', this.currentView !== 'timeline' ? this.currentView : '');
+        setParam('case', this.openCaseItem ? this.openCaseItem.Reference : '');
+        setParam('lang', this.selectedLanguage || '');
+        // ?case= replaces the #/case/ form once the case is open or closed
+        if (url.hash.startsWith('#/case/')) {
+            url.hash = '';
+        }
+
+        if (url.href === window.location.href) {
+            return;
+        }
+
+        // Update URL without page reload. An embedded timeline never adds entries, which
+        // would otherwise make the host page's back button step through our filters.
+        if (replace || this.embedOptions.enabled) {
+            window.history.replaceState({}, '', url);
+        } else {
+            window.history.pushState({}, '', url);
+        }
+    }
+
+    /**
+     * Apply the URL's (or the initial filters') view state to the timeline's filters and sort orders.
+     * Unknown tags are ignored.
+     */
+    restoreViewStateFromUrl() {
+        const state = this.readInitialViewState();
+        const knownTags = new Set(this.allTags.map(tagObj => tagObj.tag));
+
+        this.searchQuery = state.query;
+        this.activeTags = new Set(state.tags.filter(tag => knownTags.has(tag)));
+        this.excludedTags = new Set(state.excludedTags.filter(tag => knownTags.has(tag) && !this.activeTags.has(tag)));
+        this.tagMatchMode = state.tagMode;
+        this.yearWindow = state.years;
+        this.currentSort = state.sort;
+        this.sidebarSortOrder = state.order;
+        this.currentView = state.view;
+        this.pendingSubject = state.subject;
+        this.pendingCase = (this.options.urlState ? this.readCaseRoute() : null) || (this.options.filters || {}).case || null;
+    }
+
+    /**
+     * Select the subject named in the URL, if it is still on the filtered timeline
+     */
+    restoreSelectedSubject() {
+        const subjectName = this.pendingSubject;
+        this.pendingSubject = null;
+
+        if (!subjectName) {
+            return;
+        }
+
+        const subjectData = this.processedData.find(d => d.subject === subjectName);
+        if (subjectData) {
+            this.selectSubject(subjectData);
+        }
+    }
+
+    /**
+     * Bring the search box, tag buttons and sort controls in line with the current state
+     */
+    syncControlsWithState() {
+        const searchInput = this.getElement('autoComplete');
+        const clearButton = this.getElement('clear-search');
+        if (searchInput) {
+            searchInput.value = this.searchQuery;
+        }
+        if (clearButton) {
+            clearButton.classList.toggle('hidden', !this.searchQuery.trim());
+        }
+
+        this.container.querySelectorAll('.tag-filter-button').forEach(button => {
+            const tag = button.getAttribute('data-tag');
+            button.classList.toggle('active', this.activeTags.has(tag));
+            button.classList.toggle('excluded', this.excludedTags.has(tag));
+            button.setAttribute('aria-pressed', this.getTagPressedState(tag));
+        });
+
+        this.container.querySelectorAll('.tag-mode-button').forEach(button => {
+            const isActive = button.getAttribute('data-mode') === this.tagMatchMode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+
+        this.updateYearWindowControls();
+
+        this.container.querySelectorAll('.timeline-sort-button[data-sort]').forEach(button => {
+            const isActive = button.getAttribute('data-sort') === this.currentSort;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+
+        this.updateSidebarSortIndicators();
+        this.updateViewVisibility();
+    }
+
+    /**
+     * Re-render the timeline for the history entry the user navigated to
+     */
+    handlePopState() {
+        this.isRestoringState = true;
+
+        try {
+            this.restoreViewStateFromUrl();
+            this.syncControlsWithState();
+            this.updateVisualizationWithFilters();
+            this.restoreSelectedSubject();
+            this.restoreOpenCase();
+        } finally {
+            this.isRestoringState = false;
+        }
+    }
+
+    /**
+     * Read the embed options from the URL
+     * (hide and height are applied by the embed script at the end of the page)
+     * @returns {Object} { enabled, layout, origin }
+     */
+    readEmbedOptions() {
+        const urlParams = new URLSearchParams(window.location.search);
+
+        return {
+            enabled: urlParams.get('embed') === 'true',
+            layout: urlParams.get('layout') === 'compact' ? 'compact' : 'default',
+            // Origin of the host page; messages go to and are accepted from it only
+            origin: urlParams.get('origin') || '*'
+        };
+    }
+
+    /**
+     * Start the postMessage API when the page is embedded in another site's iframe
+     */
+    setupEmbedMessaging() {
+        if (!this.embedOptions.enabled || window.parent === window) {
+            return;
+        }
+
+        window.addEventListener('message', (event) => {
+            this.handleEmbedMessage(event);
+        });
+
+        this.on('filterChanged', (state) => this.postEmbedMessage('filter', state));
+        this.on('subjectSelected', (selection) => this.postEmbedMessage('select', selection));
+
+        // Report the content height so the host can size the iframe
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.postEmbedHeight()).observe(document.body);
+        } else {
+            window.addEventListener('resize', () => this.postEmbedHeight());
+        }
+
+        this.postEmbedMessage('ready', {
+            subjects: this.processedData.map(d => d.subject),
+            tags: this.allTags.map(tagObj => tagObj.tag),
+            ...this.getFilterState()
+        });
+        this.postEmbedHeight();
+    }
+
+    /**
+     * Send a message to the host page
+     * @param {string} type - Message type
+     * @param {Object} [payload] - Message fields
+     */
+    postEmbedMessage(type, payload = {}) {
+        if (!this.embedOptions.enabled || window.parent === window) {
+            return;
+        }
+
+        window.parent.postMessage({ source: 'goa-foundation-timeline', type, ...payload }, this.embedOptions.origin);
+    }
+
+    postEmbedHeight() {
+        const height = document.documentElement.scrollHeight;
+        if (height !== this.lastReportedHeight) {
+            this.lastReportedHeight = height;
+            this.postEmbedMessage('resize', { height });
+        }
+    }
+
+    /**
+     * Current filters, in the shape setFilters() accepts
+     * @returns {Object} { query, tags, excludedTags, tagMode, years, caseCount }
+     */
+    getFilterState() {
+        return {
+            query: this.searchQuery ? String(this.searchQuery).trim() : '',
+            tags: Array.from(this.activeTags),
+            excludedTags: Array.from(this.excludedTags),
+            tagMode: this.tagMatchMode,
+            years: this.yearWindow ? { ...this.yearWindow } : null,
+            caseCount: this.filteredData.length
+        };
+    }
+
+    /**
+     * Selected subject and case
+     * @returns {Object} { subject, case }, where case is { reference, title, year } or null
+     */
+    getSelection() {
+        return {
+            subject: this.selectedSubject ? this.selectedSubject.subject : null,
+            case: this.selectedCase ? {
+                reference: this.selectedCase.Reference,
+                title: this.selectedCase.Title || '',
+                year: this.selectedCase.Year
+            } : null
+        };
+    }
+
+    /**
+     * Change the filters. Only the given fields change; unknown tags are ignored.
+     * @param {Object} filters - { tags, excludedTags, tagMode, years }, years as { from, to } or null
+     */
+    setFilters(filters) {
+        const knownTags = new Set(this.allTags.map(tagObj => tagObj.tag));
+        const toTagSet = (tags) => new Set((Array.isArray(tags) ? tags : []).filter(tag => knownTags.has(tag)));
+
+        if ('tags' in filters) {
+            this.activeTags = toTagSet(filters.tags);
+        }
+        if ('excludedTags' in filters) {
+            this.excludedTags = toTagSet(filters.excludedTags);
+        }
+        this.activeTags.forEach(tag => this.excludedTags.delete(tag));
+        if ('tagMode' in filters) {
+            this.tagMatchMode = filters.tagMode === 'all' ? 'all' : 'any';
+        }
+        if ('years' in filters) {
+            this.yearWindow = this.normalizeYearWindow(filters.years);
+        }
+
+        this.syncControlsWithState();
+        this.updateButtonVisibility();
+        this.updateVisualizationWithFilters();
+        this.updateUrlState();
+    }
+
+    /**
+     * Search the cases, as if the query was typed into the search box
+     * @param {string} query - Search query
+     */
+    search(query) {
+        this.performSearch(String(query || ''));
+        this.syncControlsWithState();
+        this.updateUrlState();
+    }
+
+    /**
+     * Select a subject by name, or one of its cases by reference
+     * @param {string|null} subject - Subject name, or null to clear the selection
+     * @param {string} [reference] - Case reference within the subject
+     * @returns {boolean} False when the subject isn't shown with the current filters
+     */
+    select(subject, reference = null) {
+        if (!subject) {
+            this.clearSelection();
+            return true;
+        }
+
+        const subjectData = this.processedData.find(d => d.subject === subject);
+        if (!subjectData) {
+            return false;
+        }
+
+        const caseItem = reference ? subjectData.cases.find(item => item.Reference === reference) : null;
+        if (caseItem) {
+            this.selectCase(caseItem, subjectData);
+        } else {
+            this.selectSubject(subjectData);
+        }
+        return true;
+    }
+
+    /**
+     * Run a command sent by the host page
+     * @param {MessageEvent} event - Message event
+     */
+    handleEmbedMessage(event) {
+        const message = event.data;
+        if (event.source !== window.parent ||
+            (this.embedOptions.origin !== '*' && event.origin !== this.embedOptions.origin) ||
+            !message || typeof message !== 'object' || message.target !== 'goa-foundation-timeline') {
+            return;
+        }
+
+        switch (message.type) {
+            case 'filter':
+                this.setFilters(message);
+                break;
+            case 'search':
+                this.search(message.query);
+                break;
+            case 'select':
+                if (!this.select(message.subject, message.reference)) {
+                    this.postEmbedMessage('error', { message: `Unknown subject: ${message.subject}` });
+                }
+                break;
+            case 'clear':
+                this.clearAllFilters();
+                break;
+            case 'getState':
+                this.postEmbedMessage('state', this.getFilterState());
+                this.postEmbedMessage('select', this.getSelection());
+                break;
+            default:
+                this.postEmbedMessage('error', { message: `Unknown command: ${message.type}` });
+        }
+    }
+
+    performSearch(query) {
+        // Rank the case list by relevance when a search starts
+        if (!this.searchScores && query && query.trim()) {
+            this.sidebarSortOrder = 'relevance';
+        }
+
+        this.searchQuery = query;
+        this.updateButtonVisibility();
+        this.updateVisualizationWithFilters();
+    }
+
+    clearSearch() {
+        const searchInput = this.getElement('autoComplete');
+        const clearButton = this.getElement('clear-search');
+
+        searchInput.value = '';
+        this.searchQuery = '';
+        clearButton.classList.add('hidden');
+
+        this.updateButtonVisibility();
+        this.updateVisualizationWithFilters();
+        this.updateUrlState();
+    }
+
+    processData() {
+        // Group filtered data by subject
+        const groupedData = d3.group(this.filteredData, d => d.Subject);
+
+        this.processedData = Array.from(groupedData, ([subject, cases]) => {
+            const years = cases.map(d => +d.Year).filter(year => !isNaN(year));
+            const minYear = d3.min(years);
+            const maxYear = d3.max(years);
+
+            // Sort cases by year and reference
+            const sortedCases = cases
+                .filter(d => d.Year && d.Reference)
+                .sort((a, b) => {
+                    const yearDiff = (+a.Year) - (+b.Year);
+                    if (yearDiff !== 0) return yearDiff;
+                    return a.Reference.localeCompare(b.Reference);
+                });
+
+            return {
+                subject,
+                cases: sortedCases,
+                minYear,
+                maxYear,
+                caseCount: sortedCases.length,
+                yearSpan: maxYear - minYear + 1
+            };
+        }).filter(d => d.minYear && d.maxYear);
+
+        this.sortData(this.currentSort);
+    }
+
+    sortData(sortType) {
+        this.currentSort = sortType;
+
+        switch (sortType) {
+            case 'year':
+                this.processedData.sort((a, b) => a.minYear - b.minYear);
+                break;
+            case 'reference':
+                this.processedData.sort((a, b) => b.caseCount - a.caseCount);
+                break;
+            case 'alpha':
+                this.processedData.sort((a, b) => a.subject.localeCompare(b.subject));
+                break;
+        }
+
+        if (this.svg) {
+            this.updateVisualization();
+        }
+        if (this.currentView === 'table') {
+            this.renderDataTable();
+        }
+    }
+
+    setupViewControls() {
+        this.container.querySelectorAll('.timeline-view-button').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.setView(button.getAttribute('data-view'));
+            });
+        });
+    }
+
+    /**
+     * Switch between the subject timeline, the map, the table and the dashboard
+     * @param {string} view - 'timeline', 'map', 'table' or 'dashboard'
+     */
+    setView(view) {
+        this.currentView = ['map', 'table', 'dashboard'].includes(view) ? view : 'timeline';
+        this.updateViewVisibility();
+        this.updateUrlState();
+    }
+
+    updateViewVisibility() {
+        const isTimeline = this.currentView === 'timeline';
+
+        this.container.querySelectorAll('.timeline-view-button').forEach(button => {
+            const isActive = button.getAttribute('data-view') === this.currentView;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+        this.getElement('timeline').classList.toggle('hidden', !isTimeline);
+        this.getElement('timeline-sort-controls').classList.toggle('hidden', !isTimeline);
+        this.getElement('case-map').classList.toggle('hidden', this.currentView !== 'map');
+        this.getElement('case-table').classList.toggle('hidden', this.currentView !== 'table');
+        this.getElement('case-dashboard').classList.toggle('hidden', this.currentView !== 'dashboard');
+
+        this.renderCurrentView();
+    }
+
+    /**
+     * Draw the map, table or dashboard if one of them is the current view. The timeline
+     * itself is drawn by createVisualization.
+     */
+    renderCurrentView() {
+        if (this.currentView === 'map') {
+            this.createMap();
+        } else if (this.currentView === 'table') {
+            this.renderDataTable();
+        } else if (this.currentView === 'dashboard') {
+            this.renderDashboard();
+        }
+    }
+
+    /**
+     * Show the chart's subjects (processedData, so the current filters and order) as a table
+     */
+    renderDataTable() {
+        const tableContainer = this.getElement('case-table');
+        const escape = (text) => this.escapeHtml(text);
+
+        if (this.processedData.length === 0) {
+            tableContainer.innerHTML = `<p class="case-table-empty">${escape(this.t('cases.none'))}</p>`;
+            return;
+        }
+
+        const rows = this.processedData.map((subjectData, index) => `
+            <tr>
+                <th scope="row">
+                    <button class="case-table-subject" data-index="${index}" aria-pressed="false">${escape(subjectData.subject)}</button>
+                </th>
+                <td>${escape(this.i18n.formatYear(subjectData.minYear))}</td>
+                <td>${escape(this.i18n.formatYear(subjectData.maxYear))}</td>
+                <td>${escape(this.i18n.formatNumber(subjectData.caseCount))}</td>
+            </tr>
+        `).join('');
+
+        tableContainer.innerHTML = `
+            <table class="case-table-grid">
+                <caption>${escape(this.getFilterTitle())} · ${escape(this.getResultSummary())}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">${escape(this.t('table.subject'))}</th>
+                        <th scope="col">${escape(this.t('table.from'))}</th>
+                        <th scope="col">${escape(this.t('table.to'))}</th>
+                        <th scope="col">${escape(this.t('table.cases'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        tableContainer.querySelectorAll('.case-table-subject').forEach(button => {
+            button.addEventListener('click', (event) => {
+                // Clicks outside the sidebar would otherwise clear the selection again
+                event.stopPropagation();
+                this.selectSubject(this.processedData[button.getAttribute('data-index')]);
+            });
+        });
+
+        this.updateSubjectSelectionState();
+    }
+
+    /**
+     * Draw the dashboard for the cases shown: totals, cases and active subjects per year, tag
+     * trends, document coverage per subject and the cases missing documents
+     */
+    renderDashboard() {
+        const dashboard = this.getElement('case-dashboard');
+        const stats = this.getStatistics();
+        const escape = (text) => this.escapeHtml(text);
+        const number = (value) => this.i18n.formatNumber(value);
+        const percent = (value) => this.i18n.formatNumber(value / 100, { style: 'percent' });
+
+        if (stats.totalCases === 0) {
+            dashboard.innerHTML = `<p class="case-table-empty">${escape(this.t('cases.none'))}</p>`;
+            return;
+        }
+
+        let years = '–';
+        if (stats.firstYear !== null) {
+            years = stats.firstYear === stats.lastYear
+                ? this.i18n.formatYear(stats.firstYear)
+                : `${this.i18n.formatYear(stats.firstYear)}–${this.i18n.formatYear(stats.lastYear)}`;
+        }
+        const tiles = [
+            [number(stats.totalCases), this.t('table.cases')],
+            [number(stats.totalSubjects), this.t('dashboard.subjects')],
+            [years, this.t('dashboard.years')],
+            [percent(stats.documentCoverage.digitized.percentage), this.t('tooltip.digitized')]
+        ];
+
+        dashboard.innerHTML = `
+            <p class="dashboard-title">${escape(this.getFilterTitle())}</p>
+            <div class="dashboard-tiles">
+                ${tiles.map(([value, label]) => `
+                    <div class="dashboard-tile">
+                        <div class="dashboard-tile-value">${escape(value)}</div>
+                        <div class="dashboard-tile-label">${escape(label)}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <figure class="dashboard-chart" id="dashboard-cases-per-year">
+                <figcaption>${escape(this.t('dashboard.casesPerYear'))}</figcaption>
+            </figure>
+            <figure class="dashboard-chart" id="dashboard-active-subjects">
+                <figcaption>
+                    ${escape(this.t('dashboard.activeSubjects'))}
+                    <span class="dashboard-note">${escape(this.t('dashboard.activeSubjectsNote'))}</span>
+                </figcaption>
+            </figure>
+            <figure class="dashboard-chart" id="dashboard-tag-trends">
+                <figcaption>${escape(this.t('dashboard.tagTrends', { years: this.caseStatistics.config.tagTrendPeriod }))}</figcaption>
+            </figure>
+            <figure class="dashboard-chart" id="dashboard-coverage">
+                <figcaption>${escape(this.t('dashboard.coverage'))}</figcaption>
+            </figure>
+            ${this.createMissingDocumentsHTML(stats.missingDocuments)}
+        `;
+
+        this.drawYearCountChart(this.getElement('dashboard-cases-per-year'), stats.casesPerYear, {
+            type: 'bar',
+            title: this.t('dashboard.casesPerYear'),
+            countText: (count) => this.t('cases.count', { count })
+        });
+        this.drawYearCountChart(this.getElement('dashboard-active-subjects'), stats.activeSubjectsPerYear, {
+            type: 'area',
+            title: this.t('dashboard.activeSubjects'),
+            countText: (count) => this.t('chart.subjects', { count })
+        });
+        this.drawTagTrendChart(this.getElement('dashboard-tag-trends'), stats.tagTrends);
+        this.drawCoverageChart(this.getElement('dashboard-coverage'), stats.subjectCoverage);
+    }
+
+    /**
+     * Add an SVG to a dashboard figure, as wide as the figure
+     * @param {HTMLElement} figure - Figure element
+     * @param {number} height - Height in pixels
+     * @param {Object} margin - { top, right, bottom, left }
+     * @param {string} label - Text alternative for the chart
+     * @returns {Object} { g, innerWidth, innerHeight }, where g is translated by the margins
+     */
+    createDashboardSvg(figure, height, margin, label) {
+        const width = Math.max(280, figure.clientWidth || 600);
+
+        const svg = d3.select(figure)
+            .append('svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('width', '100%')
+            .attr('role', 'img')
+            .attr('aria-label', label);
+
+        return {
+            g: svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`),
+            innerWidth: width - margin.left - margin.right,
+            innerHeight: height - margin.top - margin.bottom
+        };
+    }
+
+    /**
+     * Y axis with whole-number ticks in the interface language
+     * @param {Object} yScale - d3 linear scale
+     * @returns {Function} d3 axis
+     */
+    createCountAxis(yScale) {
+        const maxCount = yScale.domain()[1];
+        return d3.axisLeft(yScale)
+            .tickValues(yScale.ticks(Math.min(4, maxCount)).filter(Number.isInteger))
+            .tickFormat(count => this.i18n.formatNumber(count));
+    }
+
+    /**
+     * Bar or area chart of a count per year
+     * @param {HTMLElement} figure - Figure element
+     * @param {Array<Object>} data - { year, count }, one per year
+     * @param {Object} options - { type: 'bar' or 'area', title, countText(count) }
+     */
+    drawYearCountChart(figure, data, { type, title, countText }) {
+        if (data.length === 0) {
+            figure.remove();
+            return;
+        }
+
+        const margin = { top: 10, right: 12, bottom: 24, left: 36 };
+        const peak = data.reduce((best, d) => d.count > best.count ? d : best, data[0]);
+        const { g, innerWidth, innerHeight } = this.createDashboardSvg(figure, 170, margin, this.t('dashboard.peak', {
+            title,
+            count: this.i18n.formatNumber(peak.count),
+            year: this.i18n.formatYear(peak.year)
+        }));
+
+        const xScale = d3.scaleBand()
+            .domain(data.map(d => d.year))
+            .range([0, innerWidth])
+            .padding(0.15);
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(data, d => d.count) || 1])
+            .nice()
+            .range([innerHeight, 0]);
+
+        // Label about one year per 50px
+        const tickStep = Math.ceil(data.length / Math.max(2, Math.floor(innerWidth / 50)));
+        g.append('g')
+            .attr('class', 'dashboard-axis')
+            .attr('transform', `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale)
+                .tickValues(data.map(d => d.year).filter((year, index) => index % tickStep === 0))
+                .tickFormat(year => this.i18n.formatYear(year)));
+        g.append('g')
+            .attr('class', 'dashboard-axis')
+            .call(this.createCountAxis(yScale));
+
+        if (type === 'area') {
+            const center = d => xScale(d.year) + xScale.bandwidth() / 2;
+            g.append('path')
+                .datum(data)
+                .attr('class', 'dashboard-area')
+                .attr('fill', this.palette[1])
+                .attr('d', d3.area().x(center).y0(innerHeight).y1(d => yScale(d.count)).curve(d3.curveStep));
+            g.append('path')
+                .datum(data)
+                .attr('class', 'dashboard-line')
+                .attr('stroke', this.palette[0])
+                .attr('d', d3.line().x(center).y(d => yScale(d.count)).curve(d3.curveStep));
+        }
+
+        // Bars, or invisible hover targets over the area, with the count as a tooltip
+        g.selectAll('.dashboard-bar')
+            .data(data)
+            .enter()
+            .append('rect')
+            .attr('class', type === 'bar' ? 'dashboard-bar' : 'dashboard-bar dashboard-hover-target')
+            .attr('x', d => xScale(d.year))
+            .attr('y', d => type === 'bar' ? yScale(d.count) : 0)
+            .attr('width', xScale.bandwidth())
+            .attr('height', d => type === 'bar' ? innerHeight - yScale(d.count) : innerHeight)
+            .attr('fill', type === 'bar' ? this.palette[0] : 'transparent')
+            .append('title')
+            .text(d => `${this.i18n.formatYear(d.year)}: ${countText(d.count)}`);
+    }
+
+    /**
+     * Line per most used tag, with cases per period of years
+     * @param {HTMLElement} figure - Figure element
+     * @param {Object} trends - { periods, series } from GoaFoundationCaseStatistics.calculateTagTrends()
+     */
+    drawTagTrendChart(figure, { periods, series }) {
+        if (series.length === 0) {
+            figure.remove();
+            return;
+        }
+
+        const escape = (text) => this.escapeHtml(text);
+        const margin = { top: 10, right: 12, bottom: 24, left: 36 };
+        const caption = this.t('dashboard.tagTrends', { years: this.caseStatistics.config.tagTrendPeriod });
+        const label = `${caption}: ${series.map(trend => `${trend.tag} (${this.i18n.formatNumber(trend.total)})`).join(', ')}`;
+        const { g, innerWidth, innerHeight } = this.createDashboardSvg(figure, 190, margin, label);
+
+        const xScale = d3.scalePoint()
+            .domain(periods.map((period, index) => index))
+            .range([0, innerWidth])
+            .padding(0.5);
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(series, trend => d3.max(trend.counts)) || 1])
+            .nice()
+            .range([innerHeight, 0]);
+        const periodText = (index) =>
+            `${this.i18n.formatYear(periods[index].from)}–${this.i18n.formatYear(periods[index].to)}`;
+
+        g.append('g')
+            .attr('class', 'dashboard-axis')
+            .attr('transform', `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).tickFormat(index => this.i18n.formatYear(periods[index].from)));
+        g.append('g')
+            .attr('class', 'dashboard-axis')
+            .call(this.createCountAxis(yScale));
+
+        series.forEach((trend, seriesIndex) => {
+            const color = this.colors(seriesIndex);
+            g.append('path')
+                .datum(trend.counts)
+                .attr('class', 'dashboard-line')
+                .attr('stroke', color)
+                .attr('d', d3.line().x((count, index) => xScale(index)).y(count => yScale(count)));
+            g.selectAll(`.dashboard-point-${seriesIndex}`)
+                .data(trend.counts)
+                .enter()
+                .append('circle')
+                .attr('class', `dashboard-point dashboard-point-${seriesIndex}`)
+                .attr('cx', (count, index) => xScale(index))
+                .attr('cy', count => yScale(count))
+                .attr('r', 3)
+                .attr('fill', color)
+                .append('title')
+                .text((count, index) => `${trend.tag}, ${periodText(index)}: ${this.t('cases.count', { count })}`);
+        });
+
+        d3.select(figure)
+            .append('ul')
+            .attr('class', 'dashboard-legend')
+            .html(series.map((trend, seriesIndex) => `
+                <li><span class="dashboard-swatch" style="background: ${escape(this.colors(seriesIndex))}"></span>${escape(trend.tag)} (${escape(this.i18n.formatNumber(trend.total))})</li>
+            `).join(''));
+    }
+
+    /**
+     * Bar per subject with the share of cases archived and with any document online, in the
+     * timeline's subject order. Clicking a subject selects it.
+     * @param {HTMLElement} figure - Figure element
+     * @param {Array<Object>} coverage - { subject, total, archived, digitized } per subject
+     */
+    drawCoverageChart(figure, coverage) {
+        if (coverage.length === 0) {
+            figure.remove();
+            return;
+        }
+
+        const escape = (text) => this.escapeHtml(text);
+        const percent = (value) => this.i18n.formatNumber(value / 100, { style: 'percent' });
+        const order = new Map(this.processedData.map((subjectData, index) => [subjectData.subject, index]));
+        const rows = [...coverage].sort((a, b) =>
+            (order.has(a.subject) ? order.get(a.subject) : Infinity) - (order.has(b.subject) ? order.get(b.subject) : Infinity));
+
+        const rowHeight = 22;
+        const width = Math.max(280, figure.clientWidth || 600);
+        const margin = { top: 4, right: 48, bottom: 4, left: Math.min(220, Math.round(width * 0.4)) };
+        const overall = this.getStatistics().documentCoverage;
+        const { g, innerWidth } = this.createDashboardSvg(
+            figure,
+            rows.length * rowHeight + margin.top + margin.bottom,
+            margin,
+            `${this.t('dashboard.coverage')}: ${this.t('tooltip.archived')} ${percent(overall.archived.percentage)}, ${this.t('tooltip.digitized')} ${percent(overall.digitized.percentage)}`
+        );
+        const xScale = d3.scaleLinear().domain([0, 100]).range([0, innerWidth]);
+
+        const row = g.selectAll('.dashboard-coverage-row')
+            .data(rows)
+            .enter()
+            .append('g')
+            .attr('class', 'dashboard-coverage-row')
+            .attr('transform', (d, index) => `translate(0,${index * rowHeight})`)
+            .on('click', (event, d) => {
+                const subjectData = this.processedData.find(candidate => candidate.subject === d.subject);
+                if (subjectData) {
+                    // Clicks outside the sidebar would otherwise clear the selection again
+                    event.stopPropagation();
+                    this.selectSubject(subjectData);
+                }
+            });
+
+        row.append('title')
+            .text(d => `${d.subject}: ${this.t('tooltip.archived')} ${this.i18n.formatNumber(d.archived.count)} (${percent(d.archived.percentage)}), ` +
+                `${this.t('tooltip.digitized')} ${this.i18n.formatNumber(d.digitized.count)} (${percent(d.digitized.percentage)}), ` +
+                this.t('cases.count', { count: d.total }));
+        row.append('rect')
+            .attr('class', 'dashboard-coverage-track')
+            .attr('y', 3)
+            .attr('width', innerWidth)
+            .attr('height', rowHeight - 6);
+        row.append('rect')
+            .attr('y', 3)
+            .attr('width', d => xScale(d.digitized.percentage))
+            .attr('height', rowHeight - 6)
+            .attr('fill', this.palette[1]);
+        row.append('rect')
+            .attr('y', 3)
+            .attr('width', d => xScale(d.archived.percentage))
+            .attr('height', rowHeight - 6)
+            .attr('fill', this.palette[0]);
+        row.append('text')
+            .attr('class', 'dashboard-coverage-label')
+            .attr('x', -8)
+            .attr('y', rowHeight / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'end')
+            .text(d => this.truncateText(d.subject, Math.floor(margin.left / 7)));
+        row.append('text')
+            .attr('class', 'dashboard-coverage-value')
+            .attr('x', innerWidth + 6)
+            .attr('y', rowHeight / 2)
+            .attr('dy', '0.35em')
+            .text(d => percent(d.digitized.percentage));
+
+        d3.select(figure)
+            .append('ul')
+            .attr('class', 'dashboard-legend')
+            .html(`
+                <li><span class="dashboard-swatch" style="background: ${escape(this.palette[0])}"></span>${escape(this.t('tooltip.archived'))}</li>
+                <li><span class="dashboard-swatch" style="background: ${escape(this.palette[1])}"></span>${escape(this.t('tooltip.digitized'))}</li>
+            `);
+    }
+
+    /**
+     * List of the cases shown that have no petition or no order online
+     * @param {Array<Object>} missingDocuments - { record, missing } entries
+     * @returns {string} HTML
+     */
+    createMissingDocumentsHTML(missingDocuments) {
+        const escape = (text) => this.escapeHtml(text);
+        const documentNames = {
+            Archive: 'link.archive',
+            Petition: 'link.petition',
+            'Additional Documents': 'link.documents',
+            Order: 'link.order'
+        };
+
+        if (missingDocuments.length === 0) {
+            return `<p class="dashboard-note">${escape(this.t('dashboard.missingNone'))}</p>`;
+        }
+
+        const rows = missingDocuments.map(({ record, missing }) => `
+            <tr>
+                <td>${record.Reference
+                    ? `<a href="${escape(this.getCaseUrl(record))}" class="case-permalink" data-reference="${escape(record.Reference)}">${escape(record.Reference)}</a>`
+                    : ''}</td>
+                <td>${escape(this.getLocalizedValue(record, 'Title') || '')}</td>
+                <td>${escape(record.Year || '')}</td>
+                <td>${escape(missing.map(field => documentNames[field] ? this.t(documentNames[field]) : field).join(', '))}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <section class="dashboard-missing">
+                <h3>${escape(this.t('dashboard.missing', { count: missingDocuments.length }))}</h3>
+                <div class="dashboard-missing-list">
+                    <table class="case-table-grid">
+                        <thead>
+                            <tr>
+                                <th scope="col">${escape(this.t('tooltip.reference'))}</th>
+                                <th scope="col">${escape(this.t('dashboard.caseTitle'))}</th>
+                                <th scope="col">${escape(this.t('tooltip.year'))}</th>
+                                <th scope="col">${escape(this.t('dashboard.missingColumn'))}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Load the map outline once. Rings are rewound for d3-geo, which expects the opposite
+     * winding order to GeoJSON files written to RFC 7946.
+     * @returns {Promise<Object>} GeoJSON feature collection
+     */
+    loadMapBoundary() {
+        if (!this.mapBoundary) {
+            this.mapBoundary = fetch(this.options.mapBoundaryUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(geojson => {
+                    const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+                    features.forEach(feature => {
+                        if (d3.geoArea(feature) > 2 * Math.PI) {
+                            const polygons = feature.geometry.type === 'Polygon'
+                                ? [feature.geometry.coordinates]
+                                : feature.geometry.coordinates;
+                            polygons.forEach(polygon => polygon.forEach(ring => ring.reverse()));
+                        }
+                    });
+                    return { type: 'FeatureCollection', features };
+                })
+                .catch(error => {
+                    // Allow a retry the next time the map is drawn
+                    this.mapBoundary = null;
+                    throw error;
+                });
+        }
+        return this.mapBoundary;
+    }
+
+    /**
+     * Filtered cases that have both coordinates
+     * @returns {Array<Object>} Case records
+     */
+    getMappedCases() {
+        return this.filteredData.filter(record => typeof record._lat === 'number' && typeof record._lng === 'number');
+    }
+
+    /**
+     * Draw the filtered cases on the map. Clicking a case opens its subject in the sidebar.
+     */
+    async createMap() {
+        const mapContainer = this.getElement('case-map');
+        let boundary;
+
+        try {
+            boundary = await this.loadMapBoundary();
+        } catch (error) {
+            console.error('Error loading map outline:', error);
+            mapContainer.innerHTML = `<p class="case-map-note">${this.escapeHtml(this.t('map.error'))}</p>`;
+            return;
+        }
+
+        // The view may have changed while the outline was loading
+        if (this.currentView !== 'map') {
+            return;
+        }
+
+        d3.select(mapContainer).selectAll('*').remove();
+
+        const width = Math.max(280, mapContainer.clientWidth - 20);
+        const height = Math.min(720, Math.round(width * 1.1));
+        const padding = 20;
+        const projection = d3.geoMercator().fitExtent([[padding, padding], [width - padding, height - padding]], boundary);
+        const path = d3.geoPath(projection);
+
+        const svg = d3.select(mapContainer)
+            .append('svg')
+            .attr('class', 'case-map-svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .style('max-width', '100%')
+            .style('height', 'auto');
+
+        svg.append('g')
+            .selectAll('path')
+            .data(boundary.features)
+            .enter()
+            .append('path')
+            .attr('class', 'case-map-boundary')
+            .attr('d', path);
+
+        // Coordinates far outside the outline (often swapped lat/lng) would be drawn off the map
+        const isOnMap = ([x, y]) => x >= 0 && x <= width && y >= 0 && y <= height;
+        const mappedCases = this.getMappedCases().filter(record => isOnMap(projection([record._lng, record._lat])));
+        const subjectsByName = new Map(this.processedData.map(d => [d.subject, d]));
+
+        svg.append('g')
+            .selectAll('circle')
+            .data(mappedCases.filter(record => subjectsByName.has(record.Subject)))
+            .enter()
+            .append('circle')
+            .attr('class', 'case-map-point')
+            .attr('cx', d => projection([d._lng, d._lat])[0])
+            .attr('cy', d => projection([d._lng, d._lat])[1])
+            .attr('r', 6)
+            .attr('fill', d => this.colors(d.Subject))
+            .on('mouseover', (event, d) => {
+                this.showTooltip(event, { type: 'case', caseItem: d, subjectData: subjectsByName.get(d.Subject) });
+            })
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .on('mouseout', () => this.hideTooltip())
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                this.hideTooltip();
+                this.selectSubject(subjectsByName.get(d.Subject));
+            });
+
+        const unmappedCount = this.filteredData.length - mappedCases.length;
+        if (unmappedCount > 0) {
+            d3.select(mapContainer)
+                .append('p')
+                .attr('class', 'case-map-note')
+                .text(this.t('map.unmapped', {
+                    unmapped: this.i18n.formatNumber(unmappedCount),
+                    total: this.i18n.formatNumber(this.filteredData.length)
+                }));
+        }
+    }
+
+    setupTimelineSortControls() {
+        this.container.querySelectorAll('.timeline-sort-button[data-sort]').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.setTimelineSort(button.getAttribute('data-sort'));
+            });
+        });
+    }
+
+    setTimelineSort(sortType) {
+        this.sortData(sortType);
+
+        this.container.querySelectorAll('.timeline-sort-button[data-sort]').forEach(button => {
+            const isActive = button.getAttribute('data-sort') === sortType;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+
+        this.updateUrlState();
+    }
+
+    setupDimensions() {
+        this.height = this.processedData.length * this.rowHeight;
+
+        // Responsive margin adjustments
+        const isMobile = window.innerWidth <= 768;
+        const isTablet = window.innerWidth <= 1024;
+
+        if (isMobile) {
+            this.margin = { top: 45, right: 20, bottom: 60, left: 280 };
+            this.rowHeight = Math.round(this.options.rowHeight * 0.875);
+        } else if (isTablet) {
+            this.margin = { top: 50, right: 30, bottom: 70, left: 320 };
+            this.rowHeight = Math.round(this.options.rowHeight * 0.95);
+        } else {
+            this.margin = { top: 50, right: 50, bottom: 80, left: 380 };
+            this.rowHeight = this.options.rowHeight;
+        }
+
+        if (this.embedOptions.layout === 'compact') {
+            this.rowHeight = Math.round(this.rowHeight * 0.75);
+            this.margin = { ...this.margin, top: 40, bottom: 60 };
+        }
+
+        // Recalculate height with new row height
+        this.height = this.processedData.length * this.rowHeight;
+
+        // Responsive width calculation
+        const container = this.getElement('timeline');
+        const containerWidth = container.clientWidth;
+        const padding = isMobile ? 20 : 40; // Account for container padding
+
+        // Calculate available width after margins and padding
+        const availableWidth = containerWidth - padding - this.margin.left - this.margin.right;
+
+        // Set minimum and maximum widths based on screen size
+        let minWidth, maxWidth;
+        if (isMobile) {
+            minWidth = 200;
+            maxWidth = 400;
+        } else if (isTablet) {
+            minWidth = 400;
+            maxWidth = 600;
+        } else {
+            minWidth = 500;
+            maxWidth = 1100;
+        }
+
+        this.width = Math.max(minWidth, Math.min(maxWidth, availableWidth));
+    }
+
+    createVisualization() {
+        // Clear any existing visualization
+        d3.select(this.getElement('timeline')).selectAll('*').remove();
+
+        // Ensure container has proper overflow handling
+        const container = d3.select(this.getElement('timeline'));
+        container.style('overflow-x', 'auto')
+            .style('overflow-y', 'visible');
+
+        // Create SVG with responsive sizing
+        const svgWidth = this.width + this.margin.left + this.margin.right;
+        const svgHeight = this.height + this.margin.top + this.margin.bottom;
+
+        this.svg = container
+            .append('svg')
+            .attr('width', svgWidth)
+            .attr('height', svgHeight)
+            .attr('viewBox', `0 0 ${svgWidth} ${svgHeight}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .attr('role', 'group')
+            .attr('aria-label', this.t('a11y.chart'))
+            .style('max-width', '100%')
+            .style('height', 'auto');
+
+        this.g = this.svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        // Keep bars inside the plot area while zoomed
+        this.svg.append('defs')
+            .append('clipPath')
+            .attr('id', 'timeline-plot-clip')
+            .append('rect')
+            .attr('width', this.width + this.margin.right)
+            .attr('height', this.height);
+
+        // A new chart starts unzoomed
+        this.zoomTransform = d3.zoomIdentity;
+
+        // Create scales
+        this.setupScales();
+
+        // Create axes
+        this.createAxes();
+
+        // Create timeline bars
+        this.createBars();
+
+        // Cases-per-year strip with the year brush
+        this.createYearHistogram();
+
+        // Zoom and pan on the time axis
+        this.setupZoom();
+
+        // Create tooltip
+        this.createTooltip();
+
+        // Update statistics
+        this.updateStatistics();
+
+        // Setup event handlers
+        this.setupEventHandlers();
+    }
+
+    createTagFilters() {
+        const container = this.getElement('tag-filters');
+
+        // Clear existing filters
+        container.innerHTML = '';
+
+        // Calculate min and max counts for scaling
+        const counts = this.allTags.map(tagObj => tagObj.count);
+        const minCount = Math.min(...counts);
+        const maxCount = Math.max(...counts);
+        const baseSize = 12; // Base font size in px
+        const scaleRange = 4; // 4px variation as requested
+
+        // Live counts against the cases currently shown
+        const liveCounts = new Map();
+        this.filteredData.forEach(item => {
+            this.parseTags(item.Tags).forEach(tag => {
+                liveCounts.set(tag, (liveCounts.get(tag) || 0) + 1);
+            });
+        });
+
+        // Plain tags first, then one collapsible facet per namespace
+        const groups = d3.group(this.allTags, tagObj => this.splitTagNamespace(tagObj.tag).namespace);
+        const namespaces = Array.from(groups.keys())
+            .filter(namespace => namespace !== null)
+            .sort((a, b) => a.localeCompare(b));
+
+        const createButton = (tagObj) => {
+            const tag = tagObj.tag;
+            const liveCount = liveCounts.get(tag) || 0;
+            const button = document.createElement('button');
+            button.textContent = `${this.splitTagNamespace(tag).label} (${this.i18n.formatNumber(liveCount)})`;
+            button.className = 'tag-filter-button';
+            button.setAttribute('data-tag', tag);
+            button.title = this.t('tags.buttonTitle');
+            button.classList.toggle('active', this.activeTags.has(tag));
+            button.classList.toggle('excluded', this.excludedTags.has(tag));
+            button.classList.toggle('empty', liveCount === 0);
+            button.setAttribute('aria-pressed', this.getTagPressedState(tag));
+
+            // Calculate scaled font size based on overall count, so the cloud keeps its shape while filtering
+            let fontSize;
+            if (maxCount === minCount) {
+                // All tags have same count, use base size
+                fontSize = baseSize;
+            } else {
+                // Scale between baseSize and baseSize + scaleRange
+                const normalizedCount = (tagObj.count - minCount) / (maxCount - minCount);
+                fontSize = baseSize + (normalizedCount * scaleRange);
+            }
+
+            button.style.fontSize = `${fontSize}px`;
+
+            button.addEventListener('click', () => {
+                this.toggleTagFilter(tag);
+            });
+
+            return button;
+        };
+
+        if (groups.has(null)) {
+            const group = document.createElement('div');
+            group.className = 'tag-filters-group';
+            groups.get(null).forEach(tagObj => group.appendChild(createButton(tagObj)));
+            container.appendChild(group);
+        }
+
+        namespaces.forEach(namespace => {
+            const tagObjs = groups.get(namespace);
+            const selectedCount = tagObjs
+                .filter(tagObj => this.activeTags.has(tagObj.tag) || this.excludedTags.has(tagObj.tag))
+                .length;
+
+            const facet = document.createElement('details');
+            facet.className = 'tag-facet';
+            facet.open = this.openTagFacets.has(namespace) || selectedCount > 0;
+
+            const summary = document.createElement('summary');
+            summary.textContent = namespace;
+            if (selectedCount > 0) {
+                const activeCount = document.createElement('span');
+                activeCount.className = 'tag-facet-active-count';
+                activeCount.textContent = this.t('tags.selected', { count: selectedCount });
+                summary.appendChild(activeCount);
+            }
+            facet.appendChild(summary);
+
+            const group = document.createElement('div');
+            group.className = 'tag-filters-group';
+            tagObjs.forEach(tagObj => group.appendChild(createButton(tagObj)));
+            facet.appendChild(group);
+
+            facet.addEventListener('toggle', () => {
+                if (facet.open) {
+                    this.openTagFacets.add(namespace);
+                } else {
+                    this.openTagFacets.delete(namespace);
+                }
+            });
+
+            container.appendChild(facet);
+        });
+    }
+
+    /**
+     * aria-pressed value for a tag button: 'mixed' stands for excluded
+     * @param {string} tag - Tag
+     * @returns {string} 'true', 'mixed' or 'false'
+     */
+    getTagPressedState(tag) {
+        if (this.activeTags.has(tag)) {
+            return 'true';
+        }
+        return this.excludedTags.has(tag) ? 'mixed' : 'false';
+    }
+
+    /**
+     * Cycle a tag through included, excluded and off
+     * @param {string} tag - Tag to toggle
+     */
+    toggleTagFilter(tag) {
+        if (this.activeTags.has(tag)) {
+            this.activeTags.delete(tag);
+            this.excludedTags.add(tag);
+        } else if (this.excludedTags.has(tag)) {
+            this.excludedTags.delete(tag);
+        } else {
+            this.activeTags.add(tag);
+        }
+
+        this.updateButtonVisibility();
+        this.updateVisualizationWithFilters();
+        this.updateUrlState();
+    }
+
+    setupTagModeControls() {
+        this.container.querySelectorAll('.tag-mode-button').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.setTagMatchMode(button.getAttribute('data-mode'));
+            });
+        });
+    }
+
+    /**
+     * Switch between matching any or all of the active tags
+     * @param {string} mode - 'any' or 'all'
+     */
+    setTagMatchMode(mode) {
+        if (mode === this.tagMatchMode) {
+            return;
+        }
+
+        this.tagMatchMode = mode;
+        this.syncControlsWithState();
+
+        if (this.activeTags.size > 1) {
+            this.updateVisualizationWithFilters();
+        }
+
+        this.updateUrlState();
+    }
+
+    setupScales() {
+        const allYears = this.processedData.flatMap(d => [d.minYear, d.maxYear]);
+        const yearExtent = this.yearWindow
+            ? [this.yearWindow.from, Math.max(this.yearWindow.to, this.yearWindow.from + 1)]
+            : d3.extent(allYears);
+
+        this.baseXScale = d3.scaleLinear()
+            .domain(yearExtent)
+            .range([0, this.width]);
+        this.xScale = this.zoomTransform.rescaleX(this.baseXScale);
+
+        // Full data range for the histogram strip, so the brush doesn't move as filters change
+        const dataYears = this.data.map(d => +d.Year).filter(year => !isNaN(year));
+        const [minDataYear, maxDataYear] = d3.extent(dataYears);
+        this.overviewScale = d3.scaleLinear()
+            .domain([minDataYear, maxDataYear + 1])
+            .range([0, this.width]);
+
+        this.yScale = d3.scaleBand()
+            .domain(this.processedData.map(d => d.subject))
+            .range([0, this.height])
+            .padding(0.1);
+    }
+
+    createAxes() {
+        // Calculate responsive tick count based on available width and screen size
+        const isMobile = window.innerWidth <= 768;
+        const isTablet = window.innerWidth <= 1024;
+
+        // Calculate available width for ticks
+        const availableWidth = this.width;
+
+        // Estimate minimum space needed per tick (including label)
+        const minSpacePerTick = isMobile ? 60 : (isTablet ? 50 : 40);
+
+        // Calculate maximum ticks that fit comfortably
+        const maxTicksBySpace = Math.floor(availableWidth / minSpacePerTick);
+
+        // Get the year range
+        const yearRange = this.xScale.domain()[1] - this.xScale.domain()[0];
+
+        // Calculate optimal tick count
+        let optimalTickCount;
+        if (isMobile) {
+            // On mobile, be more conservative with ticks
+            optimalTickCount = Math.min(maxTicksBySpace, Math.max(3, Math.floor(yearRange / 5)));
+        } else if (isTablet) {
+            // On tablet, moderate number of ticks
+            optimalTickCount = Math.min(maxTicksBySpace, Math.max(4, Math.floor(yearRange / 3)));
+        } else {
+            // On desktop, allow more ticks but still respect space constraints
+            optimalTickCount = Math.min(maxTicksBySpace, Math.max(5, Math.floor(yearRange / 2)));
+        }
+
+        // Ensure we don't exceed the actual year range
+        optimalTickCount = Math.min(optimalTickCount, yearRange + 1);
+
+        // X-axis (years) - bottom
+        this.g.append('g')
+            .attr('class', 'axis x-axis x-axis-bottom')
+            .attr('aria-hidden', 'true')
+            .attr('transform', `translate(0,${this.height})`);
+
+        // X-axis (years) - top
+        this.g.append('g')
+            .attr('class', 'axis x-axis x-axis-top')
+            .attr('aria-hidden', 'true')
+            .attr('transform', `translate(0,0)`);
+
+        this.axisTickCount = optimalTickCount;
+        this.updateAxes();
+
+        // X-axis label with responsive positioning and sizing
+        const labelY = isMobile ? -20 : (isTablet ? -22 : -25);
+        const labelFontSize = isMobile ? '12px' : (isTablet ? '13px' : '14px');
+
+        this.g.append('text')
+            .attr('x', this.width / 2)
+            .attr('y', labelY)
+            .attr('text-anchor', 'middle')
+            .style('font-size', labelFontSize)
+            .style('font-weight', 'bold')
+            .style('fill', 'var(--gf-primary)')
+            .style('font-family', 'Source Sans Pro, sans-serif')
+            .text(this.t('chart.yearAxis'));
+    }
+
+    /**
+     * Draw both year axes for the current (possibly zoomed) x scale
+     */
+    updateAxes() {
+        // Whole years only, so zooming in doesn't repeat labels
+        const tickValues = this.xScale.ticks(this.axisTickCount).filter(Number.isInteger);
+
+        this.g.select('.x-axis-bottom')
+            .call(d3.axisBottom(this.xScale).tickFormat(d3.format('d')).tickValues(tickValues));
+        this.g.select('.x-axis-top')
+            .call(d3.axisTop(this.xScale).tickFormat(d3.format('d')).tickValues(tickValues));
+    }
+
+    /**
+     * Draw the cases-per-year strip below the bottom axis, with a brush that sets the year window
+     */
+    createYearHistogram() {
+        const isMobile = window.innerWidth <= 768;
+        const stripTop = isMobile ? 26 : 28;
+        const stripHeight = isMobile ? 24 : 32;
+
+        const casesPerYear = d3.rollup(
+            this.unwindowedData.filter(d => !isNaN(+d.Year)),
+            cases => cases.length,
+            d => +d.Year
+        );
+        const maxCount = d3.max(casesPerYear.values()) || 1;
+        const heightScale = d3.scaleLinear()
+            .domain([0, maxCount])
+            .range([0, stripHeight]);
+
+        const strip = this.g.append('g')
+            .attr('class', 'year-histogram')
+            .attr('transform', `translate(0,${this.height + stripTop})`);
+
+        strip.selectAll('.year-histogram-bar')
+            .data(Array.from(casesPerYear, ([year, count]) => ({ year, count })))
+            .enter()
+            .append('rect')
+            .attr('class', 'year-histogram-bar')
+            .classed('in-window', d => !this.yearWindow ||
+                (d.year >= this.yearWindow.from && d.year <= this.yearWindow.to))
+            .attr('x', d => this.overviewScale(d.year))
+            .attr('y', d => stripHeight - heightScale(d.count))
+            .attr('width', d => Math.max(1, this.overviewScale(d.year + 1) - this.overviewScale(d.year) - 1))
+            .attr('height', d => heightScale(d.count))
+            .append('title')
+            .text(d => `${d.year}: ${this.t('cases.count', { count: d.count })}`);
+
+        strip.append('text')
+            .attr('class', 'year-histogram-label')
+            .attr('x', -8)
+            .attr('y', stripHeight / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'end')
+            .text(this.t(isMobile ? 'chart.histogramShort' : 'chart.histogram'));
+
+        // The brush covers the bottom axis and the strip
+        this.yearBrush = d3.brushX()
+            .extent([[0, 0], [this.width, stripTop + stripHeight]])
+            .on('end', (event) => this.handleYearBrush(event));
+
+        const brushGroup = this.g.append('g')
+            .attr('class', 'year-brush')
+            .attr('transform', `translate(0,${this.height})`)
+            .call(this.yearBrush);
+
+        if (this.yearWindow) {
+            brushGroup.call(this.yearBrush.move, [
+                this.overviewScale(this.yearWindow.from),
+                this.overviewScale(this.yearWindow.to + 1)
+            ]);
+        }
+    }
+
+    /**
+     * Turn a finished brush gesture into a whole-year window
+     * @param {Object} event - d3 brush end event
+     */
+    handleYearBrush(event) {
+        // Ignore programmatic moves
+        if (!event.sourceEvent) {
+            return;
+        }
+
+        if (!event.selection) {
+            if (this.yearWindow) {
+                this.setYearWindow(null);
+            }
+            return;
+        }
+
+        const [minYear, maxYear] = this.overviewScale.domain();
+        const [x0, x1] = event.selection.map(x => this.overviewScale.invert(x));
+        const from = Math.max(minYear, Math.round(x0));
+        const to = Math.min(maxYear - 1, Math.max(from, Math.round(x1) - 1));
+
+        this.setYearWindow({ from, to });
+    }
+
+    /**
+     * Limit the timeline, statistics and case list to a range of years
+     * @param {Object|null} yearWindow - { from, to } inclusive, or null for all years
+     */
+    setYearWindow(yearWindow) {
+        this.yearWindow = yearWindow;
+        this.updateButtonVisibility();
+        this.updateVisualizationWithFilters();
+        this.updateUrlState();
+    }
+
+    setupYearWindowControls() {
+        this.getElement('clear-years-button').addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.setYearWindow(null);
+        });
+
+        this.getElement('reset-zoom-button').addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.resetZoom();
+        });
+
+        this.updateYearWindowControls();
+    }
+
+    updateYearWindowControls() {
+        this.getElement('clear-years-button').classList.toggle('hidden', !this.yearWindow);
+        this.getElement('reset-zoom-button').classList.toggle('hidden', this.zoomTransform.k === 1);
+    }
+
+    /**
+     * Zoom (Ctrl/Cmd + wheel or pinch) and pan (drag) along the time axis. Plain wheel and
+     * single-finger touch are left alone so the page still scrolls.
+     */
+    setupZoom() {
+        this.zoom = d3.zoom()
+            .scaleExtent([1, 20])
+            .extent([[0, 0], [this.width, this.height]])
+            .translateExtent([[0, 0], [this.width, this.height]])
+            .filter(event => {
+                if (event.target.closest && event.target.closest('.year-brush')) {
+                    return false;
+                }
+                if (event.type === 'wheel') {
+                    return event.ctrlKey || event.metaKey;
+                }
+                if (event.type.startsWith('touch')) {
+                    return event.touches.length > 1;
+                }
+                return !event.button;
+            })
+            .on('zoom', (event) => {
+                this.zoomTransform = event.transform;
+                this.applyZoom();
+            });
+
+        this.g.call(this.zoom)
+            .on('dblclick.zoom', null);
+        this.g.style('touch-action', 'pan-y');
+
+        this.updateYearWindowControls();
+    }
+
+    resetZoom() {
+        if (this.zoom) {
+            this.g.transition().duration(300).call(this.zoom.transform, d3.zoomIdentity);
+        }
+    }
+
+    /**
+     * Reposition bars, counts and axes for the current zoom transform
+     */
+    applyZoom() {
+        this.xScale = this.zoomTransform.rescaleX(this.baseXScale);
+
+        this.g.selectAll('.subject-bar')
+            .attr('x', d => this.xScale(d.minYear))
+            .attr('width', d => this.getBarWidth(d));
+
+        this.g.selectAll('.case-count')
+            .attr('x', d => this.xScale(d.minYear) + this.getBarWidth(d) / 2);
+
+        this.positionCaseMarkers(this.g.selectAll('.case-marker, .event-tick'));
+
+        this.updateAxes();
+        this.updateYearWindowControls();
+    }
+
+    /**
+     * Draw a marker for each case at its year and a tick for each dated timeline entry
+     */
+    createCaseMarkers() {
+        const isMobile = window.innerWidth <= 768;
+        const radius = isMobile ? 3 : 4;
+        const caseMarkers = [];
+        const eventTicks = [];
+
+        this.processedData.forEach(subjectData => {
+            // Stack cases that share a year
+            const casesByYear = this.groupCasesByYear(subjectData.cases);
+
+            Object.values(casesByYear).forEach(cases => {
+                cases.forEach((caseItem, index) => {
+                    caseMarkers.push({
+                        type: 'case',
+                        caseItem,
+                        subjectData,
+                        offset: (index - (cases.length - 1) / 2) * (radius * 2 + 1)
+                    });
+                });
+            });
+
+            subjectData.cases.forEach(caseItem => {
+                (this.getCaseTimeline(caseItem) || []).forEach(event => {
+                    eventTicks.push({
+                        type: 'event',
+                        caseItem,
+                        subjectData,
+                        event,
+                        year: this.getDecimalYear(event.date)
+                    });
+                });
+            });
+        });
+
+        const showMarkerTooltip = (event, d) => this.showTooltip(event, d);
+        const openMarkerCase = (event, d) => {
+            event.stopPropagation();
+            this.selectCase(d.caseItem, d.subjectData);
+        };
+
+        this.g.selectAll('.event-tick')
+            .data(eventTicks)
+            .enter()
+            .append('rect')
+            .attr('class', 'event-tick')
+            .attr('aria-hidden', 'true')
+            .attr('clip-path', 'url(#timeline-plot-clip)')
+            .attr('width', 3)
+            .attr('height', () => Math.max(4, this.yScale.bandwidth() * 0.3))
+            .call(selection => this.positionCaseMarkers(selection))
+            .on('mouseover', showMarkerTooltip)
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .on('mouseout', () => this.hideTooltip())
+            .on('click', openMarkerCase);
+
+        this.g.selectAll('.case-marker')
+            .data(caseMarkers)
+            .enter()
+            .append('circle')
+            .attr('class', 'case-marker')
+            .attr('aria-hidden', 'true')
+            .attr('clip-path', 'url(#timeline-plot-clip)')
+            .attr('r', radius)
+            .call(selection => this.positionCaseMarkers(selection))
+            .on('mouseover', showMarkerTooltip)
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .on('mouseout', () => this.hideTooltip())
+            .on('click', openMarkerCase);
+    }
+
+    /**
+     * Place case markers and event ticks for the current scales
+     * @param {Object} selection - d3 selection or transition of markers and ticks
+     */
+    positionCaseMarkers(selection) {
+        selection.filter('.case-marker')
+            .attr('cx', (d, i, nodes) => {
+                // Keep the marker inside its bar
+                const radius = +nodes[i].getAttribute('r') || 4;
+                const barX = this.xScale(d.subjectData.minYear);
+                const barWidth = this.getBarWidth(d.subjectData);
+                const x = this.xScale(+d.caseItem.Year);
+                return Math.max(barX + radius, Math.min(barX + barWidth - radius, x));
+            })
+            .attr('cy', d => this.yScale(d.subjectData.subject) + this.yScale.bandwidth() / 2 + d.offset);
+
+        selection.filter('.event-tick')
+            .attr('x', d => this.xScale(d.year) - 1.5)
+            .attr('y', d => this.yScale(d.subjectData.subject) + this.yScale.bandwidth() * 0.7 - 1);
+    }
+
+    /**
+     * Convert a YYYY-MM-DD date to a fractional year for the x scale
+     * @param {string} date - Date string
+     * @returns {number} Year plus the elapsed fraction of that year
+     */
+    getDecimalYear(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        const start = Date.UTC(year, 0, 1);
+        const end = Date.UTC(year + 1, 0, 1);
+        return year + (Date.UTC(year, month - 1, day) - start) / (end - start);
+    }
+
+    /**
+     * Width of a subject bar, at least one year wide
+     * @param {Object} d - Subject data
+     * @returns {number} Width in pixels
+     */
+    getBarWidth(d) {
+        const calculatedWidth = this.xScale(d.maxYear) - this.xScale(d.minYear);
+        const oneYearWidth = this.xScale(d.minYear + 1) - this.xScale(d.minYear);
+        return Math.max(calculatedWidth, oneYearWidth);
+    }
+
+    createBars() {
+        // Create the visual bars
+        const bars = this.g.selectAll('.subject-bar')
+            .data(this.processedData)
+            .enter()
+            .append('rect')
+            .attr('class', 'subject-bar')
+            .attr('aria-hidden', 'true')
+            .attr('x', d => this.xScale(d.minYear))
+            .attr('y', d => this.yScale(d.subject))
+            .attr('width', d => {
+                // Calculate width, ensuring minimum 1 year span
+                const calculatedWidth = this.xScale(d.maxYear) - this.xScale(d.minYear);
+                const oneYearWidth = this.xScale(d.minYear + 1) - this.xScale(d.minYear);
+                return Math.max(calculatedWidth, oneYearWidth);
+            })
+            .attr('height', this.yScale.bandwidth())
+            .attr('fill', (d, i) => this.colors(i))
+            .attr('stroke', '#fff')
+            .attr('stroke-width', 1)
+            .attr('rx', 4)
+            .attr('clip-path', 'url(#timeline-plot-clip)');
+
+        // Create invisible overlay rectangles for easier clicking (full row width). They are also
+        // the subjects' keyboard targets: one tab stop, moved with the arrow keys.
+        const clickOverlays = this.g.selectAll('.subject-click-overlay')
+            .data(this.processedData)
+            .enter()
+            .append('rect')
+            .attr('class', 'subject-click-overlay')
+            .attr('x', 0)
+            .attr('y', d => this.yScale(d.subject))
+            .attr('width', this.width)
+            .attr('height', this.yScale.bandwidth())
+            .attr('fill', 'transparent')
+            .attr('cursor', 'pointer')
+            .attr('role', 'button')
+            .attr('aria-label', d => this.getSubjectAriaLabel(d))
+            .style('pointer-events', 'all');
+        this.updateSubjectSelectionState();
+
+        // Case markers and timeline event ticks, above the click overlays so they get their own events
+        this.createCaseMarkers();
+
+        // Subject labels with responsive text length and click handling
+        const isMobile = window.innerWidth <= 768;
+        const maxSubjectLength = isMobile ? 30 : (window.innerWidth <= 1024 ? 45 : 60);
+        const labelFontSize = isMobile ? '14px' : (window.innerWidth <= 1024 ? '16px' : '18px');
+
+        // Calculate label width based on available margin space
+        const labelWidth = this.margin.left - 20; // Leave some padding
+        const rowHeight = this.yScale.bandwidth();
+
+        const subjectLabels = this.g.selectAll('.subject-label')
+            .data(this.processedData)
+            .enter()
+            .append('foreignObject')
+            .attr('class', 'subject-label')
+            .attr('aria-hidden', 'true')
+            .attr('x', -labelWidth)
+            .attr('y', d => this.yScale(d.subject))
+            .attr('width', labelWidth)
+            .attr('height', rowHeight)
+            .style('cursor', 'pointer')
+            .html(d => `
+                <div style="
+                    width: 100%;
+                    height: 100%;
+                    display: flex;
+                    align-items: center;
+                    justify-content: flex-end;
+                    font-size: ${labelFontSize};
+                    font-weight: 500;
+                    color: #374151;
+                    text-align: right;
+                    line-height: 1.2;
+                    padding: 2px 8px 2px 2px;
+                    box-sizing: border-box;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                    hyphens: auto;
+                ">${this.escapeHtml(d.subject)}</div>
+            `)
+            .on('mouseover', (event, d) => {
+                // Highlight the label on hover by updating the div inside the foreignObject
+                const foreignObject = d3.select(event.currentTarget);
+                const div = foreignObject.select('div');
+                if (!div.empty()) {
+                    div.style('color', '#1f2937')
+                        .style('font-weight', 'bold');
+                }
+                // Also show tooltip
+                this.showTooltip(event, d);
+                // Highlight the corresponding visual bar
+                this.g.selectAll('.subject-bar')
+                    .filter(barData => barData === d)
+                    .style('opacity', 0.8)
+                    .style('stroke-width', 2);
+            })
+            .on('mousemove', (event) => {
+                this.moveTooltip(event);
+            })
+            .on('mouseout', (event, d) => {
+                // Reset label styling
+                const foreignObject = d3.select(event.currentTarget);
+                const div = foreignObject.select('div');
+                if (!div.empty()) {
+                    div.style('color', '#374151')
+                        .style('font-weight', '500');
+                }
+                // Hide tooltip
+                this.hideTooltip();
+                // Reset the visual bar highlight only if not selected
+                if (this.selectedSubject !== d) {
+                    this.g.selectAll('.subject-bar')
+                        .filter(barData => barData === d)
+                        .style('opacity', 1)
+                        .style('stroke-width', 1);
+                }
+            })
+            .on('click', (event, d) => {
+                this.selectSubject(d);
+            });
+
+        // Note: Tooltips are no longer needed since we show full text in multiline labels
+
+        // Case count labels on bars with responsive sizing
+        const countFontSize = isMobile ? '9px' : (window.innerWidth <= 1024 ? '10px' : '11px');
+        const countText = isMobile
+            ? (d => this.i18n.formatNumber(d.caseCount))
+            : (d => this.t('cases.count', { count: d.caseCount }));
+
+        this.g.selectAll('.case-count')
+            .data(this.processedData)
+            .enter()
+            .append('text')
+            .attr('class', 'case-count')
+            .attr('aria-hidden', 'true')
+            .attr('clip-path', 'url(#timeline-plot-clip)')
+            .attr('x', d => {
+                // Calculate bar width with minimum 1 year span
+                const calculatedWidth = this.xScale(d.maxYear) - this.xScale(d.minYear);
+                const oneYearWidth = this.xScale(d.minYear + 1) - this.xScale(d.minYear);
+                const barWidth = Math.max(calculatedWidth, oneYearWidth);
+                return this.xScale(d.minYear) + barWidth / 2;
+            })
+            .attr('y', d => this.yScale(d.subject) + this.yScale.bandwidth() / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'middle')
+            .style('font-size', countFontSize)
+            .style('font-weight', 'bold')
+            .style('fill', 'white')
+            .style('text-shadow', '1px 1px 2px rgba(0,0,0,0.7)')
+            .style('pointer-events', 'none')
+            .text(countText);
+    }
+
+    createTooltip() {
+        this.tooltip = d3.select('body')
+            .append('div')
+            .attr('class', 'tooltip')
+            .attr('role', 'tooltip')
+            .style('opacity', 0);
+
+        // Attach events to the click overlays for better interaction
+        this.g.selectAll('.subject-click-overlay')
+            .on('mouseover', (event, d) => {
+                this.showTooltip(event, d);
+                // Highlight the corresponding visual bar
+                this.g.selectAll('.subject-bar')
+                    .filter(barData => barData === d)
+                    .style('opacity', 0.8)
+                    .style('stroke-width', 2);
+            })
+            .on('mousemove', (event) => {
+                this.moveTooltip(event);
+            })
+            .on('mouseout', (event, d) => {
+                this.hideTooltip();
+                // Reset the visual bar highlight only if not selected
+                if (this.selectedSubject !== d) {
+                    this.g.selectAll('.subject-bar')
+                        .filter(barData => barData === d)
+                        .style('opacity', 1)
+                        .style('stroke-width', 1);
+                }
+            })
+            .on('click', (event, d) => {
+                this.selectSubject(d);
+            })
+            .on('focus', (event, d) => {
+                this.updateSubjectSelectionState(d);
+                this.showTooltipAtBar(d);
+                this.g.selectAll('.subject-bar')
+                    .filter(barData => barData === d)
+                    .style('opacity', 0.8)
+                    .style('stroke-width', 2);
+            })
+            .on('blur', (event, d) => {
+                this.hideTooltip();
+                if (this.selectedSubject !== d) {
+                    this.g.selectAll('.subject-bar')
+                        .filter(barData => barData === d)
+                        .style('opacity', 1)
+                        .style('stroke-width', 1);
+                }
+            })
+            .on('keydown', (event, d) => {
+                this.handleSubjectKeydown(event, d);
+            });
+    }
+
+    /**
+     * Keyboard use of the chart: up and down (or Home and End) move between subjects,
+     * Enter or Space shows the subject's cases and Escape hides the tooltip
+     * @param {KeyboardEvent} event - Key event on a subject's overlay
+     * @param {Object} subjectData - The focused subject
+     */
+    handleSubjectKeydown(event, subjectData) {
+        const index = this.processedData.indexOf(subjectData);
+        const targets = {
+            ArrowDown: index + 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: this.processedData.length - 1
+        };
+
+        if (event.key in targets) {
+            event.preventDefault();
+            this.focusSubject(this.processedData[Math.max(0, Math.min(targets[event.key], this.processedData.length - 1))]);
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.selectSubject(subjectData);
+        } else if (event.key === 'Escape') {
+            this.hideTooltip();
+        }
+    }
+
+    /**
+     * Move keyboard focus to a subject's row in the chart
+     * @param {Object} subjectData - Subject from processedData
+     */
+    focusSubject(subjectData) {
+        const overlay = this.g.selectAll('.subject-click-overlay')
+            .filter(d => d === subjectData)
+            .node();
+
+        if (overlay) {
+            overlay.focus();
+        }
+    }
+
+    /**
+     * Keep the chart's subject overlays and the table's subject buttons in step with the
+     * selection, and give the chart a single tab stop
+     * @param {Object} [focusedSubject] - Subject that should hold the tab stop; defaults to the
+     *   selected subject, then the first
+     */
+    updateSubjectSelectionState(focusedSubject = null) {
+        const tabStop = focusedSubject
+            || (this.processedData.includes(this.selectedSubject) ? this.selectedSubject : this.processedData[0]);
+
+        if (this.g) {
+            this.g.selectAll('.subject-click-overlay')
+                .attr('tabindex', d => d === tabStop ? 0 : -1)
+                .attr('aria-pressed', d => d === this.selectedSubject);
+        }
+
+        this.container.querySelectorAll('.case-table-subject').forEach(button => {
+            const subjectData = this.processedData[button.getAttribute('data-index')];
+            button.setAttribute('aria-pressed', subjectData === this.selectedSubject);
+            button.closest('tr').classList.toggle('selected', subjectData === this.selectedSubject);
+        });
+    }
+
+    /**
+     * Accessible name of a subject row, e.g. "Mining leases: 12 cases, 1995–2021"
+     * @param {Object} subjectData - Subject from processedData
+     * @returns {string} Label
+     */
+    getSubjectAriaLabel(subjectData) {
+        const from = this.i18n.formatYear(subjectData.minYear);
+        const to = this.i18n.formatYear(subjectData.maxYear);
+
+        return this.t('a11y.subject', {
+            subject: subjectData.subject,
+            cases: this.t('cases.count', { count: subjectData.caseCount }),
+            years: from === to ? from : `${from}–${to}`
+        });
+    }
+
+    /**
+     * Show a subject's tooltip next to its bar, for keyboard focus where there is no pointer
+     * @param {Object} subjectData - Subject from processedData
+     */
+    showTooltipAtBar(subjectData) {
+        const bar = this.g.selectAll('.subject-bar')
+            .filter(d => d === subjectData)
+            .node();
+        if (!bar) {
+            return;
+        }
+
+        const rect = bar.getBoundingClientRect();
+        this.showTooltip({
+            pageX: rect.right + window.scrollX,
+            pageY: rect.top + window.scrollY
+        }, subjectData);
+    }
+
+    showTooltip(event, data) {
+        const content = this.createTooltipContent(data);
+
+        this.tooltip
+            .html(content)
+            .style('opacity', 0.95);
+
+        this.moveTooltip(event);
+    }
+
+    moveTooltip(event) {
+        const tooltipNode = this.tooltip.node();
+        const tooltipRect = tooltipNode.getBoundingClientRect();
+        const windowWidth = window.innerWidth;
+        const windowHeight = window.innerHeight;
+
+        let left = event.pageX + 15;
+        let top = event.pageY - 10;
+
+        // Adjust if tooltip goes off screen
+        if (left + tooltipRect.width > windowWidth) {
+            left = event.pageX - tooltipRect.width - 15;
+        }
+
+        if (top + tooltipRect.height > windowHeight) {
+            top = event.pageY - tooltipRect.height - 10;
+        }
+
+        this.tooltip
+            .style('left', left + 'px')
+            .style('top', top + 'px');
+    }
+
+    hideTooltip() {
+        this.tooltip.style('opacity', 0);
+    }
+
+    createTooltipContent(data) {
+        if (data.type === 'case' || data.type === 'event') {
+            return this.createCaseTooltipContent(data);
+        }
+
+        // Calculate statistics
+        const stats = this.calculateCaseStatistics(data);
+
+        const number = (value) => this.i18n.formatNumber(value);
+        const percent = (value) => this.i18n.formatNumber(value / 100, { style: 'percent' });
+        const period = `${this.i18n.formatYear(data.minYear)}-${this.i18n.formatYear(data.maxYear)}`;
+
+        let content = `<h3>${this.escapeHtml(data.subject)}</h3>`;
+        content += `<div style="margin-bottom: 8px;"><strong>${this.t('tooltip.period')}:</strong> ${period} (${this.t('tooltip.years', { count: data.yearSpan })})</div>`;
+        content += `<div style="margin-bottom: 8px;"><strong>${this.t('tooltip.caseCount')}:</strong> ${number(data.caseCount)}</div>`;
+        content += `<div style="margin-bottom: 8px;"><strong>${this.t('tooltip.archived')}:</strong> ${number(stats.archived.count)} (${percent(stats.archived.percentage)})</div>`;
+        content += `<div style="margin-bottom: 8px;"><strong>${this.t('tooltip.digitized')}:</strong> ${number(stats.digitized.count)} (${percent(stats.digitized.percentage)})</div>`;
+
+        content += `<div style="margin-top: 10px; margin-bottom: 5px;"><strong>${this.t('tooltip.caseNumbers')}:</strong></div>`;
+        content += `<div style="max-height: 120px; overflow-y: auto; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; padding: 8px; background: rgba(0,0,0,0.3);">`;
+
+        // Group cases by year and show references
+        const casesByYear = this.groupCasesByYear(data.cases);
+        const years = Object.keys(casesByYear).sort();
+
+        years.forEach(year => {
+            const references = casesByYear[year].map(c => c.Reference).join(', ');
+            const truncatedRefs = this.truncateText(references, 65);
+            content += `<div style="font-size: 11px; margin-bottom: 3px; line-height: 1.3;">`;
+            content += `<span style="color: #60a5fa; font-weight: bold;">${this.escapeHtml(year)}:</span> ${this.escapeHtml(truncatedRefs)}`;
+            content += `</div>`;
+        });
+
+        content += `</div>`;
+
+        content += `<div style="font-style: italic; color: #9ca3af; margin-top: 8px; font-size: 10px;">${this.t('tooltip.openSubject')}</div>`;
+
+        return content;
+    }
+
+    /**
+     * Tooltip for a case marker or a timeline event tick
+     * @param {Object} data - Marker data ({ type, caseItem, subjectData, event })
+     * @returns {string} Tooltip HTML
+     */
+    createCaseTooltipContent(data) {
+        const caseItem = data.caseItem;
+        const titleText = this.getLocalizedValue(caseItem, 'Title') || caseItem.Reference || this.t('cases.untitled');
+        const location = this.getLocalizedValue(caseItem, 'Location');
+        const label = (key) => `<strong>${this.t(key)}:</strong>`;
+        let content = '';
+
+        if (data.type === 'event') {
+            content += `<h3>${this.escapeHtml(data.event.formattedDate)}</h3>`;
+            content += `<div style="margin-bottom: 8px;">${this.escapeHtml(data.event.description)}</div>`;
+            content += `<div style="margin-bottom: 8px;">${label('tooltip.case')} ${this.escapeHtml(titleText)}</div>`;
+        } else {
+            content += `<h3>${this.escapeHtml(titleText)}</h3>`;
+            content += `<div style="margin-bottom: 8px;">${label('tooltip.year')} ${this.escapeHtml(caseItem.Year)}</div>`;
+        }
+
+        content += `<div style="margin-bottom: 8px;">${label('tooltip.reference')} ${this.escapeHtml(caseItem.Reference)}</div>`;
+        content += `<div style="margin-bottom: 8px;">${label('tooltip.subject')} ${this.escapeHtml(data.subjectData.subject)}</div>`;
+        if (location) {
+            content += `<div style="margin-bottom: 8px;">${label('tooltip.location')} ${this.escapeHtml(location)}</div>`;
+        }
+
+        const tags = this.parseTags(caseItem.Tags);
+        if (tags.length > 0) {
+            content += `<div style="margin-bottom: 8px;">${label('tooltip.tags')} ${this.escapeHtml(tags.join(', '))}</div>`;
+        }
+
+        content += `<div style="font-style: italic; color: #9ca3af; margin-top: 8px; font-size: 10px;">${this.t('tooltip.openCase')}</div>`;
+
+        return content;
+    }
+
+    /**
+     * Open a single case in the sidebar, keeping its subject highlighted on the timeline
+     * @param {Object} caseItem - Case record
+     * @param {Object} subjectData - Processed subject the case belongs to
+     */
+    selectCase(caseItem, subjectData) {
+        this.selectedSubject = subjectData;
+        this.selectedCase = caseItem;
+        this.hideTooltip();
+
+        this.g.selectAll('.subject-bar')
+            .classed('selected', d => d === subjectData)
+            .style('opacity', d => d === subjectData ? 0.8 : 1)
+            .style('stroke-width', d => d === subjectData ? 2 : 1);
+        this.g.selectAll('.case-marker, .event-tick')
+            .classed('selected', d => d.caseItem === caseItem);
+        this.updateSubjectSelectionState();
+
+        this.sidebar.classList.remove('collapsed');
+        this.getElement('sidebar-title').textContent =
+            this.getLocalizedValue(caseItem, 'Title') || caseItem.Reference || this.t('cases.untitled');
+        this.getElement('sidebar-subtitle').textContent =
+            `${subjectData.subject} • ${caseItem.Year}`;
+
+        // Nothing to sort with a single case
+        const sortControls = this.getElement('sidebar-sort-controls');
+        if (sortControls) {
+            sortControls.style.display = 'none';
+        }
+
+        const content = this.getElement('sidebar-content');
+        content.innerHTML = this.createCaseListItem(caseItem) + `
+            <button class="sidebar-show-subject" id="sidebar-show-subject">
+                ${this.escapeHtml(this.t('case.showSubject', { count: subjectData.caseCount, subject: subjectData.subject }))}
+            </button>
+        `;
+        this.getElement('sidebar-show-subject').addEventListener('click', (event) => {
+            // The button is replaced before the click reaches the outside-click handler
+            event.stopPropagation();
+            this.selectSubject(subjectData);
+        });
+
+        this.updateUrlState();
+        this.emit('subjectSelected', this.getSelection());
+    }
+
+    selectSubject(data) {
+        // Update selected state
+        this.selectedSubject = data;
+        this.selectedCase = null;
+        this.g.selectAll('.case-marker, .event-tick').classed('selected', false);
+
+        // Update visual selection on bars - keep hover-like effect active
+        this.g.selectAll('.subject-bar')
+            .classed('selected', d => d === data)
+            .style('opacity', d => d === data ? 0.8 : 1)
+            .style('stroke-width', d => d === data ? 2 : 1);
+
+        this.updateSubjectSelectionState();
+
+        // Show sidebar with full details
+        this.showSidebar(data);
+        this.announce(this.t('a11y.subjectShown', {
+            subject: data.subject,
+            cases: this.t('cases.count', { count: data.caseCount })
+        }));
+
+        this.updateUrlState();
+        this.emit('subjectSelected', this.getSelection());
+    }
+
+    updateVisualization() {
+        this.setupScales();
+
+        // Update bars and maintain selected state
+        this.g.selectAll('.subject-bar')
+            .data(this.processedData)
+            .transition()
+            .duration(500)
+            .attr('x', d => this.xScale(d.minYear))
+            .attr('y', d => this.yScale(d.subject))
+            .attr('width', d => {
+                // Calculate width, ensuring minimum 1 year span
+                const calculatedWidth = this.xScale(d.maxYear) - this.xScale(d.minYear);
+                const oneYearWidth = this.xScale(d.minYear + 1) - this.xScale(d.minYear);
+                return Math.max(calculatedWidth, oneYearWidth);
+            })
+            .end()
+            .then(() => {
+                // Restore selected state styling after transition
+                if (this.selectedSubject) {
+                    this.g.selectAll('.subject-bar')
+                        .classed('selected', d => d === this.selectedSubject)
+                        .style('opacity', d => d === this.selectedSubject ? 0.8 : 1)
+                        .style('stroke-width', d => d === this.selectedSubject ? 2 : 1);
+                }
+            })
+            .catch(error => {
+                // end() rejects without a reason when a redraw interrupts the transition, e.g.
+                // after a filter change or a restored URL; anything else is a real error
+                if (error !== undefined) {
+                    throw error;
+                }
+            });
+
+        // Move case markers and event ticks with their subjects
+        this.g.selectAll('.case-marker, .event-tick')
+            .transition()
+            .duration(500)
+            .call(transition => this.positionCaseMarkers(transition));
+
+        // Update click overlays; their labels follow the new order at once
+        const clickOverlays = this.g.selectAll('.subject-click-overlay')
+            .data(this.processedData)
+            .attr('aria-label', d => this.getSubjectAriaLabel(d));
+        this.updateSubjectSelectionState();
+        clickOverlays
+            .transition()
+            .duration(500)
+            .attr('y', d => this.yScale(d.subject))
+            .attr('width', this.width)
+            .attr('height', this.yScale.bandwidth());
+
+        // Update labels with responsive text length
+        const isMobile = window.innerWidth <= 768;
+        const maxSubjectLength = isMobile ? 30 : (window.innerWidth <= 1024 ? 45 : 60);
+        const labelFontSize = isMobile ? '14px' : (window.innerWidth <= 1024 ? '16px' : '18px');
+        const labelWidth = this.margin.left - 20; // Leave some padding
+        const rowHeight = this.yScale.bandwidth();
+
+        this.g.selectAll('.subject-label')
+            .data(this.processedData)
+            .transition()
+            .duration(500)
+            .attr('y', d => this.yScale(d.subject))
+            .attr('x', -labelWidth)
+            .attr('width', labelWidth)
+            .attr('height', rowHeight)
+            .end()
+            .then(() => {
+                // Update the HTML content after the transition
+                this.g.selectAll('.subject-label')
+                    .html(d => `
+                        <div style="
+                            width: 100%;
+                            height: 100%;
+                            display: flex;
+                            align-items: center;
+                            justify-content: flex-end;
+                            font-size: ${labelFontSize};
+                            font-weight: 500;
+                            color: #374151;
+                            text-align: right;
+                            line-height: 1.2;
+                            padding: 2px 8px 2px 2px;
+                            box-sizing: border-box;
+                            word-wrap: break-word;
+                            overflow-wrap: break-word;
+                            hyphens: auto;
+                        ">${this.escapeHtml(d.subject)}</div>
+                    `);
+            })
+            .catch(() => {
+                // Fallback if transition fails
+                this.g.selectAll('.subject-label')
+                    .html(d => `
+                        <div style="
+                            width: 100%;
+                            height: 100%;
+                            display: flex;
+                            align-items: center;
+                            justify-content: flex-end;
+                            font-size: ${labelFontSize};
+                            font-weight: 500;
+                            color: #374151;
+                            text-align: right;
+                            line-height: 1.2;
+                            padding: 2px 8px 2px 2px;
+                            box-sizing: border-box;
+                            word-wrap: break-word;
+                            overflow-wrap: break-word;
+                            hyphens: auto;
+                        ">${this.escapeHtml(d.subject)}</div>
+                    `);
+            });
+
+        // Re-attach event handlers to labels after update
+        this.g.selectAll('.subject-label')
+            .style('cursor', 'pointer')
+            .on('mouseover', (event, d) => {
+                const foreignObject = d3.select(event.currentTarget);
+                const div = foreignObject.select('div');
+                if (!div.empty()) {
+                    div.style('color', '#1f2937')
+                        .style('font-weight', 'bold');
+                }
+                this.showTooltip(event, d);
+                this.g.selectAll('.subject-bar')
+                    .filter(barData => barData === d)
+                    .style('opacity', 0.8)
+                    .style('stroke-width', 2);
+            })
+            .on('mousemove', (event) => {
+                this.moveTooltip(event);
+            })
+            .on('mouseout', (event, d) => {
+                const foreignObject = d3.select(event.currentTarget);
+                const div = foreignObject.select('div');
+                if (!div.empty()) {
+                    div.style('color', '#374151')
+                        .style('font-weight', '500');
+                }
+                this.hideTooltip();
+                // Reset the visual bar highlight only if not selected
+                if (this.selectedSubject !== d) {
+                    this.g.selectAll('.subject-bar')
+                        .filter(barData => barData === d)
+                        .style('opacity', 1)
+                        .style('stroke-width', 1);
+                }
+            })
+            .on('click', (event, d) => {
+                this.selectSubject(d);
+            });
+
+        // Update case counts with responsive sizing
+        const countFontSize = isMobile ? '9px' : (window.innerWidth <= 1024 ? '10px' : '11px');
+        const countText = isMobile
+            ? (d => this.i18n.formatNumber(d.caseCount))
+            : (d => this.t('cases.count', { count: d.caseCount }));
+
+        this.g.selectAll('.case-count')
+            .data(this.processedData)
+            .transition()
+            .duration(500)
+            .attr('x', d => {
+                // Calculate bar width with minimum 1 year span
+                const calculatedWidth = this.xScale(d.maxYear) - this.xScale(d.minYear);
+                const oneYearWidth = this.xScale(d.minYear + 1) - this.xScale(d.minYear);
+                const barWidth = Math.max(calculatedWidth, oneYearWidth);
+                return this.xScale(d.minYear) + barWidth / 2;
+            })
+            .attr('y', d => this.yScale(d.subject) + this.yScale.bandwidth() / 2)
+            .style('font-size', countFontSize)
+            .style('pointer-events', 'none')
+            .text(countText);
+    }
+
+    updateStatistics() {
+        // Store statistics for external access and the dashboard
+        this.statistics = {
+            ...this.caseStatistics.calculate(this.filteredData),
+            yearWindow: this.yearWindow
+        };
+    }
+
+    /**
+     * Figures for the cases currently shown, see GoaFoundationCaseStatistics.calculate()
+     * @returns {Object} Statistics, plus the active yearWindow
+     */
+    getStatistics() {
+        return this.statistics || {
+            ...this.caseStatistics.calculate([]),
+            yearWindow: null
+        };
+    }
+
+    setupEventHandlers() {
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            this.handleResize();
+        });
+
+        // Handle clicking outside to close sidebar
+        document.addEventListener('click', (event) => {
+            if (this.container.contains(event.target) &&
+                !this.sidebar.contains(event.target) &&
+                !event.target.closest('#case-view') &&
+                !event.target.closest('.subject-bar') &&
+                !event.target.closest('.subject-click-overlay') &&
+                !event.target.closest('.subject-label')) {
+                this.clearSelection();
+            }
+        });
+
+        // Handle sidebar close button
+        this.getElement('sidebar-close').addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (this.hasActiveFilters()) {
+                // If filters are active, clear them
+                this.clearAllFilters();
+            } else {
+                // Otherwise, clear selection (close sidebar)
+                this.clearSelection();
+            }
+            // Scroll to top of page
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        });
+
+        // Handle clear filter button
+        this.getElement('clear-filter-button').addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.clearAllFilters();
+        });
+
+        // Handle filter icon button
+        this.getElement('filter-icon-button').addEventListener('click', () => {
+            this.toggleFiltersAside();
+        });
+
+        // Initialize button visibility
+        this.updateButtonVisibility();
+    }
+
+    clearAllFilters() {
+        // Clear all active and excluded tag filters and the year window
+        this.activeTags.clear();
+        this.excludedTags.clear();
+        this.yearWindow = null;
+
+        // Clear search query
+        const searchInput = this.getElement('autoComplete');
+        const clearButton = this.getElement('clear-search');
+        if (searchInput) {
+            searchInput.value = '';
+        }
+        if (clearButton) {
+            clearButton.classList.add('hidden');
+        }
+        this.searchQuery = '';
+
+        // Remove active and excluded classes from all tag filter buttons
+        this.container.querySelectorAll('.tag-filter-button').forEach(button => {
+            button.classList.remove('active', 'excluded');
+        });
+
+        // Update visualization and button visibility
+        this.updateButtonVisibility();
+        this.updateVisualizationWithFilters();
+        this.updateUrlState();
+    }
+
+    hasActiveFilters() {
+        return this.activeTags.size > 0 ||
+            this.excludedTags.size > 0 ||
+            this.yearWindow !== null ||
+            (this.searchQuery && this.searchQuery.trim().length > 0);
+    }
+
+    updateButtonVisibility() {
+        const sidebarClose = this.getElement('sidebar-close');
+        const clearFilterButton = this.getElement('clear-filter-button');
+        const filterIconButton = this.getElement('filter-icon-button');
+        const filterButtonText = this.getElement('filter-icon-button-text');
+        const aside = this.getElement('filters-and-timeline-aside');
+        const mainLayout = this.container.querySelector('.main-layout-new');
+        const hasFilters = this.hasActiveFilters();
+
+        if (hasFilters) {
+            // Show close button and clear filter button, hide filter icon
+            sidebarClose.classList.remove('hidden');
+            clearFilterButton.classList.remove('hidden');
+            filterIconButton.classList.add('hidden');
+            // Don't automatically expand the aside - only expand when user clicks the filter button
+            // The aside state should be controlled by toggleFiltersAside() only
+        } else {
+            // Hide close button and clear filter button, show filter icon
+            sidebarClose.classList.add('hidden');
+            clearFilterButton.classList.add('hidden');
+            filterIconButton.classList.remove('hidden');
+            // Collapse the aside when no filters are applied (default state)
+            if (aside) {
+                aside.classList.add('collapsed');
+                filterIconButton.setAttribute('aria-expanded', 'false');
+                // Update button text when collapsing
+                if (filterButtonText) {
+                    filterButtonText.textContent = this.t('filters.show');
+                }
+            }
+            if (mainLayout) {
+                mainLayout.classList.add('filters-collapsed');
+            }
+
+            // Re-attach event listener when button becomes visible to ensure it works
+            // Clone and replace to remove any existing listeners
+            if (filterIconButton && filterIconButton.parentNode) {
+                const newButton = filterIconButton.cloneNode(true);
+                filterIconButton.parentNode.replaceChild(newButton, filterIconButton);
+                // Re-attach the event listener to the new button
+                const restoredButton = this.getElement('filter-icon-button');
+                if (restoredButton) {
+                    restoredButton.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.toggleFiltersAside();
+                    });
+                }
+            }
+        }
+    }
+
+    toggleFiltersAside() {
+        const aside = this.getElement('filters-and-timeline-aside');
+        const filterButtonText = this.getElement('filter-icon-button-text');
+        const mainLayout = this.container.querySelector('.main-layout-new');
+
+        const filterButton = this.getElement('filter-icon-button');
+        if (filterButton) {
+            filterButton.setAttribute('aria-expanded', aside.classList.contains('collapsed'));
+        }
+
+        if (aside.classList.contains('collapsed')) {
+            aside.classList.remove('collapsed');
+            if (filterButtonText) {
+                filterButtonText.textContent = this.t('filters.hide');
+            }
+            if (mainLayout) {
+                mainLayout.classList.remove('filters-collapsed');
+            }
+        } else {
+            aside.classList.add('collapsed');
+            if (filterButtonText) {
+                filterButtonText.textContent = this.t('filters.show');
+            }
+            if (mainLayout) {
+                mainLayout.classList.add('filters-collapsed');
+            }
+        }
+    }
+
+    handleResize() {
+        // Debounce resize handling
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => {
+            // Force recalculation of dimensions
+            this.setupDimensions();
+            // Completely recreate the visualization for proper responsive behavior
+            this.createVisualization();
+            this.renderCurrentView();
+            // If sidebar is open, make sure it stays properly positioned
+            if (this.selectedCase) {
+                this.selectCase(this.selectedCase, this.selectedSubject);
+            } else if (this.selectedSubject) {
+                this.showSidebar(this.selectedSubject);
+            }
+        }, 300);
+    }
+
+    calculateCaseStatistics(data) {
+        // Archived: has an Archive link. Digitized: has any document link.
+        const { archived, digitized } = this.caseStatistics.calculateDocumentCoverage(data.cases);
+        return { archived, digitized };
+    }
+
+    groupCasesByYear(cases) {
+        const grouped = {};
+
+        cases.forEach(caseItem => {
+            const year = caseItem.Year;
+            if (!grouped[year]) {
+                grouped[year] = [];
+            }
+            grouped[year].push(caseItem);
+        });
+
+        return grouped;
+    }
+
+    truncateText(text, maxLength) {
+        return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    }
+
+    showContent() {
+        this.getElement('loading').style.display = 'none';
+        this.getElement('stats').classList.remove('hidden');
+        this.getElement('timeline-content').classList.remove('hidden');
+    }
+
+    showError(message, error = null) {
+        this.getElement('loading').style.display = 'none';
+        this.getElement('error').classList.remove('hidden');
+        this.getElement('error-message').textContent = message;
+        this.emit('error', { message, error });
+    }
+
+    showProcessingErrors(errors, warnings) {
+        // Create a more detailed error display for processing issues
+        if (errors.length > 0 || warnings.length > 0) {
+            console.warn('Data processing completed with issues:');
+
+            if (errors.length > 0) {
+                console.error('Errors:', errors);
+
+                // Show a summary notification to the user
+                const errorSummary = errors.slice(0, 3).map(e => e.message).join('; ');
+                const moreText = errors.length > 3 ? ` and ${errors.length - 3} more errors` : '';
+
+                console.warn(`⚠️ Data processing errors: ${errorSummary}${moreText}`);
+            }
+
+            if (warnings.length > 0) {
+                console.warn('Warnings:', warnings);
+
+                // Show a summary notification to the user
+                const warningSummary = warnings.slice(0, 2).map(w => w.message).join('; ');
+                const moreText = warnings.length > 2 ? ` and ${warnings.length - 2} more warnings` : '';
+
+                console.warn(`ℹ️ Data processing warnings: ${warningSummary}${moreText}`);
+            }
+        }
+    }
+
+    /**
+     * Whether the data quality panel is shown (the page turns this on with ?debug=true)
+     * @returns {boolean} True in debug mode
+     */
+    isDebugMode() {
+        return this.options.debug;
+    }
+
+    /**
+     * Render the data quality panel from the last processing result (only with ?debug=true)
+     */
+    renderDataQualityPanel() {
+        const panel = this.getElement('data-quality-panel');
+        const result = this.processingResult;
+
+        if (!panel || !result || !this.isDebugMode()) {
+            return;
+        }
+
+        const droppedRows = result.data.filter(record => record._isValid === false);
+
+        panel.classList.remove('hidden');
+        panel.innerHTML = `
+            <div class="data-quality-header">
+                <h2>Data quality report</h2>
+                <div class="data-quality-summary">
+                    <span>${result.validRecords}/${result.totalRecords} rows shown</span>
+                    <span>${result.errors.length} errors</span>
+                    <span>${result.warnings.length} warnings</span>
+                    ${result.source ? `<span>Source: ${this.escapeHtml(result.source.format || '')} ${this.escapeHtml(result.source.type || '')}</span>` : ''}
+                </div>
+            </div>
+            ${this.createFieldMappingTableHTML(result.fieldMapping)}
+            ${this.createIssueGroupsHTML('Errors', result.errors, true)}
+            ${this.createIssueGroupsHTML('Warnings', result.warnings, false)}
+            ${this.createDroppedRowsHTML(droppedRows)}
+        `;
+    }
+
+    /**
+     * Link to a source row in the spreadsheet, or plain text without an edit URL
+     * @param {number} rowNumber - Data row number
+     * @returns {string} HTML
+     */
+    createSourceRowLinkHTML(rowNumber) {
+        const url = this.spreadsheetProcessor.getSourceRowUrl(rowNumber);
+        const label = `Row ${rowNumber}`;
+
+        return url
+            ? `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="data-quality-row-link">${label}</a>`
+            : `<span class="data-quality-row-link">${label}</span>`;
+    }
+
+    /**
+     * Table of fields and the columns they were mapped to
+     * @param {Object} fieldMapping - fieldMapping from the processing result
+     * @returns {string} HTML
+     */
+    createFieldMappingTableHTML(fieldMapping) {
+        const fieldMappings = this.spreadsheetProcessor.getFieldMappings();
+        // Translation columns are only listed when the sheet has them
+        const rows = Object.entries(fieldMapping || {})
+            .filter(([fieldName, mapping]) => mapping.status === 'found' || !(fieldMappings[fieldName] || {}).localeOf)
+                .map(([fieldName, mapping]) => {
+                const fieldConfig = fieldMappings[fieldName] || {};
+                const found = mapping.status === 'found';
+                const match = found && mapping.method
+                    ? `${mapping.method}${mapping.confidence < 1 ? ` (${Math.round(mapping.confidence * 100)}%)` : ''}`
+                    : '';
+
+                return `
+                    <tr>
+                        <td>${this.escapeHtml(fieldName)}</td>
+                        <td class="${found ? 'data-quality-status-found' : 'data-quality-status-missing'}">
+                            ${found ? this.escapeHtml(mapping.mappedTo) : 'not found'}
+                        </td>
+                        <td>${this.escapeHtml(match)}</td>
+                        <td>${this.escapeHtml(fieldConfig.type || 'string')}</td>
+                        <td>${fieldConfig.required ? 'required' : 'optional'}</td>
+                    </tr>
+                `;
+            }).join('');
+
+        return `
+            <details class="data-quality-section">
+                <summary>Field mapping</summary>
+                <table class="data-quality-table">
+                    <thead>
+                        <tr><th>Field</th><th>Column</th><th>Match</th><th>Type</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    /**
+     * Errors or warnings grouped by type, each linked to its source rows
+     * @param {string} title - Section title
+     * @param {Array<Object>} issues - Errors or warnings
+     * @param {boolean} open - Whether the section starts expanded
+     * @returns {string} HTML
+     */
+    createIssueGroupsHTML(title, issues, open) {
+        if (issues.length === 0) {
+            return `
+                <div class="data-quality-section">${title}: none</div>
+            `;
+        }
+
+        const issuesByType = d3.group(issues, issue => issue.type);
+        let groupsHTML = '';
+
+        issuesByType.forEach((typeIssues, type) => {
+            const items = typeIssues.map(issue => {
+                const rowNumbers = issue.rowNumbers || (issue.rowNumber ? [issue.rowNumber] : []);
+                const rowLinks = rowNumbers.map(rowNumber => this.createSourceRowLinkHTML(rowNumber)).join(', ');
+                return `<li>${rowLinks ? `${rowLinks}: ` : ''}${this.escapeHtml(issue.message)}</li>`;
+            }).join('');
+
+            groupsHTML += `
+                <div class="data-quality-issue-type">${this.escapeHtml(type)} (${typeIssues.length})</div>
+                <ul class="data-quality-issue-list">${items}</ul>
+            `;
+        });
+
+        return `
+            <details class="data-quality-section" ${open ? 'open' : ''}>
+                <summary>${title} (${issues.length})</summary>
+                ${groupsHTML}
+            </details>
+        `;
+    }
+
+    /**
+     * Table of rows left out of the timeline (_isValid: false) and why
+     * @param {Array<Object>} droppedRows - Invalid records
+     * @returns {string} HTML
+     */
+    createDroppedRowsHTML(droppedRows) {
+        if (droppedRows.length === 0) {
+            return `
+                <div class="data-quality-section">Rows not shown: none</div>
+            `;
+        }
+
+        const rows = droppedRows.map(record => `
+            <tr>
+                <td>${this.createSourceRowLinkHTML(record._rowNumber)}</td>
+                <td>${this.escapeHtml(record.Reference || '')}</td>
+                <td>${this.escapeHtml(record.Subject || '')}</td>
+                <td>${record._errors.map(error => this.escapeHtml(error.message)).join('<br>')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="data-quality-section" open>
+                <summary>Rows not shown (${droppedRows.length})</summary>
+                <table class="data-quality-table">
+                    <thead>
+                        <tr><th>Row</th><th>Reference</th><th>Subject</th><th>Why</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+
+    showSidebar(data) {
+        // Show sidebar
+        this.sidebar.classList.remove('collapsed');
+
+        // Update sidebar header
+        this.getElement('sidebar-title').textContent = data.subject;
+        this.getElement('sidebar-subtitle').textContent =
+            `${this.i18n.formatYear(data.minYear)}-${this.i18n.formatYear(data.maxYear)} • ${this.t('cases.count', { count: data.caseCount })}`;
+
+        // Show sort controls even for single subject
+        const sortControls = this.getElement('sidebar-sort-controls');
+        if (sortControls) {
+            sortControls.style.display = 'flex';
+        }
+
+        // Update sidebar content
+        this.updateSidebarContent(data);
+    }
+
+    hideSidebar() {
+        if (!this.selectedSubject) {
+            this.sidebar.classList.add('collapsed');
+        }
+    }
+
+    updateSidebarContent(data) {
+        const content = this.getElement('sidebar-content');
+
+        if (data.cases.length === 0) {
+            content.innerHTML = `
+                <div class="sidebar-empty">
+                    <div class="icon">📂</div>
+                    <p>${this.escapeHtml(this.t('cases.noneForSubject'))}</p>
+                </div>
+            `;
+            return;
+        }
+
+        let html = '';
+        data.cases.forEach(caseItem => {
+            html += this.createCaseListItem(caseItem);
+        });
+
+        content.innerHTML = html;
+    }
+
+    /**
+     * Parse an Image cell ('URL CC-license Attribution') with the processor's grammar
+     * @param {string} imageField - Raw Image cell
+     * @returns {Object|null} { url, license, licenseId, attribution, sourceUrl }
+     */
+    parseImageField(imageField) {
+        return this.spreadsheetProcessor.parseImageValue(imageField).image;
+    }
+
+    /**
+     * Image data for a case, using the structure parsed at ingest when available
+     * @param {Object} caseItem - Case record
+     * @returns {Object|null} Parsed image data
+     */
+    getCaseImage(caseItem) {
+        if (caseItem._image !== undefined) {
+            return caseItem._image;
+        }
+
+        return caseItem.Image ? this.parseImageField(caseItem.Image) : null;
+    }
+
+    /**
+     * Case thumbnail, linking to the archive when there is one
+     * @param {Object|null} imageData - Parsed image data
+     * @param {string|null} archiveUrl - Archive URL, already checked with safeUrl
+     * @returns {string} HTML
+     */
+    createThumbnailHTML(imageData, archiveUrl) {
+        const imageUrl = (imageData && this.safeHtml.safeUrl(imageData.url))
+            || 'https://digitallibrary.un.org/img/tind_article_placeholder.png';
+        const imageHTML = `<img src="${this.escapeHtml(imageUrl)}" alt="${this.escapeHtml(this.t('case.thumbnail'))}" loading="lazy" />`;
+
+        return `
+            <div class="case-thumbnail">
+                ${archiveUrl ? this.safeHtml.link(archiveUrl, imageHTML, { tabindex: '-1' }) : imageHTML}
+            </div>
+        `;
+    }
+
+    /**
+     * Parse a Timeline cell ("YYYY-MM-DD Description [optional URL]" per line) with the processor's grammar
+     * @param {string} timelineField - Raw Timeline cell
+     * @returns {Array<Object>|null} Timeline items, newest first
+     */
+    parseTimelineField(timelineField) {
+        const { items } = this.spreadsheetProcessor.parseTimelineValue(timelineField);
+        return this.formatTimelineItems(items);
+    }
+
+    /**
+     * Timeline items for a case, using the structure parsed at ingest when available
+     * @param {Object} caseItem - Case record
+     * @returns {Array<Object>|null} Timeline items with display dates, newest first
+     */
+    getCaseTimeline(caseItem) {
+        if (caseItem._timeline !== undefined) {
+            return this.formatTimelineItems(caseItem._timeline);
+        }
+
+        return caseItem.Timeline ? this.parseTimelineField(caseItem.Timeline) : null;
+    }
+
+    /**
+     * Add display dates (YYYY-MM-DD -> e.g. 5 Mar 2021, in the interface language) to parsed timeline items
+     * @param {Array<Object>} items - Parsed timeline items
+     * @returns {Array<Object>|null} Items with formattedDate, or null when empty
+     */
+    formatTimelineItems(items) {
+        if (!items || items.length === 0) {
+            return null;
+        }
+
+        return items.map(item => ({
+            ...item,
+            formattedDate: this.i18n.formatDate(item.date)
+        }));
+    }
+
+    createTimelineHTML(timelineItems) {
+        if (!timelineItems || timelineItems.length === 0) {
+            return '';
+        }
+
+        let itemsHTML = '';
+        timelineItems.forEach(item => {
+            let descriptionHTML = this.highlightSearchMatches(item.description);
+            const readMore = item.url
+                ? this.safeHtml.link(item.url, this.escapeHtml(this.t('case.readMore')), { class: 'case-timeline-link' })
+                : null;
+            if (readMore) {
+                descriptionHTML += ` ${readMore}`;
+            }
+
+            itemsHTML += `
+                <div class="case-timeline-item">
+                    <div class="case-timeline-date">${this.escapeHtml(item.formattedDate)}</div>
+                    <div class="case-timeline-description">${descriptionHTML}</div>
+                </div>
+            `;
+        });
+
+        return `
+            <div class="case-timeline">
+                <div class="case-timeline-title">${this.escapeHtml(this.t('case.timeline'))}</div>
+                ${itemsHTML}
+            </div>
+        `;
+    }
+
+    createCaseListItem(caseItem) {
+        const links = [...this.getCaseLinks(caseItem), this.createPermalinkHTML(caseItem)];
+        const imageData = this.getCaseImage(caseItem);
+        const timelineData = this.getCaseTimeline(caseItem);
+        const timelineHTML = timelineData ? this.createTimelineHTML(timelineData) : '';
+
+        // Get Archive URL for clickable thumbnail and title
+        const archiveUrl = this.safeHtml.safeUrl(caseItem.Archive);
+        const hasArchive = !!archiveUrl;
+
+        // Create thumbnail
+        const thumbnailHTML = this.createThumbnailHTML(imageData, archiveUrl);
+
+        // Parse tags if available
+        const tags = caseItem.Tags ? caseItem.Tags.split(/[,;]/).map(t => t.trim()).filter(t => t) : [];
+
+        // Create title with link
+        const titleText = this.highlightSearchMatches(
+            this.getLocalizedValue(caseItem, 'Title') || caseItem.Subject || this.t('cases.untitled')
+        );
+        const location = this.getLocalizedValue(caseItem, 'Location');
+        const description = this.getLocalizedValue(caseItem, 'Description');
+        const titleHTML = archiveUrl
+            ? this.safeHtml.link(archiveUrl, `<h3 class="case-title">${titleText}</h3>`, { class: 'case-title-link' })
+            : `<h3 class="case-title">${titleText}</h3>`;
+
+        // Create metadata with icons (Year removed, now in top right)
+        const metadataItems = [];
+        if (caseItem.Reference) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-globe"></i>${this.highlightSearchMatches(caseItem.Reference)}</span>`);
+        }
+        if (location) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-map-marker-alt"></i>${this.highlightSearchMatches(location)}</span>`);
+        }
+        if (tags.length > 0) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-tag"></i>${this.highlightSearchMatches(tags.slice(0, 3).join(', '))}${tags.length > 3 ? '...' : ''}</span>`);
+        }
+
+        const metadataHTML = metadataItems.length > 0
+            ? `<div class="case-metadata">${metadataItems.join('<span class="case-metadata-separator">|</span>')}</div>`
+            : '';
+
+        // Year badge in top right
+        const yearBadgeHTML = caseItem.Year
+            ? `<div class="case-year-badge">${this.escapeHtml(caseItem.Year)}</div>`
+            : '';
+
+        return `
+            <div class="case-list-item ${hasArchive ? 'has-archive' : ''}">
+                ${yearBadgeHTML}
+                <div class="case-item-content">
+                    ${thumbnailHTML}
+                    <div class="case-content">
+                        ${titleHTML}
+                        ${metadataHTML}
+                        ${description ? `<div class="case-description">${this.renderDescription(description)}</div>` : ''}
+                        ${timelineHTML}
+                        ${links.length > 0 ? `<div class="case-links">${links.join('')}</div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Links to a case's documents. Cells that are not http(s) URLs are left out.
+     * @param {Object} caseItem - Case record
+     * @returns {Array<string>} Anchor HTML, one per document
+     */
+    getCaseLinks(caseItem) {
+        const documents = [
+            { field: 'Archive', className: 'archive', icon: '📁', label: 'link.archive' },
+            { field: 'Petition', className: 'petition', icon: '📄', label: 'link.petition' },
+            { field: 'Additional Documents', className: 'documents', icon: '📋', label: 'link.documents' },
+            { field: 'Order', className: 'order', icon: '⚖️', label: 'link.order' }
+        ];
+
+        return documents
+            .map(({ field, className, icon, label }) => this.safeHtml.link(
+                caseItem[field],
+                `${icon} ${this.escapeHtml(this.t(label))}`,
+                { class: `case-link ${className}` }
+            ))
+            .filter(Boolean);
+    }
+
+    /**
+     * Link to a case's full view
+     * @param {Object} caseItem - Case record
+     * @returns {string} Relative URL
+     */
+    getCaseUrl(caseItem) {
+        return `?case=${encodeURIComponent(caseItem.Reference)}`;
+    }
+
+    createPermalinkHTML(caseItem) {
+        return `<a href="${this.escapeHtml(this.getCaseUrl(caseItem))}" class="case-link permalink case-permalink" data-reference="${this.escapeHtml(caseItem.Reference)}">🔗 ${this.escapeHtml(this.t('link.details'))}</a>`;
+    }
+
+    /**
+     * URL-safe form of a case reference, used by #/case/<slug> links
+     * @param {string} reference - Case reference
+     * @returns {string} Slug, e.g. 'pil-no-2526-2021'
+     */
+    getCaseSlug(reference) {
+        return String(reference || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Find a case by reference or slug, ignoring the current filters
+     * @param {string} referenceOrSlug - Case reference or slug
+     * @returns {Object|null} Case record
+     */
+    findCase(referenceOrSlug) {
+        return this.data.find(record => record.Reference === referenceOrSlug) ||
+            this.data.find(record => this.getCaseSlug(record.Reference) === this.getCaseSlug(referenceOrSlug)) ||
+            null;
+    }
+
+    setupCaseViewControls() {
+        // Permalinks open in place; modified clicks still open a new tab
+        this.container.addEventListener('click', (event) => {
+            const link = event.target.closest('.case-permalink');
+            if (!link || event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) {
+                return;
+            }
+
+            const caseItem = this.findCase(link.getAttribute('data-reference'));
+            if (caseItem) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.openCase(caseItem);
+            }
+        });
+    }
+
+    /**
+     * Open the case named in the URL, if any
+     */
+    restoreOpenCase() {
+        const referenceOrSlug = this.pendingCase;
+        this.pendingCase = null;
+
+        if (!referenceOrSlug) {
+            if (this.openCaseItem) {
+                this.closeCase();
+            }
+            return;
+        }
+
+        const caseItem = this.findCase(referenceOrSlug);
+        if (caseItem) {
+            this.openCase(caseItem);
+        } else {
+            this.showCaseNotFound(referenceOrSlug);
+        }
+    }
+
+    /**
+     * Show the open case again from freshly loaded data, or say it is gone
+     */
+    reopenCase() {
+        if (!this.openCaseItem) {
+            return;
+        }
+
+        const reference = this.openCaseItem.Reference;
+        const caseItem = this.findCase(reference);
+        // The case stays at the same address, so this is not a navigation step
+        this.isRestoringState = true;
+
+        try {
+            if (caseItem) {
+                this.openCase(caseItem);
+            } else {
+                this.showCaseNotFound(reference);
+            }
+        } finally {
+            this.isRestoringState = false;
+        }
+    }
+
+    /**
+     * Show a case on its own, with its image, full timeline, documents and related cases
+     * @param {Object} caseItem - Case record
+     */
+    openCase(caseItem) {
+        this.openCaseItem = caseItem;
+        this.hideTooltip();
+
+        const caseView = this.getElement('case-view');
+        caseView.innerHTML = this.createCaseViewHTML(caseItem);
+        this.showCaseView();
+
+        this.updateUrlState();
+        this.updateDocumentMeta(caseItem);
+    }
+
+    /**
+     * Close the case view and return to the timeline with its filters
+     */
+    closeCase() {
+        this.openCaseItem = null;
+        this.getElement('case-view').classList.add('hidden');
+        this.getElement('timeline-content').classList.remove('hidden');
+
+        this.updateUrlState();
+        this.updateDocumentMeta(null);
+    }
+
+    showCaseNotFound(referenceOrSlug) {
+        this.getElement('case-view').innerHTML = `
+            ${this.createCaseViewNavHTML()}
+            <div class="sidebar-empty">
+                <p>${this.escapeHtml(this.t('case.notFound', { reference: referenceOrSlug }))}</p>
+            </div>
+        `;
+        this.showCaseView();
+    }
+
+    showCaseView() {
+        this.getElement('timeline-content').classList.add('hidden');
+        this.getElement('case-view').classList.remove('hidden');
+
+        this.getElement('case-view-back').addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.closeCase();
+        });
+
+        if (typeof this.container.scrollIntoView === 'function') {
+            this.container.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    createCaseViewNavHTML() {
+        return `
+            <nav class="case-view-nav">
+                <a href="?" class="case-view-back" id="case-view-back">${this.escapeHtml(this.t('case.back'))}</a>
+            </nav>
+        `;
+    }
+
+    /**
+     * Build the full case view
+     * @param {Object} caseItem - Case record
+     * @returns {string} HTML
+     */
+    createCaseViewHTML(caseItem) {
+        const escape = (text) => this.escapeHtml(text);
+        const imageData = this.getCaseImage(caseItem);
+        const timelineData = this.getCaseTimeline(caseItem);
+        const links = this.getCaseLinks(caseItem);
+        const tags = this.parseTags(caseItem.Tags);
+        const related = this.getRelatedCases(caseItem);
+        const titleText = this.getLocalizedValue(caseItem, 'Title');
+        const location = this.getLocalizedValue(caseItem, 'Location');
+        const description = this.getLocalizedValue(caseItem, 'Description');
+
+        const metadataItems = [];
+        if (caseItem.Reference) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-globe"></i>${escape(caseItem.Reference)}</span>`);
+        }
+        if (location) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-map-marker-alt"></i>${escape(location)}</span>`);
+        }
+        if (tags.length > 0) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-tag"></i>${escape(tags.join(', '))}</span>`);
+        }
+
+        let imageHTML = '';
+        const imageUrl = imageData ? this.safeHtml.safeUrl(imageData.url) : null;
+        if (imageUrl) {
+            const credit = [imageData.attribution, imageData.license].filter(Boolean).map(escape).join(' · ');
+            const sourceLink = this.safeHtml.link(imageData.sourceUrl, escape(this.t('case.imageSource')));
+            const source = sourceLink ? ` ${sourceLink}` : '';
+            imageHTML = `
+                <figure class="case-view-image">
+                    <img src="${escape(imageUrl)}" alt="${escape(titleText || caseItem.Subject || this.t('case.image'))}" />
+                    ${credit || source ? `<figcaption>${credit}${source}</figcaption>` : ''}
+                </figure>
+            `;
+        }
+
+        const relatedHTML = related.length > 0 ? `
+            <section class="case-view-related">
+                <h3>${escape(this.t('case.related'))}</h3>
+                <ul>
+                    ${related.map(({ caseItem: relatedCase, reason }) => `
+                        <li>
+                            <a href="${escape(this.getCaseUrl(relatedCase))}" class="case-permalink" data-reference="${escape(relatedCase.Reference)}">
+                                ${escape(this.getLocalizedValue(relatedCase, 'Title') || relatedCase.Reference)}
+                            </a>
+                            <span class="case-view-related-reason">${escape(relatedCase.Year)} · ${escape(reason)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        ` : '';
+
+        return `
+            ${this.createCaseViewNavHTML()}
+            <header class="case-view-header">
+                <p class="case-view-subject">${escape(caseItem.Subject)} · ${escape(caseItem.Year)}</p>
+                <h2 class="case-view-title">${escape(titleText || caseItem.Reference || this.t('cases.untitled'))}</h2>
+                ${metadataItems.length > 0 ? `<div class="case-metadata">${metadataItems.join('<span class="case-metadata-separator">|</span>')}</div>` : ''}
+            </header>
+            ${imageHTML}
+            ${description ? `<div class="case-view-description">${this.safeHtml.renderMarkdown(description)}</div>` : ''}
+            ${timelineData ? this.createTimelineHTML(timelineData) : ''}
+            ${links.length > 0 ? `<div class="case-links">${links.join('')}</div>` : ''}
+            ${relatedHTML}
+        `;
+    }
+
+    /**
+     * Other cases in the same subject, then cases sharing the most tags
+     * @param {Object} caseItem - Case record
+     * @param {number} [limit] - Maximum number of cases
+     * @returns {Array<Object>} { caseItem, reason } entries
+     */
+    getRelatedCases(caseItem, limit = 6) {
+        const tags = new Set(this.parseTags(caseItem.Tags));
+        const byYear = (a, b) => parseInt(b.caseItem.Year) - parseInt(a.caseItem.Year);
+
+        const sameSubject = this.data
+            .filter(record => record !== caseItem && record.Subject === caseItem.Subject)
+            .map(record => ({ caseItem: record, reason: this.t('case.sameSubject') }))
+            .sort(byYear);
+
+        const sharedTags = this.data
+            .filter(record => record !== caseItem && record.Subject !== caseItem.Subject)
+            .map(record => {
+                const shared = this.parseTags(record.Tags).filter(tag => tags.has(tag));
+                return { caseItem: record, shared };
+            })
+            .filter(entry => entry.shared.length > 0)
+            .sort((a, b) => b.shared.length - a.shared.length || byYear(a, b))
+            .map(entry => ({ caseItem: entry.caseItem, reason: this.t('case.sharedTags', { tags: entry.shared.join(', ') }) }));
+
+        return [...sameSubject, ...sharedTags].slice(0, limit);
+    }
+
+    /**
+     * Point the page title and link preview metadata at a case, or back at the defaults
+     * @param {Object|null} caseItem - Open case, or null
+     */
+    updateDocumentMeta(caseItem) {
+        if (!this.options.urlState) {
+            return;
+        }
+
+        const getMeta = (attribute, name) => {
+            let meta = document.head.querySelector(`meta[${attribute}="${name}"]`);
+            if (!meta) {
+                meta = document.createElement('meta');
+                meta.setAttribute(attribute, name);
+                document.head.appendChild(meta);
+            }
+            return meta;
+        };
+        const metaTags = {
+            description: getMeta('name', 'description'),
+            ogTitle: getMeta('property', 'og:title'),
+            ogDescription: getMeta('property', 'og:description'),
+            ogType: getMeta('property', 'og:type'),
+            ogUrl: getMeta('property', 'og:url'),
+            ogImage: getMeta('property', 'og:image')
+        };
+
+        if (!this.defaultDocumentMeta) {
+            // Pre-rendered case pages already carry a case title; og:site_name keeps the site's
+            const siteName = document.head.querySelector('meta[property="og:site_name"]');
+            this.defaultDocumentMeta = { title: (siteName && siteName.getAttribute('content')) || document.title };
+            Object.entries(metaTags).forEach(([key, meta]) => {
+                this.defaultDocumentMeta[key] = meta.getAttribute('content') || '';
+            });
+        }
+
+        if (!caseItem) {
+            document.title = this.defaultDocumentMeta.title;
+            Object.entries(metaTags).forEach(([key, meta]) => meta.setAttribute('content', this.defaultDocumentMeta[key]));
+            return;
+        }
+
+        const titleText = this.getLocalizedValue(caseItem, 'Title') || caseItem.Reference || this.t('cases.untitled');
+        const description = this.truncateText(
+            this.safeHtml.toPlainText(this.getLocalizedValue(caseItem, 'Description') || `${caseItem.Reference} · ${caseItem.Subject} · ${caseItem.Year}`),
+            200
+        );
+        const imageData = this.getCaseImage(caseItem);
+
+        document.title = `${titleText} | ${this.defaultDocumentMeta.title}`;
+        metaTags.description.setAttribute('content', description);
+        metaTags.ogTitle.setAttribute('content', titleText);
+        metaTags.ogDescription.setAttribute('content', description);
+        metaTags.ogType.setAttribute('content', 'article');
+        metaTags.ogUrl.setAttribute('content', window.location.href);
+        metaTags.ogImage.setAttribute('content', (imageData && this.safeHtml.safeUrl(imageData.url)) || '');
+    }
+
+    clearSelection() {
+        this.selectedSubject = null;
+        this.selectedCase = null;
+        this.g.selectAll('.case-marker, .event-tick').classed('selected', false);
+        this.g.selectAll('.subject-bar')
+            .classed('selected', false)
+            .style('opacity', 1)
+            .style('stroke-width', 1);
+        this.updateSubjectSelectionState();
+
+        // Show all cases again instead of hiding sidebar
+        this.showAllCasesOnLoad();
+
+        this.updateUrlState();
+        this.emit('subjectSelected', this.getSelection());
+    }
+
+    /**
+     * Count of the cases and subjects shown, e.g. "12 cases in 3 subjects"
+     * @returns {string} Summary
+     */
+    getResultSummary() {
+        return this.t('chart.summary', {
+            cases: this.t('cases.count', { count: this.filteredData.length }),
+            subjects: this.t('chart.subjects', { count: this.processedData.length })
+        });
+    }
+
+    /**
+     * Read a message out to screen readers through the status region
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        const status = this.getElement('timeline-status');
+        if (!status) {
+            return;
+        }
+
+        // Empty the region first so a repeated message is read again; the delay also
+        // lets a burst of changes (e.g. typing a search) end in one announcement
+        clearTimeout(this.announceTimeout);
+        status.textContent = '';
+        this.announceTimeout = setTimeout(() => {
+            status.textContent = message;
+        }, 150);
+    }
+
+    updateVisualizationWithFilters() {
+        this.applyFilters();
+        this.createTagFilters();
+        this.processData();
+        this.setupDimensions();
+        this.createVisualization();
+
+        // Reset selection since data has changed
+        this.selectedSubject = null;
+        this.selectedCase = null;
+
+        // Show all cases again after filter change
+        this.showAllCasesOnLoad();
+        this.renderCurrentView();
+
+        this.announce(`${this.getFilterTitle()}: ${this.getResultSummary()}`);
+        this.emit('filterChanged', this.getFilterState());
+    }
+
+    showAllCasesOnLoad() {
+        // Collect all cases from all subjects
+        const allCases = [];
+        this.processedData.forEach(subjectData => {
+            subjectData.cases.forEach(caseItem => {
+                allCases.push({
+                    ...caseItem,
+                    subject: subjectData.subject,
+                    _record: caseItem
+                });
+            });
+        });
+
+        // Sort based on current sort order
+        this.sortAllCases(allCases);
+
+        // Show sidebar with all cases
+        this.sidebar.classList.remove('collapsed');
+
+        // Update sidebar header based on active tags
+        this.getElement('sidebar-title').textContent = this.getFilterTitle();
+        this.getElement('sidebar-subtitle').textContent = this.t('cases.count', { count: allCases.length });
+
+        // Show sort controls
+        const sortControls = this.getElement('sidebar-sort-controls');
+        if (sortControls) {
+            sortControls.style.display = 'flex';
+        }
+
+        // Update sidebar content with all cases
+        this.updateSidebarContentWithAllCases(allCases);
+
+        // Setup sort control event handlers
+        this.setupSidebarSortControls();
+    }
+
+    /**
+     * Describe the tag and year filters, e.g. "Cases involving Mining and Forests, excluding CRZ, 1995–2005"
+     * @returns {string} Title
+     */
+    getFilterTitle() {
+        const joinTags = (tags, conjunctionKey) => {
+            const conjunction = this.t(conjunctionKey);
+            if (tags.length <= 2) {
+                return tags.join(` ${conjunction} `);
+            }
+            return `${tags.slice(0, -1).join(', ')} ${conjunction} ${tags[tags.length - 1]}`;
+        };
+
+        const activeTagsArray = Array.from(this.activeTags).sort();
+        const excludedTagsArray = Array.from(this.excludedTags).sort();
+        let titleText = this.t('cases.all');
+
+        if (activeTagsArray.length > 0) {
+            titleText = this.t('title.involving', {
+                tags: joinTags(activeTagsArray, this.tagMatchMode === 'all' ? 'list.and' : 'list.or')
+            });
+        }
+
+        if (excludedTagsArray.length > 0) {
+            titleText += `${activeTagsArray.length > 0 ? ',' : ''} ${this.t('title.excluding', { tags: joinTags(excludedTagsArray, 'list.and') })}`;
+        }
+
+        if (this.yearWindow) {
+            const from = this.i18n.formatYear(this.yearWindow.from);
+            const to = this.i18n.formatYear(this.yearWindow.to);
+            titleText += from === to ? `, ${from}` : `, ${from}–${to}`;
+        }
+
+        return titleText;
+    }
+
+    sortAllCases(allCases) {
+        if (this.sidebarSortOrder === 'relevance' && this.searchScores) {
+            // Sort by search score, then by year (newest first)
+            const score = caseItem => this.searchScores.get(caseItem._record || caseItem) || 0;
+            allCases.sort((a, b) => {
+                const scoreDiff = score(b) - score(a);
+                if (scoreDiff !== 0) return scoreDiff;
+                return (+b.Year) - (+a.Year);
+            });
+        } else if (this.sidebarSortOrder === 'oldest') {
+            // Sort by year (oldest first), then by reference
+            allCases.sort((a, b) => {
+                const yearDiff = (+a.Year) - (+b.Year);
+                if (yearDiff !== 0) return yearDiff;
+                return a.Reference.localeCompare(b.Reference);
+            });
+        } else {
+            // Sort by year (newest first), then by reference
+            allCases.sort((a, b) => {
+                const yearDiff = (+b.Year) - (+a.Year);
+                if (yearDiff !== 0) return yearDiff;
+                return a.Reference.localeCompare(b.Reference);
+            });
+        }
+    }
+
+    updateSidebarContentWithAllCases(allCases) {
+        const content = this.getElement('sidebar-content');
+
+        if (allCases.length === 0) {
+            content.innerHTML = `
+                <div class="sidebar-empty">
+                    <div class="icon">📂</div>
+                    <p>${this.escapeHtml(this.t('cases.none'))}</p>
+                </div>
+            `;
+            return;
+        }
+
+        let html = '';
+        allCases.forEach(caseItem => {
+            html += this.createCaseListItemWithSubject(caseItem);
+        });
+
+        content.innerHTML = html;
+    }
+
+    createCaseListItemWithSubject(caseItem) {
+        const links = [...this.getCaseLinks(caseItem), this.createPermalinkHTML(caseItem)];
+        const imageData = this.getCaseImage(caseItem);
+        const timelineData = this.getCaseTimeline(caseItem);
+        const timelineHTML = timelineData ? this.createTimelineHTML(timelineData) : '';
+
+        // Get Archive URL for clickable thumbnail and title
+        const archiveUrl = this.safeHtml.safeUrl(caseItem.Archive);
+        const hasArchive = !!archiveUrl;
+
+        // Create thumbnail
+        const thumbnailHTML = this.createThumbnailHTML(imageData, archiveUrl);
+
+        // Parse tags if available
+        const tags = caseItem.Tags ? caseItem.Tags.split(/[,;]/).map(t => t.trim()).filter(t => t) : [];
+
+        // Create title with link
+        const titleText = this.highlightSearchMatches(
+            this.getLocalizedValue(caseItem, 'Title') || caseItem.Subject || this.t('cases.untitled')
+        );
+        const location = this.getLocalizedValue(caseItem, 'Location');
+        const description = this.getLocalizedValue(caseItem, 'Description');
+        const titleHTML = archiveUrl
+            ? this.safeHtml.link(archiveUrl, `<h3 class="case-title">${titleText}</h3>`, { class: 'case-title-link' })
+            : `<h3 class="case-title">${titleText}</h3>`;
+
+        // Create metadata with icons (Year removed, now in top right)
+        const metadataItems = [];
+        if (caseItem.Reference) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-globe"></i>${this.highlightSearchMatches(caseItem.Reference)}</span>`);
+        }
+        if (location) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-map-marker-alt"></i>${this.highlightSearchMatches(location)}</span>`);
+        }
+        if (tags.length > 0) {
+            metadataItems.push(`<span class="case-metadata-item"><i class="fa fa-tag"></i>${this.highlightSearchMatches(tags.slice(0, 3).join(', '))}${tags.length > 3 ? '...' : ''}</span>`);
+        }
+
+        const metadataHTML = metadataItems.length > 0
+            ? `<div class="case-metadata">${metadataItems.join('<span class="case-metadata-separator">|</span>')}</div>`
+            : '';
+
+        // Year badge in top right
+        const yearBadgeHTML = caseItem.Year
+            ? `<div class="case-year-badge">${this.escapeHtml(caseItem.Year)}</div>`
+            : '';
+
+        return `
+            <div class="case-list-item ${hasArchive ? 'has-archive' : ''}">
+                ${yearBadgeHTML}
+                <div class="case-item-content">
+                    ${thumbnailHTML}
+                    <div class="case-content">
+                        <div style="font-size: 12px; color: #6b7280; margin-bottom: 6px; font-weight: 500;">
+                            <i class="fa fa-folder"></i> ${this.highlightSearchMatches(caseItem.subject)}
+                        </div>
+                        ${titleHTML}
+                        ${metadataHTML}
+                        ${description ? `<div class="case-description">${this.renderDescription(description)}</div>` : ''}
+                        ${timelineHTML}
+                        ${links.length > 0 ? `<div class="case-links">${links.join('')}</div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    setupSidebarSortControls() {
+        const options = {
+            'sort-oldest-first': 'oldest',
+            'sort-newest-first': 'newest',
+            'sort-relevance': 'relevance'
+        };
+
+        Object.entries(options).forEach(([id, order]) => {
+            const option = this.getElement(id);
+            if (!option) {
+                return; // Elements don't exist yet
+            }
+
+            // Remove existing event listeners and add new ones
+            const newOption = option.cloneNode(true);
+            option.replaceWith(newOption);
+            newOption.addEventListener('click', () => {
+                this.setSidebarSortOrder(order);
+            });
+            newOption.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.setSidebarSortOrder(order);
+                }
+            });
+        });
+
+        this.updateSidebarSortIndicators();
+    }
+
+    setSidebarSortOrder(order) {
+        this.sidebarSortOrder = order;
+        this.updateSidebarSortIndicators();
+
+        // Re-sort and update the sidebar content
+        if (this.selectedSubject) {
+            // If viewing a single subject, sort that subject's cases
+            this.updateSidebarContentSorted(this.selectedSubject);
+        } else {
+            // If viewing all cases, use the existing method
+            this.showAllCasesOnLoad();
+        }
+
+        this.updateUrlState();
+    }
+
+    updateSidebarSortIndicators() {
+        // Best match only applies while searching
+        const order = this.sidebarSortOrder === 'relevance' && !this.searchScores
+            ? 'newest'
+            : this.sidebarSortOrder;
+        const options = {
+            'sort-oldest-first': 'oldest',
+            'sort-newest-first': 'newest',
+            'sort-relevance': 'relevance'
+        };
+
+        Object.entries(options).forEach(([id, optionOrder]) => {
+            const option = this.getElement(id);
+            if (!option) {
+                return;
+            }
+
+            if (optionOrder === 'relevance') {
+                option.style.display = this.searchScores ? '' : 'none';
+            }
+
+            // Update radio button state and indicator
+            option.classList.toggle('active', order === optionOrder);
+            option.setAttribute('aria-checked', order === optionOrder);
+            const radio = option.querySelector('.sidebar-sort-radio');
+            if (radio) {
+                radio.textContent = order === optionOrder ? '×' : '';
+            }
+        });
+    }
+
+    updateSidebarContentSorted(data) {
+        // Sort the subject's cases based on current sort order
+        const sortedCases = [...data.cases];
+        this.sortAllCases(sortedCases);
+
+        // Update sidebar content with sorted cases
+        const content = this.getElement('sidebar-content');
+
+        if (sortedCases.length === 0) {
+            content.innerHTML = `
+                <div class="sidebar-empty">
+                    <div class="icon">📂</div>
+                    <p>${this.escapeHtml(this.t('cases.noneForSubject'))}</p>
+                </div>
+            `;
+            return;
+        }
+
+        let html = '';
+        sortedCases.forEach(caseItem => {
+            html += this.createCaseListItem(caseItem);
+        });
+
+        content.innerHTML = html;
+    }
+
+    setupExportControls() {
+        this.container.querySelectorAll('.sidebar-export-option').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportCases(button.getAttribute('data-export'));
+            });
+        });
+    }
+
+    /**
+     * Download or open the filtered cases in the given format
+     * @param {string} format - 'csv', 'json', 'ics' or 'report'
+     */
+    exportCases(format) {
+        const cases = this.getExportCases();
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `goa-foundation-cases-${date}`;
+
+        switch (format) {
+            case 'csv':
+                this.downloadFile(this.exporter.toCSV(cases, this.getExportColumns()), `${filename}.csv`, 'text/csv');
+                break;
+            case 'json':
+                this.downloadFile(this.exporter.toJSON(cases, {
+                    filters: this.getExportFilters(),
+                    fieldMapping: this.processingResult ? this.processingResult.fieldMapping : null,
+                    source: this.processingResult ? this.processingResult.source : null
+                }), `${filename}.json`, 'application/json');
+                break;
+            case 'ics':
+                this.downloadFile(this.exporter.toICal(cases, {
+                    name: `Goa Foundation: ${this.getFilterTitle()}`
+                }), `${filename}.ics`, 'text/calendar');
+                break;
+            case 'report':
+                this.openPrintableReport(filename);
+                break;
+        }
+    }
+
+    /**
+     * Cases matching the active tags, search and year window, in the sidebar's sort order
+     * @returns {Array<Object>} Case records
+     */
+    getExportCases() {
+        const cases = [...this.filteredData];
+        this.sortAllCases(cases);
+        return cases;
+    }
+
+    /**
+     * CSV columns in field-mapping order, headed with the sheet's own column names so the file can be re-imported
+     * @returns {Array<Object>} Columns as { header, field }
+     */
+    getExportColumns() {
+        const fieldMappings = this.spreadsheetProcessor.getFieldMappings();
+        const mappingResult = this.processingResult ? this.processingResult.fieldMapping : {};
+
+        return Object.entries(fieldMappings).map(([fieldName, fieldConfig]) => {
+            const mapping = mappingResult[fieldName];
+            return {
+                header: mapping && mapping.mappedTo ? mapping.mappedTo : fieldConfig.aliases[0],
+                field: fieldConfig.outputName || fieldName
+            };
+        });
+    }
+
+    /**
+     * Active filters and sort orders, recorded in JSON exports
+     * @returns {Object} Filter state
+     */
+    getExportFilters() {
+        return {
+            query: this.searchQuery || '',
+            tags: Array.from(this.activeTags).sort(),
+            excludedTags: Array.from(this.excludedTags).sort(),
+            tagMode: this.tagMatchMode,
+            years: this.yearWindow,
+            sort: this.currentSort,
+            order: this.sidebarSortOrder
+        };
+    }
+
+    /**
+     * Open a print-styled report of the filtered cases grouped by subject, in timeline order
+     * @param {string} filename - File name used when the report window is blocked
+     */
+    openPrintableReport(filename) {
+        const subjects = this.processedData.map(subjectData => {
+            const cases = [...subjectData.cases];
+            this.sortAllCases(cases);
+            return {
+                ...subjectData,
+                cases,
+                stats: this.calculateCaseStatistics(subjectData)
+            };
+        });
+
+        const queryText = this.searchQuery && this.searchQuery.trim() ? ` matching "${this.searchQuery.trim()}"` : '';
+        const html = this.exporter.toReportHTML({
+            title: 'Goa Foundation Case Report',
+            filterSummary: `${this.getFilterTitle()}${queryText}`,
+            subjects
+        });
+
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            // Pop-up blocked: save the report instead
+            this.downloadFile(html, `${filename}.html`, 'text/html');
+            return;
+        }
+
+        reportWindow.document.open();
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+
+    setupChartExportControls() {
+        this.container.querySelectorAll('[data-chart-export]').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.exportChart(button.getAttribute('data-chart-export')).catch(error => {
+                    console.error('Chart export failed:', error);
+                });
+            });
+        });
+    }
+
+    /**
+     * Download the timeline chart as it is currently shown (filters, zoom, sort)
+     * @param {string} format - 'svg' or 'png'
+     */
+    async exportChart(format) {
+        const { markup, width, height } = this.createChartExportSvg();
+        const filename = `goa-foundation-timeline-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'svg') {
+            this.downloadFile(markup, `${filename}.svg`, 'image/svg+xml');
+            return;
+        }
+
+        // High-DPI PNG: render the SVG onto a canvas at three times its size
+        const scale = 3;
+        const svgUrl = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not render the chart image'));
+                img.src = svgUrl;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+
+            const pngBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            this.downloadFile(pngBlob, `${filename}.png`, 'image/png');
+        } finally {
+            URL.revokeObjectURL(svgUrl);
+        }
+    }
+
+    /**
+     * Build a standalone SVG of the chart with inlined styles, a title for the active filters and a source footer
+     * @returns {Object} { markup, width, height }
+     */
+    createChartExportSvg() {
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const source = this.svg.node();
+        const chart = source.cloneNode(true);
+
+        // Inline computed styles so the file looks the same without the page's CSS
+        const styleProperties = [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'opacity',
+            'font-family', 'font-size', 'font-weight', 'text-anchor', 'shape-rendering'
+        ];
+        const sourceNodes = [source, ...source.querySelectorAll('*')];
+        const chartNodes = [chart, ...chart.querySelectorAll('*')];
+        sourceNodes.forEach((node, index) => {
+            const computed = window.getComputedStyle(node);
+            styleProperties.forEach(property => {
+                const value = computed.getPropertyValue(property);
+                if (value) {
+                    chartNodes[index].style.setProperty(property, value);
+                }
+            });
+        });
+
+        // Interactive-only layers
+        chart.querySelectorAll('.year-brush, .subject-click-overlay').forEach(node => node.remove());
+
+        // HTML labels (foreignObject) don't survive rasterizing, so redraw them as SVG text
+        const labelNodes = Array.from(source.querySelectorAll('.subject-label'));
+        Array.from(chart.querySelectorAll('.subject-label')).forEach((label, index) => {
+            const subject = d3.select(labelNodes[index]).datum().subject;
+            const div = labelNodes[index].querySelector('div');
+            const fontSize = parseFloat(div ? window.getComputedStyle(div).fontSize : '') || 16;
+            const x = +label.getAttribute('x') + +label.getAttribute('width') - 8;
+            const y = +label.getAttribute('y') + +label.getAttribute('height') / 2;
+            const lines = this.wrapLabelText(subject, Math.floor(+label.getAttribute('width') / (fontSize * 0.5)));
+
+            const text = document.createElementNS(svgNamespace, 'text');
+            text.setAttribute('x', x);
+            text.setAttribute('y', y - (lines.length - 1) * fontSize * 0.6);
+            text.setAttribute('text-anchor', 'end');
+            text.setAttribute('dominant-baseline', 'middle');
+            text.setAttribute('font-family', 'Source Sans Pro, sans-serif');
+            text.setAttribute('font-size', fontSize);
+            text.setAttribute('font-weight', 500);
+            text.setAttribute('fill', '#374151');
+            lines.forEach((line, lineIndex) => {
+                const tspan = document.createElementNS(svgNamespace, 'tspan');
+                tspan.setAttribute('x', x);
+                tspan.setAttribute('dy', lineIndex === 0 ? 0 : fontSize * 1.2);
+                tspan.textContent = line;
+                text.appendChild(tspan);
+            });
+            label.replaceWith(text);
+        });
+
+        const chartWidth = +source.getAttribute('width');
+        const chartHeight = +source.getAttribute('height');
+        const headerHeight = 64;
+        const footerHeight = 36;
+        const width = chartWidth;
+        const height = headerHeight + chartHeight + footerHeight;
+
+        const exportSvg = document.createElementNS(svgNamespace, 'svg');
+        exportSvg.setAttribute('width', width);
+        exportSvg.setAttribute('height', height);
+        exportSvg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const addElement = (parent, name, attributes, textContent) => {
+            const element = document.createElementNS(svgNamespace, name);
+            Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+            if (textContent) {
+                element.textContent = textContent;
+            }
+            parent.appendChild(element);
+            return element;
+        };
+
+        addElement(exportSvg, 'rect', { width, height, fill: '#FFFFFF' });
+
+        const titleText = this.searchQuery && this.searchQuery.trim()
+            ? this.t('chart.titleWithQuery', { title: this.getFilterTitle(), query: this.searchQuery.trim() })
+            : this.getFilterTitle();
+        const fontFamily = 'Source Sans Pro, sans-serif';
+        addElement(exportSvg, 'text', {
+            x: 20, y: 30, 'font-family': fontFamily, 'font-size': 20, 'font-weight': 'bold', fill: this.palette[0]
+        }, titleText);
+        addElement(exportSvg, 'text', {
+            x: 20, y: 50, 'font-family': fontFamily, 'font-size': 13, fill: this.palette[4]
+        }, this.getResultSummary());
+
+        chart.removeAttribute('style');
+        chart.setAttribute('x', 0);
+        chart.setAttribute('y', headerHeight);
+        chart.setAttribute('width', chartWidth);
+        chart.setAttribute('height', chartHeight);
+        exportSvg.appendChild(chart);
+
+        const exportedOn = this.i18n.formatDate(new Date());
+        addElement(exportSvg, 'line', {
+            x1: 20, x2: width - 20, y1: height - footerHeight + 6, y2: height - footerHeight + 6,
+            stroke: this.palette[1], 'stroke-width': 1
+        });
+        addElement(exportSvg, 'text', {
+            x: 20, y: height - 12, 'font-family': fontFamily, 'font-size': 11, fill: this.palette[4]
+        }, this.t('chart.source', { host: window.location.host || 'goa-foundation.github.io' }));
+        addElement(exportSvg, 'text', {
+            x: width - 20, y: height - 12, 'font-family': fontFamily, 'font-size': 11, fill: this.palette[4], 'text-anchor': 'end'
+        }, this.t('chart.exported', { date: exportedOn }));
+
+        const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(exportSvg);
+        return { markup, width, height };
+    }
+
+    /**
+     * Split a label into lines of roughly maxChars characters, at most three
+     * @param {string} text - Label text
+     * @param {number} maxChars - Characters per line
+     * @returns {Array<string>} Lines
+     */
+    wrapLabelText(text, maxChars) {
+        const lines = [];
+        let current = '';
+
+        String(text).split(/\s+/).forEach(word => {
+            if (current && (current + ' ' + word).length > maxChars) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        });
+        if (current) {
+            lines.push(current);
+        }
+
+        if (lines.length > 3) {
+            return [...lines.slice(0, 2), this.truncateText(lines.slice(2).join(' '), maxChars)];
+        }
+        return lines;
+    }
+
+    /**
+     * Save generated content as a file
+     * @param {string|Blob} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        // Detached, so the click doesn't reach the outside-click handler
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Update spreadsheet configuration (useful for debugging or switching data sources)
+     * @param {Object} newConfig - New configuration options
+     */
+    updateSpreadsheetConfig(newConfig) {
+        this.spreadsheetProcessor.updateConfig(newConfig);
+        console.log('Spreadsheet configuration updated:', newConfig);
+    }
+
+    /**
+     * Get current field mappings (useful for debugging)
+     * @returns {Object} Current field mappings
+     */
+    getFieldMappings() {
+        return this.spreadsheetProcessor.getFieldMappings();
+    }
+
+    /**
+     * Reload data with current configuration
+     * @param {Object} [prefetchedResult] - Processing result that has already been fetched
+     */
+    async reloadData(prefetchedResult = null) {
+        try {
+            console.log('Reloading data...');
+            await this.loadData(prefetchedResult);
+            this.extractTags();
+            this.applyFilters();
+            this.processData();
+            this.setupDimensions();
+            this.createVisualization();
+            this.createTagFilters();
+            this.showAllCasesOnLoad();
+            this.renderCurrentView();
+            this.reopenCase();
+            this.renderDataQualityPanel();
+            this.updateWhatsNew();
+            console.log('Data reloaded successfully');
+            this.emitDataLoaded();
+        } catch (error) {
+            console.error('Error reloading data:', error);
+            this.showError(error.message, error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoaFoundationTimeline;
+} else if (typeof window !== 'undefined') {
+    window.GoaFoundationTimeline = GoaFoundationTimeline;
+}
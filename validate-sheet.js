@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Goa Foundation Spreadsheet Validator
+ *
+ * Command-line check for the case spreadsheet, built on GoaFoundationSpreadsheetProcessor.
+ * Volunteers can run it before publishing sheet changes:
+ *
+ *   node validate-sheet.js cases.csv
+ *   node validate-sheet.js --report junit --output report.xml https://docs.google.com/...&output=csv
+ *
+ * Exit codes: 0 = valid, 1 = validation errors (or warnings with --fail-on-warnings),
+ * 2 = usage error or the report could not be written
+ */
+
+const fs = require('fs');
+const GoaFoundationSpreadsheetProcessor = require('./spreadsheet.js');
+
+const USAGE = `Usage: node validate-sheet.js [options] [file-or-url]
+
+Validates the Goa Foundation case spreadsheet. Without a file or URL the
+published Google Sheet is checked.
+
+Options:
+  -r, --report <text|json|junit>  Report format (default: text)
+  -f, --format <auto|csv|tsv|json|xlsx>
+                                  Input format (default: auto-detected)
+  -o, --output <file>             Write the report to a file instead of stdout
+  -w, --fail-on-warnings          Exit non-zero when there are warnings
+  -v, --verbose                   Print processor debug output to stderr
+  -h, --help                      Show this help
+`;
+
+const REPORT_FORMATS = ['text', 'json', 'junit'];
+const INPUT_FORMATS = ['auto', 'csv', 'tsv', 'json', 'xlsx'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        report: 'text',
+        format: 'auto',
+        output: null,
+        failOnWarnings: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const nextValue = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-r':
+            case '--report':
+                options.report = nextValue();
+                break;
+            case '-f':
+            case '--format':
+                options.format = nextValue();
+                break;
+            case '-o':
+            case '--output':
+                options.output = nextValue();
+                break;
+            case '-w':
+            case '--fail-on-warnings':
+                options.failOnWarnings = true;
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                if (options.input) {
+                    throw new Error('Only one file or URL can be validated at a time');
+                }
+                options.input = arg;
+        }
+    }
+
+    if (!REPORT_FORMATS.includes(options.report)) {
+        throw new Error(`Unknown report format '${options.report}'. Expected one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    if (!INPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown input format '${options.format}'. Expected one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Build the processor source for a file path or URL
+ * @param {string|null} input - File path or URL from the command line
+ * @param {string} format - Input format
+ * @returns {Object|null} Source descriptor, or null for the default sheet
+ */
+function createSource(input, format) {
+    if (!input) {
+        return null;
+    }
+
+    if (/^https?:\/\//i.test(input)) {
+        return { type: 'url', url: input, format };
+    }
+
+    return { type: 'file', path: input, format };
+}
+
+/**
+ * Run the validator
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let options;
+
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const processor = new GoaFoundationSpreadsheetProcessor({
+        debug: options.verbose,
+        logger: (message) => process.stderr.write(`${message}\n`),
+        source: createSource(options.input, options.format)
+    });
+
+    const result = await processor.loadAndProcessData();
+
+    let report;
+    if (options.report === 'json') {
+        report = JSON.stringify(processor.generateJsonReport(result), null, 2) + '\n';
+    } else if (options.report === 'junit') {
+        report = processor.generateJUnitReport(result);
+    } else {
+        report = processor.generateSummaryReport(result);
+    }
+
+    if (options.output) {
+        try {
+            fs.writeFileSync(options.output, report);
+        } catch (error) {
+            process.stderr.write(`Could not write the report: ${error.message}\n`);
+            return 2;
+        }
+    } else {
+        process.stdout.write(report);
+    }
+
+    if (result.errors.length > 0) {
+        return 1;
+    }
+
+    if (options.failOnWarnings && result.warnings.length > 0) {
+        return 1;
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { main, parseArgs, createSource, INPUT_FORMATS };